@@ -7,6 +7,7 @@
 class AccessibilityManager {
     constructor() {
         this.settings = this.loadSettings();
+        this.settingsListeners = [];
         this.voiceEnabled = false;
         this.speechRecognition = null;
         this.speechSynthesis = window.speechSynthesis;
@@ -34,7 +35,8 @@ class AccessibilityManager {
             reducedMotion: false,
             audioFeedback: false,
             language: 'en',
-            languageLevel: 'simple'
+            languageLevel: 'simple',
+            guidedMode: false
         };
 
         try {
@@ -56,6 +58,14 @@ class AccessibilityManager {
         }
     }
 
+    /**
+     * Call `listener(settings)` whenever the user saves their settings, for
+     * pages that change more than styles, such as the complaint wizard.
+     */
+    onSettingsChange(listener) {
+        this.settingsListeners.push(listener);
+    }
+
     applySettings() {
         const { fontSize, theme, reducedMotion, language, languageLevel } = this.settings;
         
@@ -218,9 +228,11 @@ class AccessibilityManager {
                 this.settings.audioFeedback = document.getElementById('audio-feedback').checked;
                 this.settings.language = document.getElementById('language').value;
                 this.settings.languageLevel = document.getElementById('language-level').value;
+                this.settings.guidedMode = document.getElementById('guided-mode').checked;
 
                 this.saveSettings();
                 this.applySettings();
+                this.settingsListeners.forEach(listener => listener(this.settings));
 
                 // Close modal
                 try {
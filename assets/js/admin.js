@@ -3,6 +3,16 @@
  * Handles organization management, data import/export, and system settings
  */
 
+// Organization fields and the form controls that show their errors
+const ORGANIZATION_FORM_FIELDS = {
+    name: 'org-name',
+    type: 'org-type',
+    contactEmail: 'org-email',
+    responseTimedays: 'org-response-time',
+    escalationTimedays: 'org-escalation-time',
+    ombudsmanUrl: 'org-ombudsman-url'
+};
+
 class AdminManager {
     constructor() {
         this.organizations = [];
@@ -13,10 +23,17 @@ class AdminManager {
         this.init();
     }
 
-    init() {
+    async init() {
+        // Wait for the complaint store to finish loading before reading from it
+        if (window.complaintManager) {
+            await window.complaintManager.ready;
+        }
+
         this.loadData();
         this.setupEventListeners();
+        this.setupDataSync();
         this.renderOrganizations();
+        this.renderTags();
         this.updateStatistics();
         this.updateSystemInfo();
         this.loadSystemSettingsForm();
@@ -123,6 +140,17 @@ class AdminManager {
             });
         }
 
+        // Tag management
+        const tagsList = document.getElementById('tags-list');
+        if (tagsList) {
+            tagsList.addEventListener('click', (e) => {
+                const renameButton = e.target.closest('.rename-tag-btn');
+                const deleteButton = e.target.closest('.delete-tag-btn');
+                if (renameButton) this.renameTag(decodeURIComponent(renameButton.dataset.tag));
+                if (deleteButton) this.deleteTag(decodeURIComponent(deleteButton.dataset.tag));
+            });
+        }
+
         // System settings
         const systemForm = document.getElementById('system-settings-form');
         if (systemForm) {
@@ -146,6 +174,8 @@ class AdminManager {
                 const target = event.target.getAttribute('data-bs-target');
                 if (target === '#organizations') {
                     this.renderOrganizations();
+                } else if (target === '#tags') {
+                    this.renderTags();
                 } else if (target === '#data') {
                     this.updateStatistics();
                 }
@@ -153,6 +183,34 @@ class AdminManager {
         });
     }
 
+    setupDataSync() {
+        if (!window.complaintManager) return;
+
+        // Refresh when another tab changes complaints or organizations
+        window.complaintManager.onChange((change) => {
+            // The settings panel refreshes its own list of contact profiles
+            if (change.scope === 'profiles') return;
+
+            this.loadData();
+            this.renderOrganizations();
+            this.renderTags();
+            this.updateStatistics();
+
+            // Warn if the organization being edited was changed underneath the user
+            if (change.scope === 'organizations' && change.reason === 'remote' && this.currentEditingOrg) {
+                const latest = this.organizations.find(o => o.id === this.currentEditingOrg.id);
+                if (window.accessibilityManager) {
+                    const message = latest
+                        ? `"${latest.name}" was changed in another tab. Saving now will be refused; close and reopen it to see the latest details.`
+                        : `"${this.currentEditingOrg.name}" was deleted in another tab.`;
+                    window.accessibilityManager.showNotification(message, 'warning');
+                }
+            } else if (change.reason === 'remote' && window.accessibilityManager) {
+                window.accessibilityManager.announce('Data was updated in another tab. This page has been refreshed.');
+            }
+        });
+    }
+
     renderOrganizations() {
         const container = document.getElementById('organizations-list');
         if (!container) return;
@@ -202,8 +260,8 @@ class AdminManager {
                 <td>
                     <a href="mailto:${this.escapeHtml(org.contactEmail)}">${this.escapeHtml(org.contactEmail)}</a>
                 </td>
-                <td>${org.responseTimedays} days</td>
-                <td>${org.escalationTimedays} days</td>
+                <td>${deadlineCalculator.describePeriod(org.responseTimedays, org)}</td>
+                <td>${deadlineCalculator.describePeriod(org.escalationTimedays, org)}</td>
                 <td class="text-end">
                     <div class="btn-group" role="group" aria-label="Organization actions">
                         <button type="button" class="btn btn-sm btn-outline-primary edit-org-btn" data-org-id="${org.id}" aria-label="Edit ${org.name}">
@@ -249,6 +307,10 @@ class AdminManager {
         document.getElementById('org-email').value = org.contactEmail;
         document.getElementById('org-response-time').value = org.responseTimedays;
         document.getElementById('org-escalation-time').value = org.escalationTimedays;
+        document.getElementById('org-deadline-mode').value = org.deadlineMode || DEFAULT_DEADLINE_MODE;
+        document.getElementById('org-holiday-region').value = org.holidayRegion || DEFAULT_HOLIDAY_REGION;
+        document.getElementById('org-ombudsman-name').value = org.ombudsmanName || '';
+        document.getElementById('org-ombudsman-url').value = org.ombudsmanUrl || '';
 
         // Update modal title
         document.getElementById('organizationModalLabel').textContent = 'Edit Organization';
@@ -262,7 +324,7 @@ class AdminManager {
         }
     }
 
-    deleteOrganization(orgId) {
+    async deleteOrganization(orgId) {
         const org = this.organizations.find(o => o.id === orgId);
         if (!org) return;
 
@@ -274,9 +336,16 @@ class AdminManager {
             confirmMessage += `\n\nWarning: This organization has existing complaints. Deleting it will make those complaints reference an unknown organization.`;
         }
 
-        if (confirm(confirmMessage)) {
+        const confirmed = await accessibleDialog.confirm({
+            title: 'Delete organization?',
+            message: confirmMessage,
+            confirmLabel: 'Delete',
+            danger: true
+        });
+
+        if (confirmed) {
             this.organizations = this.organizations.filter(o => o.id !== orgId);
-            this.saveOrganizations();
+            if (!this.saveOrganizations()) return;
             this.renderOrganizations();
 
             if (window.accessibilityManager) {
@@ -295,28 +364,33 @@ class AdminManager {
             return;
         }
 
-        const orgData = {
-            id: document.getElementById('org-id').value || this.generateOrgId(),
-            name: document.getElementById('org-name').value.trim(),
+        const orgData = organizationDirectory.createOrganization({
+            id: document.getElementById('org-id').value,
+            name: document.getElementById('org-name').value,
             type: document.getElementById('org-type').value,
-            contactEmail: document.getElementById('org-email').value.trim(),
-            responseTimedays: parseInt(document.getElementById('org-response-time').value),
-            escalationTimedays: parseInt(document.getElementById('org-escalation-time').value)
-        };
+            contactEmail: document.getElementById('org-email').value,
+            responseTimedays: document.getElementById('org-response-time').value,
+            escalationTimedays: document.getElementById('org-escalation-time').value,
+            deadlineMode: document.getElementById('org-deadline-mode').value,
+            holidayRegion: document.getElementById('org-holiday-region').value,
+            ombudsmanName: document.getElementById('org-ombudsman-name').value,
+            ombudsmanUrl: document.getElementById('org-ombudsman-url').value
+        });
 
-        // Additional validation
-        if (orgData.escalationTimedays <= orgData.responseTimedays) {
-            this.showFormError('org-escalation-time', 'Escalation time must be greater than response time');
-            return;
+        // Refuse to overwrite an edit made in another tab while this form was open
+        if (this.currentEditingOrg) {
+            const latest = this.organizations.find(o => o.id === this.currentEditingOrg.id);
+            if (!latest || JSON.stringify(latest) !== JSON.stringify(this.currentEditingOrg)) {
+                this.showFormError('org-name', 'This organization was changed in another tab. Close this form and open it again to see the latest details.');
+                return;
+            }
         }
 
-        // Check for duplicate names (excluding current editing org)
-        const duplicate = this.organizations.find(o => 
-            o.name.toLowerCase() === orgData.name.toLowerCase() && 
-            o.id !== orgData.id
-        );
-        if (duplicate) {
-            this.showFormError('org-name', 'An organization with this name already exists');
+        // The same rules as organizations added from the complaint wizard, including unique names
+        const errors = organizationDirectory.validate(orgData, this.organizations);
+        const [invalidField] = Object.keys(errors);
+        if (invalidField) {
+            this.showFormError(ORGANIZATION_FORM_FIELDS[invalidField], errors[invalidField]);
             return;
         }
 
@@ -328,7 +402,7 @@ class AdminManager {
             this.organizations.push(orgData);
         }
 
-        this.saveOrganizations();
+        if (!this.saveOrganizations()) return;
         this.renderOrganizations();
 
         // Close modal
@@ -377,42 +451,163 @@ class AdminManager {
     }
 
     generateOrgId() {
-        return 'org_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        return organizationDirectory.createId();
     }
 
     saveOrganizations() {
         try {
-            localStorage.setItem('organizations', JSON.stringify(this.organizations));
-            
-            // Update main app if available
+            // Save through the main app so other tabs are notified and conflicts are caught
             if (window.complaintManager) {
-                window.complaintManager.saveOrganizations(this.organizations);
+                return window.complaintManager.saveOrganizations(this.organizations);
             }
+
+            localStorage.setItem('organizations', JSON.stringify(this.organizations));
+            return true;
         } catch (error) {
             console.error('Error saving organizations:', error);
             if (window.accessibilityManager) {
                 window.accessibilityManager.announce('Error saving organizations', 'assertive');
             }
+            return false;
         }
     }
 
+    renderTags() {
+        const container = document.getElementById('tags-list');
+        if (!container) return;
+
+        const tags = complaintTaxonomy.getAllTags(this.complaints);
+
+        if (tags.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">No tags yet. Add tags to a complaint in step 3 of the complaint form.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-hover" aria-label="Tags list">
+                    <thead>
+                        <tr>
+                            <th scope="col">Tag</th>
+                            <th scope="col">Complaints</th>
+                            <th scope="col" class="text-end">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tags.map(({ tag, count }) => `
+                            <tr>
+                                <th scope="row">${this.escapeHtml(tag)}</th>
+                                <td>${count}</td>
+                                <td class="text-end">
+                                    <div class="btn-group" role="group" aria-label="Tag actions">
+                                        <button type="button" class="btn btn-sm btn-outline-primary rename-tag-btn" data-tag="${encodeURIComponent(tag)}" aria-label="Rename ${this.escapeAttribute(tag)}">
+                                            <span aria-hidden="true">✏️</span> Rename
+                                        </button>
+                                        <button type="button" class="btn btn-sm btn-outline-danger delete-tag-btn" data-tag="${encodeURIComponent(tag)}" aria-label="Delete ${this.escapeAttribute(tag)}">
+                                            <span aria-hidden="true">🗑️</span> Delete
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    async renameTag(tag) {
+        const newName = await accessibleDialog.prompt({
+            title: `Rename ${tag}`,
+            message: 'The new name replaces this tag on every complaint that has it.',
+            label: 'New tag name',
+            confirmLabel: 'Rename',
+            validate: value => {
+                const [name] = complaintTaxonomy.parseTags([value]);
+                if (!name) return 'Please enter a tag name';
+                return complaintTaxonomy.validateTags([name]);
+            }
+        });
+        if (newName === null) return;
+
+        const [name] = complaintTaxonomy.parseTags([newName]);
+        const changed = await this.updateTags(tag, tags => complaintTaxonomy.renameTag(tags, tag, name), manager => manager.renameTag(tag, name));
+
+        this.renderTags();
+        const renamed = [...document.querySelectorAll('.rename-tag-btn')]
+            .find(button => decodeURIComponent(button.dataset.tag).toLowerCase() === name.toLowerCase());
+        (renamed || document.getElementById('tags-heading'))?.focus();
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(`Renamed ${tag} to ${name} on ${changed} complaint${changed === 1 ? '' : 's'}`);
+        }
+    }
+
+    async deleteTag(tag) {
+        const confirmed = await accessibleDialog.confirm({
+            title: `Delete ${tag}?`,
+            message: 'The tag will be removed from every complaint. The complaints themselves are kept.',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
+
+        const changed = await this.updateTags(tag, tags => complaintTaxonomy.removeTag(tags, tag), manager => manager.deleteTag(tag));
+
+        this.renderTags();
+        document.getElementById('tags-heading')?.focus();
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(`Removed ${tag} from ${changed} complaint${changed === 1 ? '' : 's'}`, 'assertive');
+        }
+    }
+
+    // Tag changes go through the main app when it is available
+    async updateTags(tag, change, viaManager) {
+        if (window.complaintManager) {
+            const changed = await viaManager(window.complaintManager);
+            this.loadData();
+            return changed;
+        }
+
+        const affected = this.complaints.filter(complaint => complaintTaxonomy.hasTag(complaint, tag));
+        affected.forEach(complaint => {
+            complaint.tags = change(complaint.tags);
+        });
+        localStorage.setItem('complaints', JSON.stringify(this.complaints));
+        return affected.length;
+    }
+
     updateStatistics() {
         const totalComplaints = this.complaints.length;
         const totalOrganizations = this.organizations.length;
-        
-        // Calculate storage used
-        const dataSize = new Blob([
+
+        document.getElementById('total-complaints').textContent = totalComplaints;
+        document.getElementById('total-organizations').textContent = totalOrganizations;
+
+        this.calculateStorageUsed().then(dataSize => {
+            const storageKB = Math.round(dataSize / 1024 * 100) / 100;
+            document.getElementById('storage-used').textContent = `${storageKB} KB`;
+        });
+    }
+
+    async calculateStorageUsed() {
+        // Complaints live in IndexedDB, so ask the browser for the origin's usage
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                if (typeof estimate.usage === 'number') {
+                    return estimate.usage;
+                }
+            } catch (error) {
+                console.warn('Could not estimate storage usage:', error);
+            }
+        }
+
+        return new Blob([
             localStorage.getItem('complaints') || '',
             localStorage.getItem('organizations') || '',
             localStorage.getItem('accessibility-settings') || '',
             localStorage.getItem('system-settings') || ''
         ]).size;
-        
-        const storageKB = Math.round(dataSize / 1024 * 100) / 100;
-
-        document.getElementById('total-complaints').textContent = totalComplaints;
-        document.getElementById('total-organizations').textContent = totalOrganizations;
-        document.getElementById('storage-used').textContent = `${storageKB} KB`;
     }
 
     exportData() {
@@ -422,7 +617,13 @@ class AdminManager {
                 organizations: this.organizations,
                 systemSettings: this.systemSettings,
                 exportDate: new Date().toISOString(),
-                version: '1.0.0'
+                version: '1.0.0',
+                schemaVersion: dataSchema.version,
+                // Category labels travel with the data so the file makes sense on its own
+                taxonomy: {
+                    categories: complaintTaxonomy.getCategories(),
+                    tags: complaintTaxonomy.getAllTags(this.complaints).map(({ tag }) => tag)
+                }
             };
 
             const dataStr = JSON.stringify(data, null, 2);
@@ -451,30 +652,41 @@ class AdminManager {
         const file = fileInput.files[0];
         const reader = new FileReader();
 
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
             try {
-                const data = JSON.parse(e.target.result);
+                const parsed = JSON.parse(e.target.result);
                 
                 // Validate data structure
-                if (!data.complaints || !Array.isArray(data.complaints) ||
-                    !data.organizations || !Array.isArray(data.organizations)) {
+                if (!parsed.complaints || !Array.isArray(parsed.complaints) ||
+                    !parsed.organizations || !Array.isArray(parsed.organizations)) {
                     throw new Error('Invalid data format');
                 }
 
+                // Bring records from older exports up to the current schema
+                const data = dataSchema.upgradeImport(parsed);
+
                 // Confirm import
-                const confirmMessage = `Import data from ${file.name}?\n\n` +
-                    `This will add:\n` +
+                const confirmMessage = `This will add:\n` +
                     `- ${data.complaints.length} complaints\n` +
                     `- ${data.organizations.length} organizations\n\n` +
                     `Existing data will be preserved.`;
 
-                if (confirm(confirmMessage)) {
+                const confirmed = await accessibleDialog.confirm({
+                    title: `Import data from ${file.name}?`,
+                    message: confirmMessage,
+                    confirmLabel: 'Import'
+                });
+
+                if (confirmed) {
                     this.performImport(data);
                 }
             } catch (error) {
                 console.error('Error parsing import file:', error);
                 if (window.accessibilityManager) {
-                    window.accessibilityManager.announce('Error: Invalid file format. Please select a valid AccessAssist data file.', 'assertive');
+                    const message = error instanceof SchemaVersionError
+                        ? `Error: ${error.message}. Please update AccessAssist before importing it.`
+                        : 'Error: Invalid file format. Please select a valid AccessAssist data file.';
+                    window.accessibilityManager.announce(message, 'assertive');
                 }
             }
         };
@@ -482,7 +694,7 @@ class AdminManager {
         reader.readAsText(file);
     }
 
-    performImport(data) {
+    async performImport(data) {
         try {
             // Merge organizations (avoid duplicates)
             data.organizations.forEach(newOrg => {
@@ -505,12 +717,14 @@ class AdminManager {
 
             // Save data
             this.saveOrganizations();
-            localStorage.setItem('complaints', JSON.stringify(this.complaints));
 
             // Update main app if available
             if (window.complaintManager) {
                 window.complaintManager.complaints = this.complaints;
                 window.complaintManager.organizations = this.organizations;
+                await window.complaintManager.saveComplaints();
+            } else {
+                localStorage.setItem('complaints', JSON.stringify(this.complaints));
             }
 
             // Update UI
@@ -536,19 +750,47 @@ class AdminManager {
         return 'complaint_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
-    clearAllData() {
-        const confirmMessage = 'This will permanently delete ALL complaints and reset organizations to defaults.\n\n' +
+    async clearAllData() {
+        const confirmMessage = 'This will permanently delete ALL complaints, saved contact details and saved searches, and reset organizations to defaults.\n\n' +
             'This action cannot be undone. Are you sure you want to continue?';
 
-        if (confirm(confirmMessage)) {
-            const doubleConfirm = 'Type "DELETE" to confirm permanent data deletion:';
-            const userInput = prompt(doubleConfirm);
+        const confirmed = await accessibleDialog.confirm({
+            title: 'Clear all data?',
+            message: confirmMessage,
+            confirmLabel: 'Continue',
+            danger: true
+        });
+
+        if (confirmed) {
+            const userInput = await accessibleDialog.prompt({
+                title: 'Confirm permanent data deletion',
+                message: 'Type DELETE in capital letters to delete all your data.',
+                label: 'Type DELETE to confirm',
+                confirmLabel: 'Delete All Data',
+                danger: true,
+                validate: value => (value === 'DELETE' ? null : 'Type DELETE exactly as shown, or choose Cancel to keep your data')
+            });
             
             if (userInput === 'DELETE') {
                 // Clear all data
                 localStorage.removeItem('complaints');
                 localStorage.removeItem('organizations');
-                localStorage.removeItem('complaint-form-draft');
+                savedSearches.clear();
+
+                // Through the app when it is loaded, so other open tabs drop their drafts and profiles too
+                if (window.complaintManager) {
+                    window.complaintManager.clearDrafts();
+                    window.complaintManager.clearContactProfiles();
+                } else {
+                    draftStore.clear();
+                    contactProfiles.clear();
+                }
+
+                try {
+                    await attachmentStore.clear();
+                } catch (error) {
+                    console.warn('Could not clear attachment files:', error);
+                }
                 
                 // Reset to defaults
                 this.complaints = [];
@@ -557,9 +799,11 @@ class AdminManager {
                 // Update main app if available
                 if (window.complaintManager) {
                     window.complaintManager.complaints = [];
+                    window.complaintManager.newerComplaints = [];
                     window.complaintManager.organizations = this.organizations;
-                    window.complaintManager.saveComplaints();
+                    await window.complaintManager.saveComplaints();
                     window.complaintManager.saveOrganizations();
+                    window.complaintManager.contactProfilesPanel?.refresh();
                 }
 
                 // Update UI
@@ -581,7 +825,12 @@ class AdminManager {
                 type: 'Retailer',
                 contactEmail: 'complaints@techmart.co.uk',
                 responseTimedays: 30,
-                escalationTimedays: 60
+                escalationTimedays: 60,
+                deadlineMode: 'calendar',
+                holidayRegion: 'england-and-wales',
+                ombudsmanName: '',
+                ombudsmanUrl: '',
+                schemaVersion: dataSchema.version
             },
             {
                 id: 'quickfix',
@@ -589,7 +838,12 @@ class AdminManager {
                 type: 'Service Provider',
                 contactEmail: 'support@quickfixplumbing.co.uk',
                 responseTimedays: 14,
-                escalationTimedays: 28
+                escalationTimedays: 28,
+                deadlineMode: 'working',
+                holidayRegion: 'england-and-wales',
+                ombudsmanName: '',
+                ombudsmanUrl: '',
+                schemaVersion: dataSchema.version
             },
             {
                 id: 'streamflex',
@@ -597,7 +851,12 @@ class AdminManager {
                 type: 'Subscription Service',
                 contactEmail: 'customer.service@streamflex.co.uk',
                 responseTimedays: 21,
-                escalationTimedays: 42
+                escalationTimedays: 42,
+                deadlineMode: 'calendar',
+                holidayRegion: 'england-and-wales',
+                ombudsmanName: '',
+                ombudsmanUrl: '',
+                schemaVersion: dataSchema.version
             }
         ];
         this.saveOrganizations();
@@ -654,6 +913,10 @@ class AdminManager {
         div.textContent = text;
         return div.innerHTML;
     }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
 }
 
 // Initialize admin manager when DOM is loaded
@@ -0,0 +1,168 @@
+/**
+ * AccessAssist - Evidence Attachments
+ * Receipts, photos, screenshots and emails kept with a complaint. The files
+ * live in the IndexedDB attachments store; the complaint record only holds
+ * each file's details (name, type, size and description), so it stays small
+ * enough to sync, export and list in letters.
+ */
+
+const ATTACHMENT_TYPES = {
+    'image/jpeg': { label: 'JPEG image', extensions: ['jpg', 'jpeg'] },
+    'image/png': { label: 'PNG image', extensions: ['png'] },
+    'image/gif': { label: 'GIF image', extensions: ['gif'] },
+    'image/webp': { label: 'WebP image', extensions: ['webp'] },
+    'application/pdf': { label: 'PDF document', extensions: ['pdf'] },
+    'text/plain': { label: 'Text file', extensions: ['txt'] },
+    'message/rfc822': { label: 'Email message', extensions: ['eml'] },
+    'application/vnd.ms-outlook': { label: 'Outlook message', extensions: ['msg'] },
+    'application/msword': { label: 'Word document', extensions: ['doc'] },
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { label: 'Word document', extensions: ['docx'] }
+};
+
+const ATTACHMENT_MAX_SIZE = 10 * 1024 * 1024;
+const ATTACHMENT_MAX_COUNT = 10;
+const ATTACHMENT_MISSING_MESSAGE = 'The file is not stored in this browser.';
+
+class AttachmentStore {
+    constructor() {
+        this.storage = null;
+    }
+
+    async open() {
+        if (!this.storage) {
+            this.storage = await createAttachmentStorage();
+        }
+        return this.storage;
+    }
+
+    isSupported() {
+        return IndexedDBAdapter.isSupported();
+    }
+
+    // Some systems report no type for saved emails, so fall back to the extension
+    getType(file) {
+        if (ATTACHMENT_TYPES[file.type]) return file.type;
+
+        const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+        return Object.keys(ATTACHMENT_TYPES).find(type => ATTACHMENT_TYPES[type].extensions.includes(extension)) || null;
+    }
+
+    isImage(type) {
+        return typeof type === 'string' && type.startsWith('image/');
+    }
+
+    // Value for a file input's accept attribute
+    getAccept() {
+        return Object.entries(ATTACHMENT_TYPES)
+            .flatMap(([type, { extensions }]) => [type, ...extensions.map(extension => `.${extension}`)])
+            .join(',');
+    }
+
+    /**
+     * Check a file before it is attached. Returns an error message, or null
+     * if the file can be attached.
+     */
+    validateFile(file, existingCount = 0) {
+        if (existingCount >= ATTACHMENT_MAX_COUNT) {
+            return `You can attach up to ${ATTACHMENT_MAX_COUNT} files to a complaint`;
+        }
+        if (!this.getType(file)) {
+            return `${file.name} cannot be attached. Use a photo or screenshot (JPEG, PNG, GIF or WebP), a PDF, a text file, an email or a Word document.`;
+        }
+        if (file.size === 0) {
+            return `${file.name} is empty`;
+        }
+        if (file.size > ATTACHMENT_MAX_SIZE) {
+            return `${file.name} is ${this.formatSize(file.size)}. Files must be ${this.formatSize(ATTACHMENT_MAX_SIZE)} or smaller.`;
+        }
+        return null;
+    }
+
+    // Images need a description so anyone who cannot see them knows what they show
+    validateDescription(attachment) {
+        if (this.isImage(attachment.type) && !(attachment.description || '').trim()) {
+            return `Please describe what ${attachment.name} shows`;
+        }
+        return null;
+    }
+
+    createAttachment(file, description = '') {
+        return {
+            id: 'att_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name: file.name,
+            type: this.getType(file),
+            size: file.size,
+            description: description.trim(),
+            addedDate: new Date().toISOString(),
+            blob: file
+        };
+    }
+
+    // The part of an attachment stored on the complaint record
+    toMetadata(attachment) {
+        const { blob, complaintId, ...metadata } = attachment;
+        return metadata;
+    }
+
+    /**
+     * Store attachment files against a complaint. Returns the details to keep
+     * on the complaint record.
+     */
+    async save(complaintId, attachments) {
+        const storage = await this.open();
+        await Promise.all(attachments.map(attachment => storage.put({ ...attachment, complaintId })));
+        return attachments.map(attachment => this.toMetadata(attachment));
+    }
+
+    async getBlob(attachmentId) {
+        const storage = await this.open();
+        const record = await storage.get(attachmentId);
+        return record ? record.blob : null;
+    }
+
+    /**
+     * Ids of the listed attachments whose files are not stored in this
+     * browser. Exports only carry attachment details, so files are missing
+     * after an import on another device or once all data has been cleared.
+     */
+    async findMissing(attachments) {
+        const storage = await this.open();
+        const records = await Promise.all(attachments.map(attachment => storage.get(attachment.id)));
+        return new Set(attachments.filter((attachment, index) => !records[index]).map(attachment => attachment.id));
+    }
+
+    async delete(attachmentIds) {
+        const storage = await this.open();
+        await Promise.all(attachmentIds.map(id => storage.delete(id)));
+    }
+
+    async deleteForComplaint(complaintId) {
+        const storage = await this.open();
+        const records = await storage.getByIndex('complaintId', complaintId);
+        await Promise.all(records.map(record => storage.delete(record.id)));
+    }
+
+    async clear() {
+        const storage = await this.open();
+        await storage.clear();
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} bytes`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    getTypeLabel(type) {
+        return ATTACHMENT_TYPES[type] ? ATTACHMENT_TYPES[type].label : 'File';
+    }
+
+    // One line per attachment for letters, listings and exports
+    describe(attachment, { missing = false } = {}) {
+        const details = `${attachment.name} (${this.getTypeLabel(attachment.type)}, ${this.formatSize(attachment.size)})`;
+        const described = attachment.description ? `${details}: ${attachment.description}` : details;
+        return missing ? `${described}. ${ATTACHMENT_MISSING_MESSAGE}` : described;
+    }
+}
+
+const attachmentStore = new AttachmentStore();
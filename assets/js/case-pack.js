@@ -0,0 +1,289 @@
+/**
+ * Case Pack Page JavaScript
+ * Brings a complaint's letter, details, deadlines, timeline and attachments
+ * together so it can be printed, posted or handed over, or saved as a
+ * tagged PDF that screen readers can navigate.
+ */
+
+class CasePackPage {
+    constructor() {
+        this.complaint = null;
+        this.organization = null;
+        this.pack = null;
+        this.missingAttachments = new Set();
+
+        this.init();
+    }
+
+    async init() {
+        if (window.complaintManager) {
+            await window.complaintManager.ready;
+        }
+
+        const container = document.getElementById('case-pack');
+        const id = new URLSearchParams(window.location.search).get('id');
+        const manager = window.complaintManager;
+
+        this.complaint = manager ? manager.complaints.find(c => c.id === id) : null;
+        this.missingAttachments = this.complaint ? await this.findMissingAttachments(this.complaint) : new Set();
+        container.removeAttribute('aria-busy');
+
+        if (!this.complaint) {
+            container.innerHTML = `
+                <h1 class="h2">Complaint not found</h1>
+                <p>We could not find this complaint. It may have been deleted. <a href="track-complaints.html">Go back to your complaints</a>.</p>
+            `;
+            return;
+        }
+
+        this.organization = manager.organizations.find(org => org.id === this.complaint.organizationId);
+        this.pack = this.buildPack(this.complaint, this.organization);
+
+        document.title = `${this.pack.title} - AccessAssist`;
+        container.innerHTML = this.createPackView(this.pack);
+        this.setupEventListeners();
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce('Case pack ready. You can print it or download it as a PDF.');
+        }
+    }
+
+    // Files not in this browser are marked, since the pack is handed over as proof
+    async findMissingAttachments(complaint) {
+        try {
+            return await attachmentStore.findMissing(complaint.attachments || []);
+        } catch (error) {
+            console.warn('Could not check attachment files:', error);
+            return new Set();
+        }
+    }
+
+    setupEventListeners() {
+        const printButton = document.getElementById('print-case-pack');
+        const downloadButton = document.getElementById('download-case-pack');
+
+        printButton.disabled = false;
+        printButton.addEventListener('click', () => window.print());
+
+        downloadButton.disabled = false;
+        downloadButton.addEventListener('click', () => this.downloadPdf());
+    }
+
+    /**
+     * Build the case pack in the same document shape as the referral pack:
+     * a title and sections holding paragraphs, label/value rows, list items
+     * or a table.
+     */
+    buildPack(complaint, organization, now = new Date()) {
+        const contact = complaint.contactDetails || {};
+        const sections = [
+            {
+                heading: 'Complaint letter',
+                className: 'case-pack-letter',
+                paragraphs: this.composeLetter(complaint, organization, complaint.letterTemplate, now)
+            }
+        ];
+
+        if (complaint.status === 'escalation') {
+            sections.push({
+                heading: 'Escalation letter',
+                className: 'case-pack-letter',
+                paragraphs: this.composeLetter(complaint, organization, 'escalation', now)
+            });
+        }
+
+        sections.push(
+            {
+                heading: 'Complaint details',
+                rows: [
+                    ['Title', complaint.title],
+                    ['Organization', organization?.name || 'Unknown Organization'],
+                    ['Organization email', organization?.contactEmail],
+                    ['Category', complaint.category ? complaintTaxonomy.getCategoryLabel(complaint.category) : ''],
+                    ['Tags', (complaint.tags || []).join(', ')],
+                    ['Reference number', complaint.referenceNumber],
+                    ...questionSets.toRows(complaint.answers),
+                    ['Status', STATUS_LABELS[complaint.status] || complaint.status],
+                    ['What happened', complaint.description],
+                    ['Outcome wanted', complaint.desiredOutcome],
+                    ...complaintOutcomes.toRows(complaint.outcome),
+                    ['Previous contact', complaint.previousContact]
+                ].filter(([, value]) => value)
+            },
+            {
+                heading: 'Contact details',
+                rows: [
+                    ['Name', contact.fullName],
+                    ['Email', contact.email],
+                    ['Phone', contact.phone],
+                    ['Address', contact.address]
+                ].filter(([, value]) => value)
+            },
+            {
+                heading: 'Key dates and deadlines',
+                rows: escalationPack.getKeyDates(complaint, organization, now)
+            },
+            {
+                heading: 'Timeline',
+                table: {
+                    headers: ['Date', 'Event', 'Details'],
+                    rows: correspondenceLog.getTimeline(complaint).map(event => this.describeEvent(event))
+                },
+                empty: 'Nothing has been recorded for this complaint yet.'
+            },
+            {
+                heading: 'Attachments',
+                items: (complaint.attachments || []).map(attachment => attachmentStore.describe(attachment, {
+                    missing: this.missingAttachments.has(attachment.id)
+                })),
+                empty: 'No attachments have been added to this complaint.'
+            }
+        );
+
+        return {
+            title: `Case pack: ${complaint.title}`,
+            subtitle: `Complaint to ${organization?.name || 'Unknown Organization'}, prepared ${letterComposer.formatLetterDate(now)}`,
+            sections
+        };
+    }
+
+    composeLetter(complaint, organization, template, now) {
+        const letter = letterComposer.compose(complaint, organization, { template, date: now });
+        return letterComposer.toText(letter).split('\n\n');
+    }
+
+    // One timeline row: date, what happened and any detail
+    describeEvent(event) {
+        const date = letterComposer.formatLetterDate(event.date);
+
+        if (event.type === 'correspondence') {
+            return [date, correspondenceLog.describe(event.item), event.item.summary];
+        }
+
+        const details = event.item.details || {};
+        if (details.status) {
+            const prefix = details.automatic ? 'Automatically changed' : 'Status changed';
+            return [date, `${prefix} to ${STATUS_LABELS[details.status] || details.status}`, details.reason || ''];
+        }
+        if (event.item.type === 'further_details') {
+            return [date, 'Further details added', duplicateDetector.describeFurtherDetails(event.item)];
+        }
+        if (event.item.type === 'outcome_updated') {
+            return [date, 'Outcome updated', complaintOutcomes.describeUpdate(event.item)];
+        }
+        return [date, event.item.type ? event.item.type.replace(/_/g, ' ') : 'Update', ''];
+    }
+
+    hasContent(section) {
+        return (section.paragraphs || []).length > 0 ||
+            (section.rows || []).length > 0 ||
+            (section.items || []).length > 0 ||
+            (section.table?.rows || []).length > 0;
+    }
+
+    createPackView(pack) {
+        return `
+            <h1 class="h2">${this.escapeHtml(pack.title)}</h1>
+            <p class="text-muted">${this.escapeHtml(pack.subtitle)}</p>
+            ${pack.sections.map((section, index) => this.createSectionView(section, `case-pack-section-${index}`)).join('')}
+        `;
+    }
+
+    createSectionView(section, id) {
+        const lines = text => this.escapeHtml(text).replace(/\n/g, '<br>');
+        let body = '';
+
+        if (!this.hasContent(section)) {
+            body = `<p>${this.escapeHtml(section.empty || '')}</p>`;
+        } else if (section.rows) {
+            body = `
+                <table class="table table-sm case-pack-table">
+                    <tbody>
+                        ${section.rows.map(([label, value]) => `
+                            <tr>
+                                <th scope="row">${this.escapeHtml(label)}</th>
+                                <td>${lines(value)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } else if (section.table) {
+            body = `
+                <table class="table table-sm case-pack-table">
+                    <thead>
+                        <tr>${section.table.headers.map(header => `<th scope="col">${this.escapeHtml(header)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${section.table.rows.map(row => `
+                            <tr>${row.map(cell => `<td>${lines(cell)}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } else if (section.items) {
+            body = `<ul>${section.items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>`;
+        } else {
+            body = section.paragraphs.map(paragraph => `<p>${lines(paragraph)}</p>`).join('');
+        }
+
+        return `
+            <section class="case-pack-section ${section.className || ''}" aria-labelledby="${id}">
+                <h2 class="h4" id="${id}">${this.escapeHtml(section.heading)}</h2>
+                ${body}
+            </section>
+        `;
+    }
+
+    toPdf(pack) {
+        const pdf = new TaggedPdfWriter({ title: pack.title });
+        pdf.heading(pack.title, 1);
+        pdf.paragraph(pack.subtitle);
+
+        pack.sections.forEach(section => {
+            pdf.heading(section.heading, 2);
+
+            if (!this.hasContent(section)) {
+                pdf.paragraph(section.empty || '');
+            } else if (section.rows) {
+                pdf.table(null, section.rows, { rowHeaders: true, widths: [0.3, 0.7] });
+            } else if (section.table) {
+                pdf.table(section.table.headers, section.table.rows, { widths: [0.2, 0.3, 0.5] });
+            } else if (section.items) {
+                pdf.list(section.items);
+            } else {
+                section.paragraphs.forEach(paragraph => pdf.paragraph(paragraph));
+            }
+        });
+
+        return pdf;
+    }
+
+    downloadPdf() {
+        if (!this.pack) return;
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(this.toPdf(this.pack).toBlob());
+        link.download = `case-pack-${new Date().toISOString().split('T')[0]}.pdf`;
+        link.click();
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce('Case pack downloaded as a PDF');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the case pack when DOM is loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.casePackPage = new CasePackPage();
+    });
+} else {
+    window.casePackPage = new CasePackPage();
+}
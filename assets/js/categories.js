@@ -0,0 +1,103 @@
+/**
+ * AccessAssist - Complaint Categories and Tags
+ * Every complaint has one category from a fixed list, so complaints can be
+ * grouped and filtered the same way everywhere, plus any number of the user's
+ * own tags. Tags are stored on each complaint; the admin page renames and
+ * deletes them across all complaints.
+ */
+
+const COMPLAINT_CATEGORIES = [
+    { id: 'billing', label: 'Billing and charges', description: 'Wrong bills, unexpected charges, refunds not paid' },
+    { id: 'faulty-goods', label: 'Faulty goods', description: 'Items that are broken, unsafe or not as described' },
+    { id: 'delivery', label: 'Delivery and missing items', description: 'Late, lost or damaged deliveries' },
+    { id: 'poor-service', label: 'Poor service', description: 'Work not done with care, missed appointments, rude staff' },
+    { id: 'accessibility', label: 'Discrimination or accessibility', description: 'Being treated unfairly, or reasonable adjustments not made' },
+    { id: 'contracts', label: 'Contracts and cancellations', description: 'Unfair terms, cancellations and renewals' },
+    { id: 'data-privacy', label: 'Data and privacy', description: 'Personal information misused, lost or not provided' },
+    { id: 'other', label: 'Other', description: 'Anything else' }
+];
+
+const TAG_MAX_LENGTH = 30;
+const TAG_MAX_COUNT = 10;
+
+class ComplaintTaxonomy {
+    getCategories() {
+        return COMPLAINT_CATEGORIES;
+    }
+
+    // Categories from a newer version or another device keep their id as the label
+    getCategoryLabel(categoryId) {
+        if (!categoryId) return 'Uncategorised';
+        const category = COMPLAINT_CATEGORIES.find(c => c.id === categoryId);
+        return category ? category.label : categoryId;
+    }
+
+    normalizeTag(tag) {
+        return String(tag || '').trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Turn typed tags (comma separated) or a list into clean tags. Blank and
+     * repeated tags are dropped; repeats are matched ignoring case.
+     */
+    parseTags(input) {
+        const tags = Array.isArray(input) ? input : String(input || '').split(',');
+        const seen = new Set();
+
+        return tags.map(tag => this.normalizeTag(tag)).filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Check a list of tags. Returns an error message, or null if they can be
+     * saved.
+     */
+    validateTags(tags) {
+        if (tags.length > TAG_MAX_COUNT) {
+            return `Use up to ${TAG_MAX_COUNT} tags`;
+        }
+        const tooLong = tags.find(tag => tag.length > TAG_MAX_LENGTH);
+        if (tooLong) {
+            return `"${tooLong}" is too long. Tags can be up to ${TAG_MAX_LENGTH} characters.`;
+        }
+        return null;
+    }
+
+    hasTag(complaint, tag) {
+        const key = tag.toLowerCase();
+        return (complaint.tags || []).some(t => t.toLowerCase() === key);
+    }
+
+    // Every tag in use, with how many complaints carry it, in alphabetical order
+    getAllTags(complaints) {
+        const counts = new Map();
+
+        complaints.forEach(complaint => {
+            (complaint.tags || []).forEach(tag => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count += 1;
+                counts.set(key, entry);
+            });
+        });
+
+        return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag, 'en-GB', { sensitivity: 'base' }));
+    }
+
+    // Renaming to a tag that already exists merges the two
+    renameTag(tags, from, to) {
+        const key = from.toLowerCase();
+        return this.parseTags(tags.map(tag => (tag.toLowerCase() === key ? to : tag)));
+    }
+
+    removeTag(tags, tag) {
+        const key = tag.toLowerCase();
+        return tags.filter(t => t.toLowerCase() !== key);
+    }
+}
+
+const complaintTaxonomy = new ComplaintTaxonomy();
@@ -0,0 +1,115 @@
+/**
+ * AccessAssist - Correspondence Log
+ * Records letters, emails, calls and meetings for each complaint. Entries are
+ * stored on complaint.correspondence and shown alongside status changes in the
+ * complaint timeline. Some replies suggest a next step in the lifecycle, such
+ * as resolving or escalating after a final response.
+ */
+
+const CORRESPONDENCE_DIRECTIONS = {
+    incoming: 'Received from organization',
+    outgoing: 'Sent to organization'
+};
+
+const CORRESPONDENCE_CHANNELS = {
+    email: 'Email',
+    letter: 'Letter',
+    phone: 'Phone call',
+    meeting: 'Meeting',
+    online: 'Online form or chat'
+};
+
+const CORRESPONDENCE_KINDS = {
+    general: 'General correspondence',
+    acknowledgement: 'Acknowledgement',
+    holding: 'Holding reply',
+    'final-response': 'Final response'
+};
+
+// Replies from the organization that move the complaint on, and where to
+const CORRESPONDENCE_SUGGESTIONS = {
+    acknowledgement: ['acknowledged'],
+    holding: ['in-progress'],
+    'final-response': ['resolved', 'escalation']
+};
+
+class CorrespondenceLog {
+    /**
+     * Check an entry before it is saved. Returns a map of field name to error
+     * message; an empty object means the entry is valid.
+     */
+    validate(data, now = new Date()) {
+        const errors = {};
+
+        if (!data.date) {
+            errors.date = 'Please enter the date of this correspondence';
+        } else if (data.date > deadlineCalculator.toDateKey(now)) {
+            errors.date = 'The date cannot be in the future';
+        }
+
+        if (!CORRESPONDENCE_DIRECTIONS[data.direction]) {
+            errors.direction = 'Please choose who it was from';
+        }
+
+        if (!CORRESPONDENCE_CHANNELS[data.channel]) {
+            errors.channel = 'Please choose how it was sent';
+        }
+
+        if (!CORRESPONDENCE_KINDS[data.kind]) {
+            errors.kind = 'Please choose the type of correspondence';
+        } else if (data.kind !== 'general' && data.direction !== 'incoming') {
+            errors.kind = `A ${CORRESPONDENCE_KINDS[data.kind].toLowerCase()} can only be received from the organization`;
+        }
+
+        if (!data.summary || !data.summary.trim()) {
+            errors.summary = 'Please summarise what was said';
+        }
+
+        return errors;
+    }
+
+    createEntry(data) {
+        return {
+            id: 'corr_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            date: data.date,
+            direction: data.direction,
+            channel: data.channel,
+            kind: data.kind,
+            summary: data.summary.trim(),
+            loggedDate: new Date().toISOString()
+        };
+    }
+
+    // Lifecycle transitions worth offering after this entry was logged
+    getSuggestedTransitions(complaint, entry) {
+        if (entry.direction !== 'incoming') return [];
+
+        const targets = CORRESPONDENCE_SUGGESTIONS[entry.kind] || [];
+        return complaintLifecycle.getAvailableTransitions(complaint)
+            .filter(transition => targets.includes(transition.to));
+    }
+
+    describe(entry) {
+        const direction = entry.direction === 'incoming' ? 'Received' : 'Sent';
+        const channel = (CORRESPONDENCE_CHANNELS[entry.channel] || entry.channel).toLowerCase();
+        const kind = entry.kind && entry.kind !== 'general' ? ` (${CORRESPONDENCE_KINDS[entry.kind]})` : '';
+        return `${direction} by ${channel}${kind}`;
+    }
+
+    /**
+     * Status changes and correspondence in date order, oldest first. Both are
+     * tagged so the timeline can render them differently.
+     */
+    getTimeline(complaint) {
+        const updates = (complaint.updates || []).map(update => ({ type: 'update', date: update.date, item: update }));
+        const correspondence = (complaint.correspondence || []).map(entry => ({
+            type: 'correspondence',
+            date: deadlineCalculator.parseDate(entry.date).toISOString(),
+            item: entry
+        }));
+
+        return [...updates, ...correspondence].sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+}
+
+const correspondenceLog = new CorrespondenceLog();
@@ -3,25 +3,55 @@
  * Handles the multi-step form for creating complaints with full accessibility support
  */
 
+// Save the draft this long after the user stops typing
+const DRAFT_AUTOSAVE_DELAY_MS = 500;
+
+// Re-check the description this long after the user stops typing
+const WRITING_CHECK_DELAY_MS = 400;
+
 class ComplaintFormManager {
     constructor() {
         this.currentStep = 1;
         this.totalSteps = 4;
         this.formData = {};
         this.organizations = [];
+        this.attachments = [];
+        this.draftId = null;
+        this.furthestStep = 1;
+        this.submitted = false;
+        this.allowDuplicate = false;
+        this.guidedMode = false;
+        this.questionIndex = -1;
         
         this.init();
     }
 
     init() {
         this.loadOrganizations();
+        this.populateCategoryOptions();
         this.setupEventListeners();
+        this.setupWritingAssistant();
+        this.setupDataSync();
         this.setupFormValidation();
         this.setupProgressIndicator();
-        
-        // Announce form ready
-        if (window.accessibilityManager) {
-            window.accessibilityManager.announce('Complaint creation form loaded. Step 1 of 4: Select organization.');
+        this.setupContactProfiles();
+        this.setupGuidedMode();
+
+        // New complaints start with the default contact profile; drafts keep their own details
+        const contactProfile = this.draftId ? null : this.applyDefaultContactProfile();
+
+        // A resumed draft takes priority over anything filled in by a link
+        const prefillParams = new URLSearchParams(window.location.search);
+        const hasPrefill = !this.draftId && Object.keys(PREFILL_PARAMETERS).some(name => prefillParams.has(name));
+        if (hasPrefill) {
+            this.applyPrefill(prefillParams).catch(error => console.error('Error applying prefill link:', error));
+        }
+
+        // Announce form ready (resumed drafts and prefilled forms announce where the user is instead)
+        if (window.accessibilityManager && !this.draftId && !hasPrefill) {
+            const profileNote = contactProfile ? ` Your contact details will be filled in from "${contactProfile.label}".` : '';
+            const position = this.guidedMode ? `${this.describeQuestion()}.` : 'Step 1 of 4: Select organization.';
+            window.accessibilityManager.announce(`Complaint creation form loaded. ${position}${profileNote}`);
         }
     }
 
@@ -40,31 +70,110 @@ class ComplaintFormManager {
             }
         }
 
-        this.populateOrganizationDropdown();
+        this.populateOrganizationPicker();
     }
 
-    populateOrganizationDropdown() {
-        const select = document.getElementById('organization');
-        if (!select) return;
+    // Options must exist before a draft is restored into them
+    populateCategoryOptions() {
+        const categorySelect = document.getElementById('complaint-category');
+        if (categorySelect) {
+            complaintTaxonomy.getCategories().forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.id;
+                option.textContent = `${category.label}: ${category.description}`;
+                categorySelect.appendChild(option);
+            });
+        }
+
+        const outcomeSelect = document.getElementById('outcome-type');
+        if (outcomeSelect) {
+            Object.entries(OUTCOME_TYPES).forEach(([value, label]) => outcomeSelect.add(new Option(label, value)));
+        }
+
+        const currencySelect = document.getElementById('claim-currency');
+        if (currencySelect) {
+            Object.entries(OUTCOME_CURRENCIES).forEach(([value, label]) => currencySelect.add(new Option(label, value)));
+            currencySelect.value = DEFAULT_OUTCOME_CURRENCY;
+        }
 
-        // Clear existing options except the first one
-        select.innerHTML = '<option value="">Choose an organization...</option>';
+        // Suggest the tags already in use so the same ones get reused
+        const tagsHelp = document.getElementById('complaint-tags-help');
+        const manager = window.complaintManager;
+        if (tagsHelp && manager) {
+            manager.ready.then(() => {
+                const tagsInUse = complaintTaxonomy.getAllTags(manager.complaints);
+                if (tagsInUse.length > 0) {
+                    tagsHelp.textContent += ` Tags you have used: ${tagsInUse.map(({ tag }) => tag).join(', ')}.`;
+                }
+            });
+        }
+    }
 
-        this.organizations.forEach(org => {
-            const option = document.createElement('option');
-            option.value = org.id;
-            option.textContent = org.name;
-            select.appendChild(option);
+    setupDataSync() {
+        if (!window.complaintManager) return;
+
+        // Pick up organizations added or edited in another tab without losing the selection
+        window.complaintManager.onChange((change) => {
+            if (change.scope !== 'organizations') return;
+
+            const field = document.getElementById('organization');
+            const selectedId = field ? field.value : '';
+
+            this.organizations = window.complaintManager.organizations;
+            this.populateOrganizationPicker();
+
+            if (field && this.organizations.some(org => org.id === selectedId)) {
+                field.dispatchEvent(new Event('change'));
+            } else if (selectedId) {
+                field.value = '';
+                field.dispatchEvent(new Event('change'));
+
+                if (window.accessibilityManager) {
+                    window.accessibilityManager.announce('The organization you selected was removed in another tab. Please choose again.', 'assertive');
+                }
+            }
         });
     }
 
+    populateOrganizationPicker() {
+        if (!this.organizationPicker) {
+            const input = document.getElementById('organization-search');
+            if (!input) return;
+
+            this.organizationPicker = new OrganizationPicker({
+                input,
+                listbox: document.getElementById('organization-listbox'),
+                valueField: document.getElementById('organization'),
+                onAdd: (name) => this.showNewOrganizationForm(name)
+            });
+        }
+
+        this.organizationPicker.setOrganizations(this.organizations);
+    }
+
     setupEventListeners() {
         // Organization selection
-        const orgSelect = document.getElementById('organization');
-        if (orgSelect) {
-            orgSelect.addEventListener('change', this.handleOrganizationSelection.bind(this));
+        const orgField = document.getElementById('organization');
+        if (orgField) {
+            orgField.addEventListener('change', this.handleOrganizationSelection.bind(this));
         }
 
+        // Adding an organization without leaving the wizard
+        const typeSelect = document.getElementById('new-org-type');
+        if (typeSelect) {
+            organizationDirectory.getTypes().forEach(type => {
+                typeSelect.add(new Option(type, type));
+            });
+        }
+        document.getElementById('show-new-organization')?.addEventListener('click', () => {
+            this.showNewOrganizationForm(this.organizationPicker && !this.organizationPicker.getSelected()
+                ? document.getElementById('organization-search').value.trim()
+                : '');
+        });
+        document.getElementById('save-new-organization')?.addEventListener('click', () => this.saveNewOrganization());
+        document.getElementById('cancel-new-organization')?.addEventListener('click', () => this.hideNewOrganizationForm());
+        document.getElementById('new-organization')?.addEventListener('input', (e) => this.clearFieldError(e.target));
+
         // Navigation buttons
         document.getElementById('next-to-step-2')?.addEventListener('click', () => this.goToStep(2));
         document.getElementById('back-to-step-1')?.addEventListener('click', () => this.goToStep(1));
@@ -73,12 +182,62 @@ class ComplaintFormManager {
         document.getElementById('next-to-step-4')?.addEventListener('click', () => this.goToStep(4));
         document.getElementById('back-to-step-3')?.addEventListener('click', () => this.goToStep(3));
 
+        // Evidence attachments
+        const attachmentInput = document.getElementById('attachment-files');
+        if (attachmentInput) {
+            attachmentInput.addEventListener('change', () => {
+                this.addAttachmentFiles(attachmentInput.files);
+                attachmentInput.value = '';
+            });
+        }
+
+        const attachmentList = document.getElementById('attachment-list');
+        if (attachmentList) {
+            attachmentList.addEventListener('input', (e) => {
+                const attachment = this.attachments.find(a => a.id === e.target.dataset.attachmentId);
+                if (!attachment) return;
+                attachment.description = e.target.value.trim();
+                this.clearFieldError(e.target);
+            });
+
+            attachmentList.addEventListener('click', (e) => {
+                const button = e.target.closest('.remove-attachment');
+                if (button) this.removeAttachment(button.dataset.attachmentId);
+            });
+        }
+
+        // Likely duplicate warning
+        const duplicateWarning = document.getElementById('duplicate-warning');
+        if (duplicateWarning) {
+            duplicateWarning.addEventListener('click', (e) => {
+                const addButton = e.target.closest('.add-to-duplicate');
+                if (addButton) {
+                    this.addToExistingComplaint(decodeURIComponent(addButton.dataset.complaintId));
+                } else if (e.target.closest('#submit-as-new')) {
+                    this.allowDuplicate = true;
+                    document.getElementById('complaint-form').requestSubmit();
+                }
+            });
+        }
+
         // Form submission
         const form = document.getElementById('complaint-form');
         if (form) {
             form.addEventListener('submit', this.handleFormSubmission.bind(this));
+            form.addEventListener('input', () => this.scheduleDraftSave());
+            form.addEventListener('change', () => this.scheduleDraftSave());
         }
 
+        document.getElementById('draft-name')?.addEventListener('input', () => this.scheduleDraftSave());
+        document.getElementById('save-draft')?.addEventListener('click', () => {
+            clearTimeout(this.draftSaveTimer);
+            this.saveCurrentStepData();
+
+            if (window.accessibilityManager) {
+                window.accessibilityManager.announce(this.draftId ? 'Draft saved' : 'Nothing to save yet. Start filling in the form first.');
+            }
+        });
+
         // Auto-save form data
         this.setupAutoSave();
 
@@ -91,8 +250,11 @@ class ComplaintFormManager {
         const detailsContainer = document.getElementById('organization-details');
         const detailsContent = document.getElementById('org-details-content');
 
+        this.clearFieldError(document.getElementById('organization-search'));
+
         if (!selectedId) {
             detailsContainer.classList.add('d-none');
+            this.renderOrganizationQuestions();
             return;
         }
 
@@ -100,17 +262,18 @@ class ComplaintFormManager {
         if (!organization) return;
 
         detailsContent.innerHTML = `
-            <p><strong>Type:</strong> ${organization.type}</p>
-            <p><strong>Contact Email:</strong> ${organization.contactEmail}</p>
-            <p><strong>Typical Response Time:</strong> ${organization.responseTimedays} days</p>
-            <p><strong>Escalation After:</strong> ${organization.escalationTimedays} days</p>
+            <p><strong>Type:</strong> ${this.escapeHtml(organization.type)}</p>
+            <p><strong>Contact Email:</strong> ${this.escapeHtml(organization.contactEmail)}</p>
+            <p><strong>Typical Response Time:</strong> ${deadlineCalculator.describePeriod(organization.responseTimedays, organization)}</p>
+            <p><strong>Escalation After:</strong> ${deadlineCalculator.describePeriod(organization.escalationTimedays, organization)}</p>
         `;
 
         detailsContainer.classList.remove('d-none');
+        this.renderOrganizationQuestions();
 
         // Announce the selection
         if (window.accessibilityManager) {
-            window.accessibilityManager.announce(`Selected ${organization.name}. Response time is typically ${organization.responseTimedays} days.`);
+            window.accessibilityManager.announce(`Selected ${organization.name}. Response time is typically ${deadlineCalculator.describePeriod(organization.responseTimedays, organization)}.`);
         }
     }
 
@@ -120,10 +283,10 @@ class ComplaintFormManager {
 
         // Custom validation messages
         const validationMessages = {
-            'organization': 'Please select an organization to complain about',
             'full-name': 'Please enter your full name',
             'email': 'Please enter a valid email address',
             'phone': 'Please enter a valid phone number',
+            'complaint-category': 'Please choose the category that best fits your complaint',
             'complaint-title': 'Please enter a title for your complaint',
             'complaint-description': 'Please describe your complaint in detail',
             'desired-outcome': 'Please explain what you would like them to do',
@@ -162,6 +325,558 @@ class ComplaintFormManager {
                 });
             }
         });
+
+        const attachmentInput = document.getElementById('attachment-files');
+        if (attachmentInput) {
+            attachmentInput.accept = attachmentStore.getAccept();
+
+            if (!attachmentStore.isSupported()) {
+                attachmentInput.disabled = true;
+                document.getElementById('attachment-files-help').textContent =
+                    'This browser cannot store files, so attachments are not available. You can still send your evidence to the organization yourself.';
+            }
+        }
+
+        const tagsInput = document.getElementById('complaint-tags');
+        if (tagsInput) {
+            tagsInput.addEventListener('input', () => this.clearFieldError(tagsInput));
+        }
+
+        const amountClaimed = document.getElementById('amount-claimed');
+        if (amountClaimed) {
+            amountClaimed.addEventListener('input', () => this.clearFieldError(amountClaimed));
+        }
+
+        const dateSent = document.getElementById('date-sent');
+        if (dateSent) {
+            dateSent.max = deadlineCalculator.toDateKey(new Date());
+            dateSent.addEventListener('change', () => this.validateDateSent());
+        }
+    }
+
+    // The date sent cannot be in the future or before the incident happened
+    validateDateSent() {
+        const field = document.getElementById('date-sent');
+        if (!field || !field.value) return true;
+
+        const incidentDate = document.getElementById('incident-date')?.value;
+        let message = null;
+
+        if (field.value > deadlineCalculator.toDateKey(new Date())) {
+            message = 'The date sent cannot be in the future';
+        } else if (incidentDate && field.value < incidentDate) {
+            message = 'The date sent cannot be before the incident date';
+        }
+
+        if (message) {
+            this.showFieldError(field, message);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    // Step 3 asks extra questions chosen by the organization's type
+    renderOrganizationQuestions() {
+        const section = document.getElementById('organization-questions');
+        const container = document.getElementById('organization-question-fields');
+        if (!section || !container) return;
+
+        const organization = this.organizations.find(org => org.id === document.getElementById('organization')?.value);
+        const questions = questionSets.getQuestions(organization);
+
+        if (questions.length === 0) {
+            section.classList.add('d-none');
+            container.innerHTML = '';
+            return;
+        }
+
+        document.getElementById('organization-questions-heading').textContent = `Details for ${organization.name}`;
+        document.getElementById('organization-questions-help').textContent =
+            `As a ${organization.type.toLowerCase()}, ${organization.name} will usually need these to find your records.`;
+
+        container.innerHTML = questions.map(question => {
+            const fieldId = questionSets.getFieldId(question);
+            return `
+                <div class="col-md-6">
+                    <label for="${fieldId}" class="form-label">
+                        ${this.escapeHtml(question.label)}
+                        ${question.required ? '<span class="text-danger" aria-label="required">*</span>' : ''}
+                    </label>
+                    <input type="${question.type === 'date' ? 'date' : 'text'}" class="form-control" id="${fieldId}"
+                        ${question.required ? 'aria-required="true"' : ''} aria-describedby="${fieldId}-help">
+                    <div id="${fieldId}-help" class="form-text">${this.escapeHtml(question.help || '')}</div>
+                </div>
+            `;
+        }).join('');
+
+        // Values are set here rather than in the markup so they are never parsed as HTML
+        questions.forEach(question => {
+            const field = document.getElementById(questionSets.getFieldId(question));
+            field.value = this.formData[field.id] || '';
+            if (question.type === 'date') {
+                field.max = deadlineCalculator.toDateKey(new Date());
+            }
+            field.addEventListener('input', () => this.clearFieldError(field));
+            field.addEventListener('change', () => this.validateQuestion(question));
+        });
+
+        section.classList.remove('d-none');
+    }
+
+    validateQuestion(question) {
+        const field = document.getElementById(questionSets.getFieldId(question));
+        if (!field) return true;
+
+        const message = questionSets.validate(question, field.value);
+        if (message) {
+            this.showFieldError(field, message);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    validateTags() {
+        const field = document.getElementById('complaint-tags');
+        const message = complaintTaxonomy.validateTags(complaintTaxonomy.parseTags(field.value));
+
+        if (message) {
+            this.showFieldError(field, message);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    validateAmountClaimed() {
+        const field = document.getElementById('amount-claimed');
+        const errors = complaintOutcomes.validate({
+            claimed: field.value,
+            currency: document.getElementById('claim-currency').value
+        });
+
+        if (errors.claimed) {
+            this.showFieldError(field, errors.claimed);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    validateOrganization() {
+        const field = document.getElementById('organization-search');
+
+        if (!document.getElementById('organization').value) {
+            this.showFieldError(field, field.value.trim()
+                ? 'Please choose an organization from the list, or add it as a new organization'
+                : 'Please select an organization to complain about');
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    showNewOrganizationForm(name = '') {
+        const fieldset = document.getElementById('new-organization');
+        if (!fieldset) return;
+
+        if (fieldset.classList.contains('d-none')) {
+            document.getElementById('new-org-name').value = name;
+            document.getElementById('new-org-type').value = '';
+            document.getElementById('new-org-email').value = '';
+            document.getElementById('new-org-response-time').value = NEW_ORGANIZATION_DEFAULTS.responseTimedays;
+            document.getElementById('new-org-escalation-time').value = NEW_ORGANIZATION_DEFAULTS.escalationTimedays;
+            fieldset.querySelectorAll('.is-invalid').forEach(field => this.clearFieldError(field));
+        } else if (name) {
+            document.getElementById('new-org-name').value = name;
+        }
+
+        fieldset.classList.remove('d-none');
+        document.getElementById('show-new-organization').setAttribute('aria-expanded', 'true');
+        document.getElementById(name ? 'new-org-type' : 'new-org-name').focus();
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce('Add a new organization. Fill in its name, type and complaints email.');
+        }
+    }
+
+    hideNewOrganizationForm({ focus = true } = {}) {
+        const fieldset = document.getElementById('new-organization');
+        if (!fieldset) return;
+
+        fieldset.classList.add('d-none');
+        document.getElementById('show-new-organization').setAttribute('aria-expanded', 'false');
+        if (focus) {
+            document.getElementById('organization-search').focus();
+        }
+    }
+
+    // Checked with the same rules as the admin page, then chosen for this complaint
+    saveNewOrganization() {
+        const fieldIds = {
+            name: 'new-org-name',
+            type: 'new-org-type',
+            contactEmail: 'new-org-email',
+            responseTimedays: 'new-org-response-time',
+            escalationTimedays: 'new-org-escalation-time'
+        };
+        const data = Object.fromEntries(Object.entries(fieldIds).map(([key, id]) => [key, document.getElementById(id).value]));
+        const organization = organizationDirectory.createOrganization(data);
+
+        Object.values(fieldIds).forEach(id => this.clearFieldError(document.getElementById(id)));
+        const errors = organizationDirectory.validate(organization, this.organizations);
+        const invalidFields = Object.keys(errors).filter(key => fieldIds[key]);
+        if (invalidFields.length > 0) {
+            invalidFields.forEach(key => this.showFieldError(document.getElementById(fieldIds[key]), errors[key]));
+            document.getElementById(fieldIds[invalidFields[0]]).focus();
+            return;
+        }
+
+        let saved = null;
+        if (window.complaintManager) {
+            try {
+                saved = window.complaintManager.addOrganization(organization);
+            } catch (error) {
+                // Another tab may have just added the same name
+                this.organizations = window.complaintManager.organizations;
+                this.populateOrganizationPicker();
+                const nameField = document.getElementById(fieldIds.name);
+                this.showFieldError(nameField, error.message);
+                nameField.focus();
+                return;
+            }
+            if (!saved) {
+                // Another tab changed the list; it has been reloaded, so try again with the latest
+                this.organizations = window.complaintManager.organizations;
+                this.populateOrganizationPicker();
+                if (window.accessibilityManager) {
+                    window.accessibilityManager.announce('The organizations list was changed in another tab. Please check the details and save again.', 'assertive');
+                }
+                return;
+            }
+            this.organizations = window.complaintManager.organizations;
+        } else {
+            saved = organization;
+            this.organizations = [...this.organizations, organization];
+            localStorage.setItem('organizations', JSON.stringify(this.organizations));
+        }
+
+        this.populateOrganizationPicker();
+        this.hideNewOrganizationForm({ focus: false });
+        this.organizationPicker.select(saved.id);
+        document.getElementById('organization-search').focus();
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(`Added ${saved.name} and selected it for this complaint.`);
+        }
+    }
+
+    setupContactProfiles() {
+        const select = document.getElementById('contact-profile');
+        if (!select) return;
+
+        this.populateContactProfiles();
+
+        select.addEventListener('change', () => this.useContactProfile(select.value));
+        document.getElementById('save-contact-profile')?.addEventListener('click', () => this.saveContactProfile());
+
+        // Show which profile the details came from, or none once they are edited
+        document.getElementById('step-2').addEventListener('input', (e) => {
+            if (e.target !== select) this.showMatchingContactProfile();
+        });
+
+        if (window.complaintManager) {
+            window.complaintManager.onChange((change) => {
+                if (change.scope === 'profiles') this.populateContactProfiles();
+            });
+        }
+    }
+
+    populateContactProfiles() {
+        const select = document.getElementById('contact-profile');
+        const profiles = contactProfiles.getAll();
+
+        select.innerHTML = '';
+        select.add(new Option('Someone else (type their details)', ''));
+        profiles.forEach(profile => {
+            select.add(new Option(profile.isDefault ? `${profile.label} (default)` : profile.label, profile.id));
+        });
+
+        document.getElementById('contact-profile-field').classList.toggle('d-none', profiles.length === 0);
+        document.getElementById('contact-profile-help').textContent = profiles.length === 0
+            ? 'Save your details below to fill them in next time, or add profiles for people you complain for in settings.'
+            : 'Changing your saved details later does not change complaints you have already made.';
+
+        this.showMatchingContactProfile();
+    }
+
+    getContactFormData() {
+        return Object.fromEntries(['full-name', 'email', 'phone', 'address', 'preferred-contact']
+            .map(id => [id, document.getElementById(id).value]));
+    }
+
+    showMatchingContactProfile() {
+        const select = document.getElementById('contact-profile');
+        const profile = contactProfiles.findMatching(this.getContactFormData());
+        select.value = profile ? profile.id : '';
+    }
+
+    // Only fills in a new, empty form, so nothing typed is overwritten
+    applyDefaultContactProfile() {
+        const profile = contactProfiles.getDefault();
+        const contact = this.getContactFormData();
+        if (!profile || contact['full-name'] || contact.email) return null;
+
+        this.fillContactDetails(profile);
+        return profile;
+    }
+
+    fillContactDetails(profile) {
+        Object.entries(contactProfiles.toFormData(profile)).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            field.value = value;
+            this.clearFieldError(field);
+        });
+        this.showMatchingContactProfile();
+    }
+
+    useContactProfile(profileId) {
+        const profile = contactProfiles.get(profileId);
+
+        if (profile) {
+            this.fillContactDetails(profile);
+        } else {
+            // Start again for someone without a saved profile
+            this.fillContactDetails({ preferredContact: 'email' });
+            document.getElementById('full-name').focus();
+        }
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(profile
+                ? `Filled in contact details from "${profile.label}".`
+                : 'Contact details cleared. Enter the details of the person this complaint is for.');
+        }
+    }
+
+    // Checked with the same rules as profiles edited in settings
+    async saveContactProfile() {
+        const fieldIds = {
+            fullName: 'full-name',
+            email: 'email',
+            phone: 'phone',
+            address: 'address',
+            preferredContact: 'preferred-contact'
+        };
+        const details = Object.fromEntries(Object.entries(fieldIds).map(([key, id]) => [key, document.getElementById(id).value]));
+
+        Object.values(fieldIds).forEach(id => this.clearFieldError(document.getElementById(id)));
+        const errors = contactProfiles.validate({ ...details, label: 'Profile' }, []);
+        const invalidFields = Object.keys(errors).filter(key => fieldIds[key]);
+        if (invalidFields.length > 0) {
+            invalidFields.forEach(key => this.showFieldError(document.getElementById(fieldIds[key]), errors[key]));
+            document.getElementById(fieldIds[invalidFields[0]]).focus();
+            return;
+        }
+
+        const isFirst = contactProfiles.readAll().length === 0;
+        const label = await accessibleDialog.prompt({
+            title: 'Save these details',
+            message: isFirst
+                ? 'They will be filled in for you on new complaints. You can change them in settings.'
+                : 'Choose this profile in step 2 to fill in these details.',
+            label: 'Profile name',
+            confirmLabel: 'Save',
+            validate: value => contactProfiles.validate({ ...details, label: value }).label || null
+        });
+        if (label === null) return;
+
+        const profile = { ...details, label };
+        const saved = window.complaintManager ? window.complaintManager.saveContactProfile(profile) : contactProfiles.save(profile);
+        this.populateContactProfiles();
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(`Saved your details as "${saved.label}".`);
+        }
+    }
+
+    setupWritingAssistant() {
+        const scheduleCheck = () => {
+            clearTimeout(this.writingCheckTimer);
+            this.writingCheckTimer = setTimeout(() => this.updateWritingAssistant(), WRITING_CHECK_DELAY_MS);
+        };
+
+        document.getElementById('complaint-description')?.addEventListener('input', scheduleCheck);
+        document.getElementById('incident-date')?.addEventListener('change', scheduleCheck);
+        document.getElementById('desired-outcome')?.addEventListener('input', scheduleCheck);
+
+        // A resumed draft is checked straight away
+        this.updateWritingAssistant();
+    }
+
+    // Advice only: nothing here stops the user moving on
+    updateWritingAssistant() {
+        const summary = document.getElementById('description-assistant-summary');
+        const details = document.getElementById('description-assistant-details');
+        if (!summary || !details) return;
+
+        const result = writingAssistant.analyze(document.getElementById('complaint-description').value, {
+            languageLevel: letterComposer.getLanguageLevel(),
+            incidentDate: document.getElementById('incident-date')?.value,
+            desiredOutcome: document.getElementById('desired-outcome')?.value
+        });
+
+        summary.textContent = writingAssistant.summarize(result);
+
+        if (result.wordCount === 0) {
+            details.innerHTML = '';
+            return;
+        }
+
+        const sections = [];
+        if (result.longSentences.length > 0) {
+            sections.push(this.renderAssistantList(
+                `Long sentences (over ${result.target.maxSentenceWords} words)`,
+                result.longSentences.map(sentence => `${sentence.words} words: “${this.escapeHtml(this.truncate(sentence.text, 80))}”. Try splitting it in two.`)
+            ));
+        }
+        if (result.toneIssues.length > 0) {
+            sections.push(this.renderAssistantList(
+                'Wording to reconsider',
+                result.toneIssues.map(issue => `<strong>${this.escapeHtml(issue.label)}:</strong> “${this.escapeHtml(issue.phrase)}”. ${this.escapeHtml(issue.suggestion)}`)
+            ));
+        }
+        if (result.missingFacts.length > 0) {
+            sections.push(this.renderAssistantList(
+                'Details to add',
+                result.missingFacts.map(fact => this.escapeHtml(fact.prompt))
+            ));
+        }
+        if (!result.meetsTarget) {
+            sections.push('<p class="small mb-0 mt-2">Shorter sentences and everyday words will make this easier to read.</p>');
+        }
+
+        details.innerHTML = sections.length > 0
+            ? sections.join('')
+            : '<p class="small mb-0 mt-2">Your description is clear and covers the main facts.</p>';
+    }
+
+    renderAssistantList(heading, items) {
+        return `
+            <p class="small fw-semibold mb-1 mt-2">${heading}</p>
+            <ul class="small mb-0">
+                ${items.map(item => `<li>${item}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+    }
+
+    validateOrganizationQuestions() {
+        const organization = this.organizations.find(org => org.id === this.formData.organization);
+        return questionSets.getQuestions(organization)
+            .map(question => this.validateQuestion(question))
+            .every(Boolean);
+    }
+
+    addAttachmentFiles(files) {
+        const input = document.getElementById('attachment-files');
+        const errors = [];
+        let added = 0;
+
+        Array.from(files).forEach(file => {
+            const error = attachmentStore.validateFile(file, this.attachments.length);
+            if (error) {
+                errors.push(error);
+                return;
+            }
+            this.attachments.push(attachmentStore.createAttachment(file));
+            added++;
+        });
+
+        this.renderAttachmentList();
+
+        if (errors.length > 0) {
+            this.showFieldError(input, errors.join(' '));
+        } else {
+            this.clearFieldError(input);
+        }
+
+        if (added > 0 && window.accessibilityManager) {
+            window.accessibilityManager.announce(`${added} file${added === 1 ? '' : 's'} attached. Add a description for each one below.`);
+        }
+    }
+
+    removeAttachment(attachmentId) {
+        const attachment = this.attachments.find(a => a.id === attachmentId);
+        if (!attachment) return;
+
+        this.attachments = this.attachments.filter(a => a.id !== attachmentId);
+        this.renderAttachmentList();
+
+        // The removed item's button has gone, so return focus to the file picker
+        document.getElementById('attachment-files')?.focus();
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(`Removed ${attachment.name}`);
+        }
+    }
+
+    renderAttachmentList() {
+        const list = document.getElementById('attachment-list');
+        if (!list) return;
+
+        list.innerHTML = this.attachments.map(attachment => {
+            const isImage = attachmentStore.isImage(attachment.type);
+            const fieldId = `attachment-description-${attachment.id}`;
+
+            return `
+                <li class="border rounded p-3 mb-2">
+                    <div class="d-flex flex-wrap justify-content-between align-items-start gap-2">
+                        <div>
+                            <strong>${this.escapeHtml(attachment.name)}</strong>
+                            <span class="text-muted">(${attachmentStore.getTypeLabel(attachment.type)}, ${attachmentStore.formatSize(attachment.size)})</span>
+                        </div>
+                        <button type="button" class="btn btn-outline-danger btn-sm remove-attachment" data-attachment-id="${attachment.id}" aria-label="Remove ${this.escapeHtml(attachment.name)}">
+                            Remove
+                        </button>
+                    </div>
+                    <div class="mt-2">
+                        <label for="${fieldId}" class="form-label">
+                            ${isImage ? 'Describe what this image shows <span class="text-danger" aria-label="required">*</span>' : 'Description (optional)'}
+                        </label>
+                        <input type="text" class="form-control" id="${fieldId}" data-attachment-id="${attachment.id}"${isImage ? ' aria-required="true"' : ''}>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        // Set descriptions as properties so quotes in them cannot break the markup
+        this.attachments.forEach(attachment => {
+            document.getElementById(`attachment-description-${attachment.id}`).value = attachment.description;
+        });
+    }
+
+    validateAttachments() {
+        let isValid = true;
+
+        this.attachments.forEach(attachment => {
+            const error = attachmentStore.validateDescription(attachment);
+            const field = document.getElementById(`attachment-description-${attachment.id}`);
+            if (error && field) {
+                this.showFieldError(field, error);
+                isValid = false;
+            }
+        });
+
+        return isValid;
     }
 
     showFieldError(field, message) {
@@ -233,15 +948,144 @@ class ComplaintFormManager {
         });
     }
 
+    setupGuidedMode() {
+        document.getElementById('guided-next')?.addEventListener('click', () => this.nextQuestion());
+        document.getElementById('guided-back')?.addEventListener('click', () => this.previousQuestion());
+
+        if (!window.accessibilityManager) return;
+
+        window.accessibilityManager.onSettingsChange(settings => {
+            if (!!settings.guidedMode === this.guidedMode) return;
+
+            this.setGuidedMode(!!settings.guidedMode);
+            window.accessibilityManager.announce(this.guidedMode
+                ? `Showing one question at a time. ${this.describeQuestion()}`.trim()
+                : 'Showing all the questions for each step.');
+        });
+
+        this.setGuidedMode(!!window.accessibilityManager.settings.guidedMode);
+    }
+
+    /**
+     * Switch between whole steps and one question at a time (see guided.js).
+     * Both use the same fields, so answers, validation and drafts carry over.
+     */
+    setGuidedMode(enabled) {
+        this.guidedMode = enabled;
+        document.getElementById('complaint-form')?.classList.toggle('guided-mode', enabled);
+        this.showQuestion(enabled ? guidedQuestions.firstOfStep(this.currentStep) : -1);
+    }
+
+    // Show one question's fields and explanation; -1 hides the guided panel, as on the review step
+    showQuestion(index) {
+        const question = guidedQuestions.get(index);
+        this.questionIndex = question ? index : -1;
+
+        document.querySelectorAll('.guided-current').forEach(element => element.classList.remove('guided-current'));
+        document.getElementById('guided-question')?.classList.toggle('d-none', !question);
+        document.getElementById('guided-nav')?.classList.toggle('d-none', !question);
+        if (!question) return;
+
+        this.getQuestionElements(question).forEach(element => element.classList.add('guided-current'));
+
+        document.getElementById('guided-progress').textContent = guidedQuestions.describeProgress(index);
+        document.getElementById('guided-question-title').textContent = question.title;
+        document.getElementById('guided-explanation').textContent = question.explanation;
+        document.getElementById('guided-example').textContent = question.example;
+        document.getElementById('guided-why').textContent = question.why;
+        document.querySelector('#guided-question details').open = false;
+
+        document.getElementById('guided-back').classList.toggle('d-none', index === 0);
+        document.getElementById('guided-next-label').textContent = index === guidedQuestions.count() - 1
+            ? 'Next: Review'
+            : 'Next question';
+    }
+
+    getQuestionElements(question) {
+        return [...document.querySelectorAll(`[data-question="${question.id}"]`)];
+    }
+
+    // "Question 3 of 11: What email address should they reply to?"
+    describeQuestion() {
+        const question = guidedQuestions.get(this.questionIndex);
+        return question ? `${guidedQuestions.describeProgress(this.questionIndex)}: ${question.title}` : '';
+    }
+
+    announceQuestion() {
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(this.describeQuestion());
+        }
+    }
+
+    // Focus the first field the user can answer, skipping hidden parts such as an empty profile list
+    focusQuestion() {
+        const question = guidedQuestions.get(this.questionIndex);
+        if (!question) return;
+
+        const field = this.getQuestionElements(question)
+            .flatMap(element => [...element.querySelectorAll('input, select, textarea')])
+            .find(input => input.type !== 'hidden' && !input.closest('.d-none'));
+        if (field) {
+            setTimeout(() => field.focus(), 100);
+        }
+    }
+
+    nextQuestion() {
+        const question = guidedQuestions.get(this.questionIndex);
+        if (!question || !this.validateWithin(this.getQuestionElements(question))) return;
+
+        const next = guidedQuestions.get(this.questionIndex + 1);
+        if (!next || next.step !== question.step) {
+            this.goToStep(question.step + 1);
+            return;
+        }
+
+        this.saveCurrentStepData();
+        this.showQuestion(this.questionIndex + 1);
+        this.focusQuestion();
+        this.announceQuestion();
+    }
+
+    previousQuestion() {
+        const question = guidedQuestions.get(this.questionIndex);
+        const previous = guidedQuestions.get(this.questionIndex - 1);
+        if (!question || !previous) return;
+
+        if (previous.step !== question.step) {
+            this.goToStep(previous.step);
+            return;
+        }
+
+        this.saveCurrentStepData();
+        this.showQuestion(this.questionIndex - 1);
+        this.focusQuestion();
+        this.announceQuestion();
+    }
+
+    // After a step fails validation, go to the question with the first error
+    showInvalidQuestion() {
+        const invalid = document.querySelector(`#step-${this.currentStep} .is-invalid`);
+        const index = guidedQuestions.indexOf(invalid?.closest('[data-question]')?.dataset.question);
+        if (index < 0) return;
+
+        this.showQuestion(index);
+        setTimeout(() => invalid.focus(), 100);
+    }
+
     goToStep(stepNumber) {
         if (stepNumber < 1 || stepNumber > this.totalSteps) return;
         
         // Validate current step before proceeding
         if (stepNumber > this.currentStep && !this.validateCurrentStep()) {
+            if (this.guidedMode) this.showInvalidQuestion();
             return;
         }
 
-        // Save current step data
+        // A duplicate warning no longer applies once the user goes back to edit
+        this.hideDuplicateWarning();
+
+        // Save current step data, recording how far the user has got
+        this.furthestStep = Math.max(this.furthestStep, stepNumber);
         this.saveCurrentStepData();
 
         // Hide current step
@@ -250,25 +1094,39 @@ class ComplaintFormManager {
             currentStepElement.classList.add('d-none');
         }
 
+        // In guided mode a step opens on its first question, or its last when going back
+        const questionIndex = stepNumber < this.currentStep
+            ? guidedQuestions.lastOfStep(stepNumber)
+            : guidedQuestions.firstOfStep(stepNumber);
+
         // Show new step
         const newStepElement = document.getElementById(`step-${stepNumber}`);
         if (newStepElement) {
             newStepElement.classList.remove('d-none');
-            
-            // Focus first input in new step
-            const firstInput = newStepElement.querySelector('input, select, textarea');
-            if (firstInput) {
-                setTimeout(() => firstInput.focus(), 100);
-            }
         }
 
         this.currentStep = stepNumber;
         this.updateProgressIndicator();
 
-        // Announce step change
-        if (window.accessibilityManager) {
-            const stepNames = ['', 'Select Organization', 'Your Details', 'Complaint Details', 'Review'];
-            window.accessibilityManager.announce(`Step ${stepNumber} of ${this.totalSteps}: ${stepNames[stepNumber]}`);
+        if (this.guidedMode) {
+            this.showQuestion(questionIndex);
+        }
+
+        if (this.questionIndex >= 0) {
+            this.focusQuestion();
+            this.announceQuestion();
+        } else {
+            // Focus first input in new step
+            const firstInput = newStepElement?.querySelector('input, select, textarea');
+            if (firstInput) {
+                setTimeout(() => firstInput.focus(), 100);
+            }
+
+            // Announce step change
+            if (window.accessibilityManager) {
+                const stepNames = ['', 'Select Organization', 'Your Details', 'Complaint Details', 'Review'];
+                window.accessibilityManager.announce(`Step ${stepNumber} of ${this.totalSteps}: ${stepNames[stepNumber]}`);
+            }
         }
 
         // Special handling for review step
@@ -284,7 +1142,13 @@ class ComplaintFormManager {
         const currentStepElement = document.getElementById(`step-${this.currentStep}`);
         if (!currentStepElement) return true;
 
-        const requiredFields = currentStepElement.querySelectorAll('[required]');
+        return this.validateWithin([currentStepElement]);
+    }
+
+    // Check the fields inside `roots`: a whole step, or the parts of it that one guided question shows
+    validateWithin(roots) {
+        const contains = selector => roots.some(root => root.matches(selector) || root.querySelector(selector));
+        const requiredFields = roots.flatMap(root => [...root.querySelectorAll('[required]')]);
         let isValid = true;
 
         requiredFields.forEach(field => {
@@ -294,6 +1158,30 @@ class ComplaintFormManager {
             }
         });
 
+        if (contains('#organization') && !this.validateOrganization()) {
+            isValid = false;
+        }
+
+        if (contains('#date-sent') && !this.validateDateSent()) {
+            isValid = false;
+        }
+
+        if (contains('#complaint-tags') && !this.validateTags()) {
+            isValid = false;
+        }
+
+        if (contains('#amount-claimed') && !this.validateAmountClaimed()) {
+            isValid = false;
+        }
+
+        if (contains('#organization-questions') && !this.validateOrganizationQuestions()) {
+            isValid = false;
+        }
+
+        if (contains('#attachment-list') && !this.validateAttachments()) {
+            isValid = false;
+        }
+
         return isValid;
     }
 
@@ -303,6 +1191,9 @@ class ComplaintFormManager {
 
         const fields = currentStepElement.querySelectorAll('input, select, textarea');
         fields.forEach(field => {
+            // Files cannot be saved in a draft
+            if (field.closest('[data-no-draft]')) return;
+
             if (field.type === 'checkbox') {
                 this.formData[field.id] = field.checked;
             } else {
@@ -310,74 +1201,166 @@ class ComplaintFormManager {
             }
         });
 
-        // Save to localStorage for recovery
+        this.saveDraft();
+    }
+
+    scheduleDraftSave() {
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = setTimeout(() => this.saveCurrentStepData(), DRAFT_AUTOSAVE_DELAY_MS);
+    }
+
+    // Keep the answers so far as a named draft; empty forms are not saved
+    saveDraft() {
+        if (this.submitted) return;
+        if (!this.draftId && !draftStore.hasContent(this.formData)) return;
+
+        const draft = {
+            id: this.draftId,
+            name: document.getElementById('draft-name')?.value || '',
+            formData: this.formData,
+            step: this.furthestStep
+        };
+
         try {
-            localStorage.setItem('complaint-form-draft', JSON.stringify(this.formData));
+            const saved = window.complaintManager ? window.complaintManager.saveDraft(draft) : draftStore.save(draft);
+            this.draftId = saved.id;
+            this.showDraftStatus(saved.updatedDate);
         } catch (error) {
             console.warn('Could not save form draft:', error);
         }
     }
 
+    showDraftStatus(date) {
+        const status = document.getElementById('draft-status');
+        if (status) {
+            status.textContent = `Draft saved at ${new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`;
+        }
+    }
+
     populateReviewStep() {
         const reviewContent = document.getElementById('review-content');
         if (!reviewContent) return;
 
         const organization = this.organizations.find(org => org.id === this.formData.organization);
+        this.renderReviewLetter();
         
         reviewContent.innerHTML = `
             <div class="row g-3">
                 <div class="col-md-6">
                     <h5 class="h6">Organization</h5>
-                    <p class="mb-0">${organization?.name || 'Not selected'}</p>
+                    <p class="mb-0">${this.escapeHtml(organization?.name || 'Not selected')}</p>
                 </div>
                 <div class="col-md-6">
                     <h5 class="h6">Your Name</h5>
-                    <p class="mb-0">${this.formData['full-name'] || 'Not provided'}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formData['full-name'] || 'Not provided')}</p>
                 </div>
                 <div class="col-md-6">
                     <h5 class="h6">Email</h5>
-                    <p class="mb-0">${this.formData.email || 'Not provided'}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formData.email || 'Not provided')}</p>
                 </div>
                 <div class="col-md-6">
                     <h5 class="h6">Phone</h5>
-                    <p class="mb-0">${this.formData.phone || 'Not provided'}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formData.phone || 'Not provided')}</p>
+                </div>
+                <div class="col-md-6">
+                    <h5 class="h6">Category</h5>
+                    <p class="mb-0">${this.escapeHtml(complaintTaxonomy.getCategoryLabel(this.formData['complaint-category']))}</p>
+                </div>
+                <div class="col-md-6">
+                    <h5 class="h6">Tags</h5>
+                    <p class="mb-0">${this.escapeHtml(complaintTaxonomy.parseTags(this.formData['complaint-tags']).join(', ') || 'None')}</p>
                 </div>
                 <div class="col-12">
                     <h5 class="h6">Complaint Title</h5>
-                    <p class="mb-0">${this.formData['complaint-title'] || 'Not provided'}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formData['complaint-title'] || 'Not provided')}</p>
                 </div>
                 <div class="col-12">
                     <h5 class="h6">Description</h5>
-                    <p class="mb-0">${this.formData['complaint-description'] || 'Not provided'}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formData['complaint-description'] || 'Not provided')}</p>
                 </div>
                 <div class="col-12">
                     <h5 class="h6">Desired Outcome</h5>
-                    <p class="mb-0">${this.formData['desired-outcome'] || 'Not provided'}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formData['desired-outcome'] || 'Not provided')}</p>
+                </div>
+                ${complaintOutcomes.toRows(this.getOutcome()).map(([label, value]) => `
+                <div class="col-md-6">
+                    <h5 class="h6">${this.escapeHtml(label)}</h5>
+                    <p class="mb-0">${this.escapeHtml(value)}</p>
                 </div>
+                `).join('')}
                 ${this.formData['incident-date'] ? `
                 <div class="col-md-6">
                     <h5 class="h6">Incident Date</h5>
-                    <p class="mb-0">${this.formatDate(this.formData['incident-date'])}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formatDate(this.formData['incident-date']))}</p>
                 </div>
                 ` : ''}
+                <div class="col-md-6">
+                    <h5 class="h6">Date Sent</h5>
+                    <p class="mb-0">${this.formData['date-sent'] ? this.escapeHtml(this.formatDate(this.formData['date-sent'])) : 'Today (when you submit)'}</p>
+                </div>
+                ${this.getReviewDeadline(organization)}
                 ${this.formData['reference-number'] ? `
                 <div class="col-md-6">
                     <h5 class="h6">Reference Number</h5>
-                    <p class="mb-0">${this.formData['reference-number']}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formData['reference-number'])}</p>
                 </div>
                 ` : ''}
+                ${questionSets.toRows(questionSets.collectAnswers(organization, this.formData)).map(([label, value]) => `
+                <div class="col-md-6">
+                    <h5 class="h6">${this.escapeHtml(label)}</h5>
+                    <p class="mb-0">${this.escapeHtml(value)}</p>
+                </div>
+                `).join('')}
                 ${this.formData['previous-contact'] ? `
                 <div class="col-12">
                     <h5 class="h6">Previous Contact</h5>
-                    <p class="mb-0">${this.formData['previous-contact']}</p>
+                    <p class="mb-0">${this.escapeHtml(this.formData['previous-contact'])}</p>
                 </div>
                 ` : ''}
+                <div class="col-12">
+                    <h5 class="h6">Attachments</h5>
+                    ${this.attachments.length > 0 ? `
+                    <ul class="mb-0">
+                        ${this.attachments.map(attachment => `<li>${this.escapeHtml(attachmentStore.describe(attachment))}</li>`).join('')}
+                    </ul>
+                    ` : '<p class="mb-0">None</p>'}
+                </div>
             </div>
         `;
     }
 
+    renderReviewLetter() {
+        const container = document.getElementById('review-letter');
+        if (!container) return;
+
+        if (!this.letterPanel) {
+            this.letterPanel = new LetterPanel(container, 'review-letter', () => ({
+                complaint: this.getComplaintData(),
+                organization: this.organizations.find(org => org.id === this.formData.organization)
+            }));
+            this.letterPanel.setTemplate(this.formData['review-letter-template']);
+        }
+
+        this.letterPanel.render();
+    }
+
+    getReviewDeadline(organization) {
+        const deadline = deadlineCalculator.responseDeadline(
+            { sentDate: this.formData['date-sent'] || null, createdDate: new Date().toISOString() },
+            organization
+        );
+        if (!deadline) return '';
+
+        return `
+                <div class="col-md-6">
+                    <h5 class="h6">Response Expected By</h5>
+                    <p class="mb-0">${this.formatDate(deadline)} (${deadlineCalculator.describePeriod(organization.responseTimedays, organization)})</p>
+                </div>
+        `;
+    }
+
     formatDate(dateString) {
-        const date = new Date(dateString);
+        const date = deadlineCalculator.parseDate(dateString);
         return date.toLocaleDateString('en-GB', {
             day: 'numeric',
             month: 'long',
@@ -386,11 +1369,7 @@ class ComplaintFormManager {
     }
 
     setupAutoSave() {
-        // Auto-save every 30 seconds
-        setInterval(() => {
-            this.saveCurrentStepData();
-        }, 30000);
-
+        // Answers are also saved shortly after each change (see scheduleDraftSave)
         // Save on page unload
         window.addEventListener('beforeunload', () => {
             this.saveCurrentStepData();
@@ -400,27 +1379,100 @@ class ComplaintFormManager {
         this.restoreDraft();
     }
 
+    // Resume the draft named in the URL; otherwise start a new complaint
     restoreDraft() {
-        try {
-            const draft = localStorage.getItem('complaint-form-draft');
-            if (draft) {
-                const draftData = JSON.parse(draft);
-                
-                // Ask user if they want to restore
-                if (confirm('We found a saved draft of your complaint. Would you like to restore it?')) {
-                    this.formData = draftData;
-                    this.populateFormFromData();
-                    
-                    if (window.accessibilityManager) {
-                        window.accessibilityManager.announce('Draft restored successfully');
-                    }
-                }
+        const draftId = new URLSearchParams(window.location.search).get('draft');
+        const draft = draftId ? draftStore.get(draftId) : null;
+
+        if (!draft) {
+            this.showDraftNotice(!!draftId);
+            return;
+        }
+
+        this.draftId = draft.id;
+        this.formData = { ...draft.formData };
+        this.furthestStep = draft.step;
+        document.getElementById('draft-name').value = draft.name;
+        this.populateFormFromData();
+        this.showDraftStatus(draft.updatedDate);
+
+        if (draft.step > 1) {
+            this.goToStep(draft.step);
+        }
+
+        if (window.accessibilityManager) {
+            const name = draftStore.getName(draft, this.organizations);
+            window.accessibilityManager.announce(`Resumed draft: ${name}. ${draftStore.describeStep(this.currentStep)}.`);
+        }
+    }
+
+    /**
+     * Fill in fields from a link (see prefill.js), then move on to the step it
+     * asks for as far as the answers so far allow.
+     */
+    async applyPrefill(params) {
+        // Follow-up links refer to a saved complaint, so wait for complaints to load
+        if (window.complaintManager) {
+            await window.complaintManager.ready;
+        }
+
+        const prefill = wizardPrefill.parse(params, {
+            organizations: this.organizations,
+            complaints: window.complaintManager ? window.complaintManager.complaints : []
+        });
+
+        if (prefill.rejected.length > 0) {
+            console.warn('Prefill parameters ignored:', prefill.rejected.join(', '));
+        }
+
+        this.formData = { ...this.formData, ...prefill.values };
+        this.populateFormFromData();
+        this.updateWritingAssistant();
+
+        for (let step = 2; step <= prefill.step && this.isStepComplete(step - 1); step++) {
+            this.goToStep(step);
+        }
+
+        if (window.accessibilityManager) {
+            const messages = [];
+            if (prefill.applied.length > 0) {
+                messages.push(`Filled in from the link you followed: ${wizardPrefill.formatList(prefill.applied)}. Please check them.`);
             }
-        } catch (error) {
-            console.warn('Could not restore draft:', error);
+            if (prefill.rejected.length > 0) {
+                messages.push(`Some details in the link could not be used: ${wizardPrefill.formatList(prefill.rejected)}.`);
+            }
+            messages.push(`${draftStore.describeStep(this.currentStep)}.`);
+            window.accessibilityManager.announce(messages.join(' '));
         }
     }
 
+    // Like validateCurrentStep, but without showing errors
+    isStepComplete(stepNumber) {
+        const stepElement = document.getElementById(`step-${stepNumber}`);
+        if (!stepElement) return false;
+        if (stepElement.querySelector('#organization') && !document.getElementById('organization').value) return false;
+
+        return [...stepElement.querySelectorAll('[required]')].every(field => field.validity.valid);
+    }
+
+    // Point out drafts the user may have meant to continue, without blocking the form
+    showDraftNotice(missing) {
+        const notice = document.getElementById('draft-notice');
+        const count = draftStore.getAll().length;
+        if (!notice || (!missing && count === 0)) return;
+
+        const messages = [];
+        if (missing) {
+            messages.push('That draft could not be found. It may have been submitted or discarded.');
+        }
+        if (count > 0) {
+            messages.push(`You have ${count} unfinished draft${count === 1 ? '' : 's'}. <a href="index.html#drafts-heading">Resume a draft from the dashboard</a>, or carry on below to start a new complaint.`);
+        }
+
+        notice.innerHTML = `<div class="alert alert-info" role="status">${messages.join(' ')}</div>`;
+        notice.classList.remove('d-none');
+    }
+
     populateFormFromData() {
         Object.keys(this.formData).forEach(fieldId => {
             const field = document.getElementById(fieldId);
@@ -431,7 +1483,7 @@ class ComplaintFormManager {
                     field.value = this.formData[fieldId];
                 }
 
-                // Trigger change event for organization dropdown
+                // Show the organization's name and details
                 if (fieldId === 'organization') {
                     field.dispatchEvent(new Event('change'));
                 }
@@ -444,7 +1496,9 @@ class ComplaintFormManager {
             // Alt + Right Arrow: Next step
             if (event.altKey && event.key === 'ArrowRight') {
                 event.preventDefault();
-                if (this.currentStep < this.totalSteps) {
+                if (this.guidedMode && this.currentStep < this.totalSteps) {
+                    this.nextQuestion();
+                } else if (this.currentStep < this.totalSteps) {
                     this.goToStep(this.currentStep + 1);
                 }
             }
@@ -452,21 +1506,80 @@ class ComplaintFormManager {
             // Alt + Left Arrow: Previous step
             if (event.altKey && event.key === 'ArrowLeft') {
                 event.preventDefault();
-                if (this.currentStep > 1) {
+                if (this.guidedMode && this.currentStep < this.totalSteps) {
+                    this.previousQuestion();
+                } else if (this.currentStep > 1) {
                     this.goToStep(this.currentStep - 1);
                 }
             }
 
-            // Escape: Cancel (go back to dashboard)
-            if (event.key === 'Escape') {
-                if (confirm('Are you sure you want to cancel? Your progress will be saved as a draft.')) {
-                    this.saveCurrentStepData();
-                    window.location.href = 'index.html';
-                }
+            // Escape: Cancel (go back to dashboard), unless it belongs to a field or dialog
+            if (event.key === 'Escape' && !event.defaultPrevented && !this.isEscapeHandledElsewhere(event.target)) {
+                this.confirmCancel();
             }
         });
     }
 
+    isEscapeHandledElsewhere(target) {
+        return accessibleDialog.isOpen() ||
+            !!document.querySelector('.modal.show') ||
+            !!target.closest?.('input, textarea, select, [contenteditable="true"], dialog');
+    }
+
+    async confirmCancel() {
+        const leave = await accessibleDialog.confirm({
+            title: 'Leave this complaint?',
+            message: 'Your answers are saved as a draft, so you can carry on later from the dashboard.',
+            confirmLabel: 'Leave',
+            cancelLabel: 'Keep editing'
+        });
+
+        if (leave) {
+            clearTimeout(this.draftSaveTimer);
+            this.saveCurrentStepData();
+            window.location.href = 'index.html';
+        }
+    }
+
+    getOutcome() {
+        return complaintOutcomes.createOutcome({
+            type: this.formData['outcome-type'],
+            currency: this.formData['claim-currency'],
+            claimed: this.formData['amount-claimed']
+        });
+    }
+
+    // The complaint as entered so far, in the shape ComplaintManager stores
+    getComplaintData() {
+        return {
+            organizationId: this.formData.organization,
+            category: this.formData['complaint-category'] || '',
+            tags: complaintTaxonomy.parseTags(this.formData['complaint-tags']),
+            title: this.formData['complaint-title'],
+            description: this.formData['complaint-description'],
+            desiredOutcome: this.formData['desired-outcome'],
+            outcome: this.getOutcome(),
+            // A copy, so later edits to a contact profile do not change this complaint
+            contactDetails: {
+                fullName: this.formData['full-name'],
+                email: this.formData.email,
+                phone: this.formData.phone || '',
+                address: this.formData.address || '',
+                preferredContact: this.formData['preferred-contact'] || 'email'
+            },
+            incidentDate: this.formData['incident-date'] || null,
+            sentDate: this.formData['date-sent'] || null,
+            referenceNumber: this.formData['reference-number'] || '',
+            answers: questionSets.collectAnswers(
+                this.organizations.find(org => org.id === this.formData.organization),
+                this.formData
+            ),
+            previousContact: this.formData['previous-contact'] || '',
+            letterTemplate: this.letterPanel ? this.letterPanel.template : DEFAULT_LETTER_TEMPLATE,
+            attachments: this.attachments
+        };
+    }
+
     handleFormSubmission(event) {
         event.preventDefault();
 
@@ -488,23 +1601,17 @@ class ComplaintFormManager {
             return;
         }
 
-        // Create complaint object
-        const complaintData = {
-            organizationId: this.formData.organization,
-            title: this.formData['complaint-title'],
-            description: this.formData['complaint-description'],
-            desiredOutcome: this.formData['desired-outcome'],
-            contactDetails: {
-                fullName: this.formData['full-name'],
-                email: this.formData.email,
-                phone: this.formData.phone || '',
-                address: this.formData.address || '',
-                preferredContact: this.formData['preferred-contact'] || 'email'
-            },
-            incidentDate: this.formData['incident-date'] || null,
-            referenceNumber: this.formData['reference-number'] || '',
-            previousContact: this.formData['previous-contact'] || ''
-        };
+        const complaintData = this.getComplaintData();
+
+        // Same issue already raised with this organization: let the user choose
+        if (!this.allowDuplicate) {
+            const duplicates = duplicateDetector.findDuplicates(complaintData, window.complaintManager ? window.complaintManager.complaints : []);
+            if (duplicates.length > 0) {
+                this.showDuplicateWarning(duplicates);
+                return;
+            }
+        }
+        this.allowDuplicate = false;
 
         // Show loading state
         const submitButton = document.getElementById('submit-complaint');
@@ -514,19 +1621,24 @@ class ComplaintFormManager {
         }
 
         // Simulate submission delay for better UX
-        setTimeout(() => {
+        setTimeout(async () => {
             try {
                 // Create complaint using the main complaint manager
                 let complaint;
                 if (window.complaintManager) {
-                    complaint = window.complaintManager.createComplaint(complaintData);
+                    await window.complaintManager.ready;
+                    complaint = await window.complaintManager.createComplaint(complaintData);
                 } else {
                     // Fallback direct creation
                     complaint = this.createComplaintFallback(complaintData);
                 }
 
-                // Clear draft
-                localStorage.removeItem('complaint-form-draft');
+                // Keep the draft so nothing is lost when the complaint was not saved
+                if (!complaint) {
+                    throw new Error('The complaint could not be saved');
+                }
+
+                this.finishDraft();
 
                 // Show success message
                 if (window.accessibilityManager) {
@@ -553,6 +1665,92 @@ class ComplaintFormManager {
         }, 1000);
     }
 
+    // The draft has become a complaint (or part of one), so stop saving it
+    finishDraft() {
+        this.submitted = true;
+        clearTimeout(this.draftSaveTimer);
+        if (this.draftId) {
+            if (window.complaintManager) {
+                window.complaintManager.discardDraft(this.draftId);
+            } else {
+                draftStore.discard(this.draftId);
+            }
+        }
+    }
+
+    showDuplicateWarning(duplicates) {
+        const warning = document.getElementById('duplicate-warning');
+        if (!warning) return;
+
+        const organization = this.organizations.find(org => org.id === this.formData.organization);
+        const matches = duplicates.slice(0, 3);
+
+        warning.innerHTML = `
+            <h3 id="duplicate-warning-heading" class="alert-heading h6">You may have already made this complaint</h3>
+            <p>It looks like ${matches.length === 1 ? 'a complaint' : 'complaints'} you have already made to ${this.escapeHtml(organization ? organization.name : 'this organization')}:</p>
+            <ul class="list-unstyled">
+                ${matches.map(({ complaint, reasons }) => `
+                    <li class="mb-3">
+                        <a href="track-complaints.html#complaint-${encodeURIComponent(complaint.id)}">${this.escapeHtml(complaint.title)}</a>
+                        <span class="d-block small">Made ${this.formatDate(complaint.createdDate)}. ${this.escapeHtml(STATUS_LABELS[complaint.status] || complaint.status)}. ${this.escapeHtml(reasons.join(', '))}.</span>
+                        <button type="button" class="btn btn-primary btn-sm mt-1 add-to-duplicate" data-complaint-id="${encodeURIComponent(complaint.id)}">
+                            Add as an update to “${this.escapeHtml(complaint.title)}”
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            <p>Adding an update keeps everything about one issue together, including any files you attached. If this is a different problem, submit it as a new complaint.</p>
+            <button type="button" class="btn btn-outline-secondary" id="submit-as-new">Submit as a new complaint</button>
+        `;
+
+        warning.classList.remove('d-none');
+        warning.focus();
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce('You may have already made this complaint. Choose whether to add it as an update or submit it as a new complaint.', 'assertive');
+        }
+    }
+
+    hideDuplicateWarning() {
+        const warning = document.getElementById('duplicate-warning');
+        if (!warning || warning.classList.contains('d-none')) return;
+
+        warning.classList.add('d-none');
+        warning.innerHTML = '';
+    }
+
+    async addToExistingComplaint(complaintId) {
+        if (!window.complaintManager) return;
+
+        const buttons = document.querySelectorAll('#duplicate-warning button');
+        buttons.forEach(button => { button.disabled = true; });
+
+        try {
+            await window.complaintManager.ready;
+            const update = await window.complaintManager.addFurtherDetails(complaintId, this.getComplaintData());
+            if (!update) {
+                throw new Error('The complaint could not be updated');
+            }
+
+            this.finishDraft();
+
+            if (window.accessibilityManager) {
+                window.accessibilityManager.announce('Your details were added to the existing complaint. You will be taken to it on the tracking page.', 'assertive');
+            }
+
+            setTimeout(() => {
+                window.location.href = `track-complaints.html#complaint-${encodeURIComponent(complaintId)}`;
+            }, 1500);
+        } catch (error) {
+            console.error('Error adding details to complaint:', error);
+            buttons.forEach(button => { button.disabled = false; });
+
+            if (window.accessibilityManager) {
+                window.accessibilityManager.announce('Error adding your details to that complaint. Please try again.', 'assertive');
+            }
+        }
+    }
+
     createComplaintFallback(complaintData) {
         // Direct localStorage fallback if main app not available
         const complaints = JSON.parse(localStorage.getItem('complaints') || '[]');
@@ -560,17 +1758,19 @@ class ComplaintFormManager {
         const complaint = {
             id: 'complaint_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
             ...complaintData,
+            // Files need the attachment store, which is not available here
+            attachments: [],
             createdDate: new Date().toISOString(),
             status: 'submitted',
-            updates: []
+            updates: [],
+            schemaVersion: typeof dataSchema !== 'undefined' ? dataSchema.version : 1
         };
 
         // Calculate deadline
         const organizations = JSON.parse(localStorage.getItem('organizations') || '[]');
         const organization = organizations.find(org => org.id === complaintData.organizationId);
-        if (organization) {
-            const deadline = new Date();
-            deadline.setDate(deadline.getDate() + organization.responseTimedays);
+        const deadline = deadlineCalculator.responseDeadline(complaint, organization);
+        if (deadline) {
             complaint.deadline = deadline.toISOString();
         }
 
@@ -579,6 +1779,12 @@ class ComplaintFormManager {
         
         return complaint;
     }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
 }
 
 // Initialize form manager when DOM is loaded
@@ -0,0 +1,142 @@
+/**
+ * AccessAssist - Deadline Calculation
+ * Works out response and escalation deadlines from the date a complaint was
+ * sent. Organizations count either calendar days or working days; working days
+ * skip weekends and the bank holidays of the organization's UK region.
+ */
+
+const DEADLINE_MODES = {
+    calendar: 'Calendar days',
+    working: 'Working days'
+};
+
+const HOLIDAY_REGIONS = {
+    'england-and-wales': 'England and Wales',
+    'scotland': 'Scotland',
+    'northern-ireland': 'Northern Ireland'
+};
+
+const DEFAULT_DEADLINE_MODE = 'calendar';
+const DEFAULT_HOLIDAY_REGION = 'england-and-wales';
+
+// Bundled so deadlines work offline. Substitute days are listed where a
+// holiday falls at a weekend. Extend this table when new years are announced.
+const ENGLAND_AND_WALES_HOLIDAYS = [
+    '2024-01-01', '2024-03-29', '2024-04-01', '2024-05-06', '2024-05-27', '2024-08-26', '2024-12-25', '2024-12-26',
+    '2025-01-01', '2025-04-18', '2025-04-21', '2025-05-05', '2025-05-26', '2025-08-25', '2025-12-25', '2025-12-26',
+    '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28',
+    '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-03', '2027-05-31', '2027-08-30', '2027-12-27', '2027-12-28'
+];
+
+const UK_BANK_HOLIDAYS = {
+    'england-and-wales': ENGLAND_AND_WALES_HOLIDAYS,
+    'scotland': [
+        '2024-01-01', '2024-01-02', '2024-03-29', '2024-05-06', '2024-05-27', '2024-08-05', '2024-12-02', '2024-12-25', '2024-12-26',
+        '2025-01-01', '2025-01-02', '2025-04-18', '2025-05-05', '2025-05-26', '2025-08-04', '2025-12-01', '2025-12-25', '2025-12-26',
+        '2026-01-01', '2026-01-02', '2026-04-03', '2026-05-04', '2026-05-25', '2026-08-03', '2026-11-30', '2026-12-25', '2026-12-28',
+        '2027-01-01', '2027-01-04', '2027-03-26', '2027-05-03', '2027-05-31', '2027-08-02', '2027-11-30', '2027-12-27', '2027-12-28'
+    ],
+    'northern-ireland': [
+        ...ENGLAND_AND_WALES_HOLIDAYS,
+        '2024-03-18', '2024-07-12',
+        '2025-03-17', '2025-07-14',
+        '2026-03-17', '2026-07-13',
+        '2027-03-17', '2027-07-12'
+    ].sort()
+};
+
+class DeadlineCalculator {
+    constructor(holidays = UK_BANK_HOLIDAYS) {
+        this.holidays = {};
+        Object.entries(holidays).forEach(([region, dates]) => {
+            this.holidays[region] = new Set(dates);
+        });
+    }
+
+    // Date-only strings (from <input type="date">) are read as local dates, not UTC midnight
+    parseDate(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+        return new Date(value);
+    }
+
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    isBankHoliday(date, region = DEFAULT_HOLIDAY_REGION) {
+        const holidays = this.holidays[region] || this.holidays[DEFAULT_HOLIDAY_REGION];
+        return holidays.has(this.toDateKey(date));
+    }
+
+    isWorkingDay(date, region = DEFAULT_HOLIDAY_REGION) {
+        const weekday = date.getDay();
+        return weekday !== 0 && weekday !== 6 && !this.isBankHoliday(date, region);
+    }
+
+    /**
+     * Add a number of days to a start date. The start date itself is never
+     * counted; in working-day mode only working days after it are. The result
+     * is the end of the final day, so a deadline is not overdue until that day
+     * is over.
+     * @param {string|Date} start
+     * @param {number} days
+     * @param {{mode?: string, region?: string}} options
+     */
+    addDays(start, days, { mode = DEFAULT_DEADLINE_MODE, region = DEFAULT_HOLIDAY_REGION } = {}) {
+        const date = this.parseDate(start);
+
+        if (mode === 'working') {
+            let counted = 0;
+            while (counted < days) {
+                date.setDate(date.getDate() + 1);
+                if (this.isWorkingDay(date, region)) counted++;
+            }
+        } else {
+            date.setDate(date.getDate() + days);
+        }
+
+        date.setHours(23, 59, 59, 999);
+        return date;
+    }
+
+    getOptions(organization) {
+        return {
+            mode: organization.deadlineMode || DEFAULT_DEADLINE_MODE,
+            region: organization.holidayRegion || DEFAULT_HOLIDAY_REGION
+        };
+    }
+
+    // Deadlines run from the date the complaint was sent, falling back to when it was recorded
+    getStartDate(complaint) {
+        return complaint.sentDate || complaint.createdDate;
+    }
+
+    responseDeadline(complaint, organization, from = this.getStartDate(complaint)) {
+        if (!organization || !from) return null;
+        return this.addDays(from, organization.responseTimedays, this.getOptions(organization));
+    }
+
+    // A reopened complaint gives the organization a fresh escalation period from the reopen
+    getEscalationStartDate(complaint) {
+        return complaint.reopenedDate || this.getStartDate(complaint);
+    }
+
+    escalationDate(complaint, organization) {
+        const from = this.getEscalationStartDate(complaint);
+        if (!organization || !from) return null;
+        return this.addDays(from, organization.escalationTimedays, this.getOptions(organization));
+    }
+
+    // "30 working days" or "30 days"
+    describePeriod(days, organization) {
+        const mode = organization ? this.getOptions(organization).mode : DEFAULT_DEADLINE_MODE;
+        return `${days} ${mode === 'working' ? 'working days' : 'days'}`;
+    }
+}
+
+const deadlineCalculator = new DeadlineCalculator();
@@ -0,0 +1,242 @@
+/**
+ * AccessAssist - Accessible Dialog
+ * Confirmation, text-entry and single-choice dialogs used in place of the
+ * browser's confirm() and prompt(). They follow the theme and font size settings,
+ * keep focus inside while open, return it to where it was afterwards, and
+ * read their message aloud when audio feedback is on.
+ */
+
+class AccessibleDialog {
+    constructor() {
+        this.dialog = null;
+        this.resolve = null;
+        this.validate = null;
+        this.returnFocus = null;
+    }
+
+    isOpen() {
+        return !!(this.dialog && this.dialog.open);
+    }
+
+    /**
+     * Ask the user to confirm an action. Resolves to true if they confirm.
+     * @param {{title: string, message?: string, confirmLabel?: string, cancelLabel?: string, danger?: boolean}} options
+     */
+    confirm(options) {
+        return this.open({ ...options, input: null }).then(result => result !== null);
+    }
+
+    /**
+     * Ask the user to type a value. Resolves to the value, or null if they
+     * cancel. `validate` returns an error message to keep the dialog open.
+     * @param {{title: string, message?: string, label: string, confirmLabel?: string, cancelLabel?: string, danger?: boolean, validate?: function(string): ?string}} options
+     */
+    prompt(options) {
+        return this.open({ ...options, input: { label: options.label } });
+    }
+
+    /**
+     * Ask the user to pick one of several answers. Resolves to the chosen
+     * value, or null if they cancel.
+     * @param {{title: string, message?: string, label: string, choices: {value: string, label: string}[], value?: string, confirmLabel?: string, cancelLabel?: string}} options
+     */
+    choose(options) {
+        return this.open({ ...options, input: null, choice: { label: options.label, choices: options.choices, value: options.value } });
+    }
+
+    open({ title, message = '', input, choice = null, confirmLabel = 'OK', cancelLabel = 'Cancel', danger = false, validate = null }) {
+        // Only one question at a time; an unanswered one counts as cancelled
+        if (this.isOpen()) {
+            this.finish(null);
+        }
+
+        const dialog = this.getDialog();
+        dialog.setAttribute('role', input || choice ? 'dialog' : 'alertdialog');
+        dialog.querySelector('#accessible-dialog-title').textContent = title;
+        dialog.querySelector('#accessible-dialog-message').textContent = message;
+
+        const field = dialog.querySelector('.accessible-dialog-field');
+        const inputElement = dialog.querySelector('#accessible-dialog-input');
+        field.classList.toggle('d-none', !input);
+        dialog.querySelector('label[for="accessible-dialog-input"]').textContent = input ? input.label : '';
+        inputElement.value = '';
+        inputElement.required = !!input;
+        this.setError(null);
+        this.renderChoices(choice);
+
+        const confirmButton = dialog.querySelector('.accessible-dialog-confirm');
+        const cancelButton = dialog.querySelector('.accessible-dialog-cancel');
+        confirmButton.textContent = confirmLabel;
+        confirmButton.className = `btn accessible-dialog-confirm ${danger ? 'btn-danger' : 'btn-primary'}`;
+        cancelButton.textContent = cancelLabel;
+
+        this.validate = validate;
+        this.returnFocus = document.activeElement;
+
+        // Inside an open Bootstrap modal, so its focus trap does not pull focus away
+        const container = document.querySelector('.modal.show') || document.body;
+        if (dialog.parentElement !== container) {
+            container.appendChild(dialog);
+        }
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            dialog.showModal();
+
+            // Start on the safe choice for destructive actions
+            const checkedChoice = dialog.querySelector('.accessible-dialog-choices input:checked') ||
+                dialog.querySelector('.accessible-dialog-choices input');
+            (input ? inputElement : choice ? checkedChoice : danger ? cancelButton : confirmButton).focus();
+
+            if (window.accessibilityManager) {
+                window.accessibilityManager.speak([title, message].filter(Boolean).join('. '));
+            }
+        });
+    }
+
+    getDialog() {
+        if (this.dialog) return this.dialog;
+
+        const dialog = document.createElement('dialog');
+        dialog.className = 'accessible-dialog';
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'accessible-dialog-title');
+        dialog.setAttribute('aria-describedby', 'accessible-dialog-message');
+        dialog.innerHTML = `
+            <form method="dialog" novalidate>
+                <h2 id="accessible-dialog-title" class="h5"></h2>
+                <p id="accessible-dialog-message" class="accessible-dialog-message"></p>
+                <div class="accessible-dialog-field mb-3 d-none">
+                    <label for="accessible-dialog-input" class="form-label"></label>
+                    <input type="text" class="form-control" id="accessible-dialog-input" autocomplete="off">
+                    <div id="accessible-dialog-error" class="invalid-feedback" role="alert"></div>
+                </div>
+                <fieldset class="accessible-dialog-choices mb-3 d-none">
+                    <legend class="form-label fs-6"></legend>
+                    <div class="accessible-dialog-options"></div>
+                    <div class="accessible-dialog-choice-error text-danger small mt-1" role="alert"></div>
+                </fieldset>
+                <div class="d-flex flex-wrap justify-content-end gap-2">
+                    <button type="button" class="btn btn-outline-secondary accessible-dialog-cancel">Cancel</button>
+                    <button type="submit" class="btn btn-primary accessible-dialog-confirm">OK</button>
+                </div>
+            </form>
+        `;
+
+        dialog.querySelector('form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+        dialog.querySelector('.accessible-dialog-cancel').addEventListener('click', () => this.finish(null));
+
+        // Escape cancels, as does the browser closing the dialog itself
+        dialog.addEventListener('cancel', (event) => {
+            event.preventDefault();
+            this.finish(null);
+        });
+        dialog.addEventListener('close', () => {
+            if (this.resolve) this.finish(null);
+        });
+
+        // Escape answers this dialog only, not a modal it was opened from
+        dialog.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') event.stopPropagation();
+        });
+
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
+        return dialog;
+    }
+
+    renderChoices(choice) {
+        const fieldset = this.dialog.querySelector('.accessible-dialog-choices');
+        const options = fieldset.querySelector('.accessible-dialog-options');
+        fieldset.classList.toggle('d-none', !choice);
+        fieldset.querySelector('legend').textContent = choice ? choice.label : '';
+        fieldset.querySelector('.accessible-dialog-choice-error').textContent = '';
+        options.innerHTML = '';
+        if (!choice) return;
+
+        choice.choices.forEach((option, index) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-check';
+
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.className = 'form-check-input';
+            radio.name = 'accessible-dialog-choice';
+            radio.id = `accessible-dialog-choice-${index}`;
+            radio.value = option.value;
+            radio.checked = option.value === choice.value;
+
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = radio.id;
+            label.textContent = option.label;
+
+            wrapper.append(radio, label);
+            options.appendChild(wrapper);
+        });
+    }
+
+    submit() {
+        const inputElement = this.dialog.querySelector('#accessible-dialog-input');
+        const hasInput = inputElement.required;
+        const choices = this.dialog.querySelector('.accessible-dialog-choices');
+        if (!choices.classList.contains('d-none')) {
+            const checked = choices.querySelector('input:checked');
+            if (!checked) {
+                choices.querySelector('.accessible-dialog-choice-error').textContent = 'Please choose an answer';
+                choices.querySelector('input').focus();
+                return;
+            }
+            this.finish(checked.value);
+            return;
+        }
+
+        const value = hasInput ? inputElement.value : '';
+
+        const error = hasInput && this.validate ? this.validate(value) : null;
+        if (error) {
+            this.setError(error);
+            inputElement.focus();
+            return;
+        }
+
+        this.finish(value);
+    }
+
+    setError(message) {
+        const inputElement = this.dialog.querySelector('#accessible-dialog-input');
+        const errorElement = this.dialog.querySelector('#accessible-dialog-error');
+
+        errorElement.textContent = message || '';
+        inputElement.classList.toggle('is-invalid', !!message);
+        if (message) {
+            inputElement.setAttribute('aria-invalid', 'true');
+            inputElement.setAttribute('aria-describedby', 'accessible-dialog-error');
+        } else {
+            inputElement.removeAttribute('aria-invalid');
+            inputElement.removeAttribute('aria-describedby');
+        }
+    }
+
+    finish(value) {
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.validate = null;
+
+        if (this.dialog.open) {
+            this.dialog.close();
+        }
+
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+
+        if (resolve) resolve(value);
+    }
+}
+
+const accessibleDialog = new AccessibleDialog();
@@ -0,0 +1,128 @@
+/**
+ * AccessAssist - Complaint Drafts
+ * Unfinished complaints from the creation wizard. Each draft keeps a name,
+ * the answers entered so far, the furthest step reached and when it was last
+ * edited, so several complaints can be in progress at once.
+ */
+
+const DRAFTS_STORAGE_KEY = 'complaint-drafts';
+
+// Earlier versions kept a single draft under this key
+const LEGACY_DRAFT_KEY = 'complaint-form-draft';
+
+const WIZARD_STEP_NAMES = ['Select Organization', 'Your Details', 'Complaint Details', 'Review'];
+
+// Answers that make a draft worth keeping (the contact preference always has a value)
+const DRAFT_CONTENT_FIELDS = ['organization', 'full-name', 'email', 'complaint-title', 'complaint-description'];
+
+class DraftStore {
+    constructor(storageKey = DRAFTS_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.migrateLegacyDraft();
+    }
+
+    readAll() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('Could not read complaint drafts:', error);
+            return [];
+        }
+    }
+
+    writeAll(drafts) {
+        localStorage.setItem(this.storageKey, JSON.stringify(drafts));
+    }
+
+    // Most recently edited first
+    getAll() {
+        return this.readAll().sort((a, b) => new Date(b.updatedDate) - new Date(a.updatedDate));
+    }
+
+    get(draftId) {
+        return this.readAll().find(draft => draft.id === draftId) || null;
+    }
+
+    hasContent(formData) {
+        return DRAFT_CONTENT_FIELDS.some(field => formData[field]);
+    }
+
+    /**
+     * Create or update a draft. Drafts without an id are new. Returns the
+     * saved draft.
+     * @param {{id?: string, name?: string, formData: object, step?: number}} draft
+     */
+    save(draft) {
+        const drafts = this.readAll();
+        const now = new Date().toISOString();
+        const existing = drafts.find(d => d.id === draft.id);
+
+        const saved = {
+            id: draft.id || this.generateId(),
+            name: (draft.name || '').trim(),
+            formData: draft.formData || {},
+            step: draft.step || 1,
+            createdDate: existing ? existing.createdDate : now,
+            updatedDate: now
+        };
+
+        this.writeAll(existing ? drafts.map(d => (d.id === saved.id ? saved : d)) : [...drafts, saved]);
+        return saved;
+    }
+
+    duplicate(draftId, organizations = []) {
+        const original = this.get(draftId);
+        if (!original) return null;
+
+        return this.save({
+            name: `Copy of ${this.getName(original, organizations)}`,
+            formData: { ...original.formData },
+            step: original.step
+        });
+    }
+
+    discard(draftId) {
+        this.writeAll(this.readAll().filter(draft => draft.id !== draftId));
+    }
+
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    // Unnamed drafts are called after the complaint title, then the organization
+    getName(draft, organizations = []) {
+        if (draft.name) return draft.name;
+
+        const formData = draft.formData || {};
+        if (formData['complaint-title']) return formData['complaint-title'];
+
+        const organization = organizations.find(org => org.id === formData.organization);
+        return organization ? `Complaint to ${organization.name}` : 'Untitled draft';
+    }
+
+    describeStep(step) {
+        return `Step ${step} of ${WIZARD_STEP_NAMES.length}: ${WIZARD_STEP_NAMES[step - 1] || WIZARD_STEP_NAMES[0]}`;
+    }
+
+    migrateLegacyDraft() {
+        try {
+            const legacy = localStorage.getItem(LEGACY_DRAFT_KEY);
+            if (!legacy) return;
+
+            const formData = JSON.parse(legacy);
+            if (this.hasContent(formData)) {
+                this.save({ formData, step: 1 });
+            }
+            localStorage.removeItem(LEGACY_DRAFT_KEY);
+        } catch (error) {
+            console.warn('Could not migrate the saved draft:', error);
+        }
+    }
+
+    generateId() {
+        return 'draft_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+const draftStore = new DraftStore();
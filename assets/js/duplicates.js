@@ -0,0 +1,109 @@
+/**
+ * AccessAssist - Duplicate Detection
+ * Compares a complaint about to be submitted with the complaints already
+ * made to the same organization, so the same issue is not sent twice (for
+ * example after resuming an old draft). Matching uses the reference number,
+ * title and description; it only warns, and the user decides what to do.
+ */
+
+// Combined similarity from which a complaint counts as a likely duplicate
+const DUPLICATE_THRESHOLD = 0.5;
+
+// Weight of the title against the description when neither reference matches
+const DUPLICATE_TITLE_WEIGHT = 0.4;
+
+// Common words that say nothing about what the complaint is about
+const DUPLICATE_STOP_WORDS = new Set([
+    'the', 'and', 'but', 'for', 'with', 'that', 'this', 'was', 'were', 'are', 'has', 'have', 'had',
+    'not', 'you', 'your', 'they', 'them', 'their', 'she', 'her', 'him', 'his', 'its', 'from', 'into',
+    'about', 'after', 'before', 'when', 'then', 'than', 'there', 'been', 'being', 'would', 'could',
+    'should', 'will', 'can', 'did', 'does', 'all', 'any', 'our', 'out', 'very', 'also', 'just', 'one'
+]);
+
+class DuplicateDetector {
+    // Reference numbers are compared without spaces, dashes or case
+    normalizeReference(reference) {
+        return String(reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    // Meaningful words, with a plural "s" dropped so "days" matches "day"
+    getKeywords(text) {
+        const words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+        return new Set(words
+            .filter(word => word.length >= 3 && !DUPLICATE_STOP_WORDS.has(word))
+            .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)));
+    }
+
+    // Share of keywords the two texts have in common, from 0 to 1
+    similarity(first, second) {
+        const a = this.getKeywords(first);
+        const b = this.getKeywords(second);
+        if (a.size === 0 || b.size === 0) return 0;
+
+        const shared = [...a].filter(word => b.has(word)).length;
+        return (2 * shared) / (a.size + b.size);
+    }
+
+    /**
+     * Score an existing complaint against a new one. The same reference
+     * number is treated as a match on its own.
+     * @returns {{score: number, reasons: string[]}}
+     */
+    compare(candidate, complaint) {
+        const reference = this.normalizeReference(candidate.referenceNumber);
+        if (reference && reference === this.normalizeReference(complaint.referenceNumber)) {
+            return { score: 1, reasons: ['Same reference number'] };
+        }
+
+        const title = this.similarity(candidate.title, complaint.title);
+        const description = this.similarity(candidate.description, complaint.description);
+        const reasons = [];
+        if (title >= DUPLICATE_THRESHOLD) reasons.push('Similar title');
+        if (description >= DUPLICATE_THRESHOLD) reasons.push('Similar description');
+        if (reasons.length === 0) reasons.push('Similar wording');
+
+        return {
+            score: DUPLICATE_TITLE_WEIGHT * title + (1 - DUPLICATE_TITLE_WEIGHT) * description,
+            reasons
+        };
+    }
+
+    /**
+     * Existing complaints to the same organization that look like the same
+     * issue, most similar first.
+     * @returns {{complaint: Object, score: number, reasons: string[]}[]}
+     */
+    findDuplicates(candidate, complaints) {
+        return complaints
+            .filter(complaint => complaint.organizationId === candidate.organizationId && complaint.id !== candidate.id)
+            .map(complaint => ({ complaint, ...this.compare(candidate, complaint) }))
+            .filter(match => match.score >= DUPLICATE_THRESHOLD)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * The update recorded on an existing complaint when the new text is added
+     * to it instead of being submitted again.
+     */
+    createFurtherDetailsUpdate(candidate, now = new Date()) {
+        return {
+            date: now.toISOString(),
+            type: 'further_details',
+            details: {
+                title: (candidate.title || '').trim(),
+                description: (candidate.description || '').trim(),
+                desiredOutcome: (candidate.desiredOutcome || '').trim()
+            }
+        };
+    }
+
+    // One line for timelines and histories
+    describeFurtherDetails(update) {
+        const details = update.details || {};
+        return [details.description, details.desiredOutcome ? `Wants: ${details.desiredOutcome}` : '']
+            .filter(Boolean)
+            .join(' ');
+    }
+}
+
+const duplicateDetector = new DuplicateDetector();
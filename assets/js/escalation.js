@@ -0,0 +1,234 @@
+/**
+ * AccessAssist - Escalation and Ombudsman Referral
+ * Works out where an escalated complaint can go next and builds a referral
+ * pack for the ombudsman or regulator: who complained, about whom, the key
+ * dates (including any missed deadline) and the full correspondence history.
+ */
+
+// Used when an organization has no ombudsman of its own on record
+const OMBUDSMAN_DEFAULTS = {
+    'Retailer': {
+        name: 'Citizens Advice consumer service',
+        url: 'https://www.citizensadvice.org.uk/consumer/',
+        note: 'Citizens Advice can pass your complaint to Trading Standards and tell you whether the retailer belongs to an alternative dispute resolution scheme.'
+    },
+    'Service Provider': {
+        name: 'Citizens Advice consumer service',
+        url: 'https://www.citizensadvice.org.uk/consumer/',
+        note: 'Check whether the trader belongs to a trade association or dispute resolution scheme; Citizens Advice can help you find out.'
+    },
+    'Subscription Service': {
+        name: 'Citizens Advice consumer service',
+        url: 'https://www.citizensadvice.org.uk/consumer/',
+        note: 'If the service is a phone, broadband or pay TV provider, use its communications ombudsman or dispute resolution scheme instead.'
+    },
+    'Government Agency': {
+        name: 'Parliamentary and Health Service Ombudsman',
+        url: 'https://www.ombudsman.org.uk/',
+        note: 'Complaints about UK government departments must be referred to the Ombudsman by an MP. Complaints about a local council go to the Local Government and Social Care Ombudsman instead.'
+    },
+    'Healthcare Provider': {
+        name: 'Parliamentary and Health Service Ombudsman',
+        url: 'https://www.ombudsman.org.uk/',
+        note: 'This covers NHS services in England. In Scotland, Wales and Northern Ireland, use the public services ombudsman for that nation.'
+    },
+    'Financial Institution': {
+        name: 'Financial Ombudsman Service',
+        url: 'https://www.financial-ombudsman.org.uk/',
+        note: 'You can refer your complaint once you have a final response, or eight weeks after you first complained. You normally have six months from the final response.'
+    },
+    'Other': {
+        name: 'Citizens Advice',
+        url: 'https://www.citizensadvice.org.uk/',
+        note: 'Citizens Advice can tell you which ombudsman or regulator covers this organization.'
+    }
+};
+
+// How long the escalation letter gives senior staff to reply
+const ESCALATION_REPLY_DAYS = 14;
+
+class EscalationPack {
+    getOmbudsman(organization) {
+        if (organization && organization.ombudsmanName) {
+            return {
+                name: organization.ombudsmanName,
+                referTo: organization.ombudsmanName,
+                url: organization.ombudsmanUrl || '',
+                note: ''
+            };
+        }
+
+        const type = organization && OMBUDSMAN_DEFAULTS[organization.type] ? organization.type : 'Other';
+        const ombudsman = OMBUDSMAN_DEFAULTS[type];
+        // Bundled names read naturally with "the" ("refer it to the Financial Ombudsman Service")
+        return { ...ombudsman, referTo: ombudsman.name.startsWith('Citizens Advice') ? ombudsman.name : `the ${ombudsman.name}` };
+    }
+
+    getFinalResponse(complaint) {
+        return (complaint.correspondence || [])
+            .filter(entry => entry.direction === 'incoming' && entry.kind === 'final-response')
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .pop() || null;
+    }
+
+    // The deadline counts as missed if it passed before any final response arrived
+    isDeadlineMissed(complaint, now = new Date()) {
+        if (!complaint.deadline) return false;
+
+        const deadline = new Date(complaint.deadline);
+        const finalResponse = this.getFinalResponse(complaint);
+        if (finalResponse) {
+            return deadlineCalculator.parseDate(finalResponse.date) > deadline;
+        }
+        return now > deadline;
+    }
+
+    formatDate(value) {
+        return letterComposer.formatLetterDate(value);
+    }
+
+    /**
+     * Rows of [label, value] for the dates an ombudsman will ask about.
+     */
+    getKeyDates(complaint, organization, now = new Date()) {
+        const rows = [];
+        const sent = deadlineCalculator.getStartDate(complaint);
+        const finalResponse = this.getFinalResponse(complaint);
+        const escalationDate = deadlineCalculator.escalationDate(complaint, organization);
+
+        if (complaint.incidentDate) {
+            rows.push(['Incident date', this.formatDate(complaint.incidentDate)]);
+        }
+
+        if (sent) {
+            rows.push(['Complaint first sent', this.formatDate(sent)]);
+        }
+
+        if (complaint.deadline) {
+            const missed = this.isDeadlineMissed(complaint, now);
+            rows.push(['Response deadline', `${this.formatDate(complaint.deadline)}${missed ? ' (missed)' : ''}`]);
+        }
+
+        if (escalationDate) {
+            const period = deadlineCalculator.describePeriod(organization.escalationTimedays, organization);
+            rows.push(['Escalation point', `${this.formatDate(escalationDate)} (${period} after the complaint was ${complaint.reopenedDate ? 'reopened' : 'sent'})`]);
+        }
+
+        if (complaint.escalatedDate) {
+            rows.push(['Escalated', this.formatDate(complaint.escalatedDate)]);
+        }
+
+        rows.push(['Final response', finalResponse ? this.formatDate(finalResponse.date) : 'Not received']);
+
+        return rows;
+    }
+
+    // Status changes and correspondence as plain sentences, oldest first
+    getHistory(complaint) {
+        return correspondenceLog.getTimeline(complaint).map(event => {
+            if (event.type === 'correspondence') {
+                const entry = event.item;
+                return `${this.formatDate(entry.date)}: ${correspondenceLog.describe(entry)}. ${entry.summary}`;
+            }
+
+            const details = event.item.details || {};
+            if (details.status) {
+                const reason = details.reason ? ` (${details.reason})` : '';
+                return `${this.formatDate(event.date)}: Status changed to ${STATUS_LABELS[details.status] || details.status}${reason}`;
+            }
+            if (event.item.type === 'further_details') {
+                return `${this.formatDate(event.date)}: Further details added. ${duplicateDetector.describeFurtherDetails(event.item)}`;
+            }
+            if (event.item.type === 'outcome_updated') {
+                return `${this.formatDate(event.date)}: ${complaintOutcomes.describeUpdate(event.item)}`;
+            }
+            return `${this.formatDate(event.date)}: Complaint details updated`;
+        });
+    }
+
+    /**
+     * Build the referral pack as a structured document: a title and sections
+     * holding paragraphs, label/value rows or list items.
+     */
+    buildReferral(complaint, organization, now = new Date()) {
+        const ombudsman = this.getOmbudsman(organization);
+        const contact = complaint.contactDetails || {};
+        const orgName = organization?.name || 'the organization';
+        const missed = this.isDeadlineMissed(complaint, now);
+        const finalResponse = this.getFinalResponse(complaint);
+
+        const reasons = [];
+        if (missed) reasons.push(`${orgName} did not give a full response by the deadline`);
+        if (finalResponse) reasons.push(`I am not satisfied with the final response sent on ${this.formatDate(finalResponse.date)}`);
+        if (reasons.length === 0) reasons.push('my complaint has not been resolved');
+
+        return {
+            title: `Referral to ${ombudsman.referTo}`,
+            subtitle: `Complaint about ${orgName}: ${complaint.title}`,
+            sections: [
+                {
+                    heading: 'About this referral',
+                    paragraphs: [
+                        `I am referring my complaint about ${orgName} because ${reasons.join(' and ')}.`,
+                        ombudsman.note
+                    ].filter(Boolean)
+                },
+                {
+                    heading: 'My details',
+                    rows: [
+                        ['Name', contact.fullName],
+                        ['Email', contact.email],
+                        ['Phone', contact.phone],
+                        ['Address', contact.address]
+                    ].filter(([, value]) => value)
+                },
+                {
+                    heading: 'Organization complained about',
+                    rows: [
+                        ['Name', organization?.name],
+                        ['Type', organization?.type],
+                        ['Contact email', organization?.contactEmail],
+                        ['Your reference', complaint.referenceNumber],
+                        ...questionSets.toRows(complaint.answers)
+                    ].filter(([, value]) => value)
+                },
+                {
+                    heading: 'The complaint',
+                    paragraphs: [complaint.description].filter(Boolean)
+                },
+                {
+                    heading: 'Key dates',
+                    rows: this.getKeyDates(complaint, organization, now)
+                },
+                {
+                    heading: 'Correspondence and history',
+                    items: this.getHistory(complaint)
+                },
+                {
+                    heading: 'What I would like to happen',
+                    paragraphs: [complaint.desiredOutcome].filter(Boolean),
+                    rows: complaintOutcomes.toRows(complaint.outcome)
+                }
+            ]
+        };
+    }
+
+    toText(doc) {
+        const parts = [doc.title.toUpperCase(), doc.subtitle];
+
+        doc.sections.forEach(section => {
+            parts.push(section.heading.toUpperCase());
+            (section.paragraphs || []).forEach(paragraph => parts.push(paragraph));
+            if (section.rows && section.rows.length > 0) {
+                parts.push(section.rows.map(([label, value]) => `${label}: ${value}`).join('\n'));
+            }
+            if (section.items && section.items.length > 0) {
+                parts.push(section.items.map(item => `- ${item}`).join('\n'));
+            }
+        });
+
+        return parts.filter(Boolean).join('\n\n');
+    }
+}
+
+const escalationPack = new EscalationPack();
@@ -0,0 +1,133 @@
+/**
+ * AccessAssist - Guided Questions
+ * The complaint wizard's questions one at a time, for people who find a page
+ * of fields hard to take in. Each question names the fields it shows (marked
+ * with data-question in create-complaint.html) and comes with a plain
+ * explanation, an example answer and why we ask. The review step is not a
+ * question, so guided mode ends where step 4 begins.
+ */
+
+/**
+ * Questions in the order they are asked. `step` is the wizard step the
+ * fields belong to; questions for a step must be listed together.
+ */
+const GUIDED_QUESTIONS = [
+    {
+        id: 'organization',
+        step: 1,
+        title: 'Who do you want to complain to?',
+        explanation: 'Type the name of the company or service, then choose it from the list. If it is not there, you can add it.',
+        example: 'TechMart Electronics',
+        why: 'We use it to find where to send your complaint and how long they have to reply.'
+    },
+    {
+        id: 'name',
+        step: 2,
+        title: 'What is your name?',
+        explanation: 'Give your first and last name. If you are complaining for someone else, give their name.',
+        example: 'Sam Jones',
+        why: 'The organization needs to know who the complaint is from so they can find your records.'
+    },
+    {
+        id: 'email',
+        step: 2,
+        title: 'What email address should they reply to?',
+        explanation: 'Use an email address you check often.',
+        example: 'sam.jones@example.com',
+        why: 'Most organizations reply by email. We also use it to spot complaints you have already made.'
+    },
+    {
+        id: 'contact',
+        step: 2,
+        title: 'Are there other ways to reach you?',
+        explanation: 'You can skip this question. Add a phone number or address only if you want them to use it.',
+        example: 'Phone 07700 900123, and choose Phone if you prefer a call.',
+        why: 'Some organizations call or write to you. Telling them how you prefer to be contacted can get you a quicker answer.'
+    },
+    {
+        id: 'category',
+        step: 3,
+        title: 'What kind of problem is it?',
+        explanation: 'Choose the closest match. It does not need to be exact.',
+        example: 'Faulty goods',
+        why: 'It helps you group and find similar complaints later.'
+    },
+    {
+        id: 'title',
+        step: 3,
+        title: 'What is the problem, in a few words?',
+        explanation: 'Write a short heading for your complaint, like the subject of an email.',
+        example: 'Laptop stopped working after two weeks',
+        why: 'It becomes the subject of your letter and the name you see in your list of complaints.'
+    },
+    {
+        id: 'description',
+        step: 3,
+        title: 'What happened?',
+        explanation: 'Explain what went wrong, in the order it happened. Short sentences are fine.',
+        example: 'I bought a laptop on 3 March. On 17 March it stopped turning on. The shop said they could not help.',
+        why: 'This is the main part of your letter. The clearer it is, the easier it is for them to put things right.'
+    },
+    {
+        id: 'dates',
+        step: 3,
+        title: 'When did it happen?',
+        explanation: 'You can skip this question. If you have already sent this complaint, add the date you sent it.',
+        example: '17 March',
+        why: 'Organizations have a set time to reply. We count it from the date you sent your complaint, or from today.'
+    },
+    {
+        id: 'reference',
+        step: 3,
+        title: 'Do you have a reference number?',
+        explanation: 'Look on your receipt, bill, order email or letters from them. Some organizations need a number to find your case.',
+        example: 'ORD-1234',
+        why: 'A reference number lets them find your order or account straight away.'
+    },
+    {
+        id: 'outcome',
+        step: 3,
+        title: 'What would you like them to do?',
+        explanation: 'Say what would put things right for you. If you want money back, you can add the amount.',
+        example: 'Give me a full refund of 129.99.',
+        why: 'Saying what you want makes it easier for them to agree to it, and helps you decide later if the problem was fixed.'
+    },
+    {
+        id: 'extra',
+        step: 3,
+        title: 'Is there anything else they should know?',
+        explanation: 'You can skip this question. Add anything you have already tried, and photos or receipts if you have them.',
+        example: 'I phoned them on 18 March and was told to write in.',
+        why: 'Showing what you have already tried, with proof, makes your complaint stronger.'
+    }
+];
+
+class GuidedQuestions {
+    count() {
+        return GUIDED_QUESTIONS.length;
+    }
+
+    get(index) {
+        return GUIDED_QUESTIONS[index] || null;
+    }
+
+    indexOf(questionId) {
+        return GUIDED_QUESTIONS.findIndex(question => question.id === questionId);
+    }
+
+    // -1 when the step has no questions, as with the review step
+    firstOfStep(step) {
+        return GUIDED_QUESTIONS.findIndex(question => question.step === step);
+    }
+
+    lastOfStep(step) {
+        return GUIDED_QUESTIONS.map(question => question.step).lastIndexOf(step);
+    }
+
+    // "Question 3 of 11"
+    describeProgress(index) {
+        return `Question ${index + 1} of ${this.count()}`;
+    }
+}
+
+const guidedQuestions = new GuidedQuestions();
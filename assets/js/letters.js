@@ -0,0 +1,363 @@
+/**
+ * AccessAssist - Letter Composer
+ * Turns a complaint into a formal letter. Templates choose which sections
+ * appear; the wording of each section follows the user's language level
+ * (simple, standard or advanced) from the accessibility settings.
+ */
+
+// Initial templates are for the first complaint letter; escalation templates go to senior staff
+const LETTER_TEMPLATES = {
+    formal: {
+        label: 'Formal complaint',
+        stage: 'initial',
+        sections: ['opening', 'reference', 'details', 'incident', 'description', 'previousContact', 'outcome', 'claim', 'deadline']
+    },
+    'consumer-rights': {
+        label: 'Faulty goods or services (Consumer Rights Act)',
+        stage: 'initial',
+        sections: ['opening', 'reference', 'details', 'incident', 'description', 'previousContact', 'rights', 'outcome', 'claim', 'deadline']
+    },
+    brief: {
+        label: 'Short complaint',
+        stage: 'initial',
+        sections: ['opening', 'reference', 'details', 'description', 'outcome', 'claim', 'deadline']
+    },
+    escalation: {
+        label: 'Escalation to senior management',
+        stage: 'escalation',
+        recipient: 'Senior Complaints Manager',
+        subject: 'Escalation of complaint',
+        sections: ['escalationOpening', 'reference', 'details', 'escalationReason', 'escalationContact', 'outcome', 'claim', 'escalationNext']
+    }
+};
+
+const DEFAULT_LETTER_TEMPLATE = 'formal';
+
+// One function per section, per language level. Each receives the letter context.
+const LETTER_PHRASES = {
+    simple: {
+        salutation: 'Dear Complaints Team,',
+        signOff: 'Yours sincerely,',
+        opening: ctx => `I want to make a complaint about this: ${ctx.title}.`,
+        reference: ctx => `My reference number is ${ctx.referenceNumber}.`,
+        details: ctx => `These details will help you find my case: ${ctx.details}.`,
+        incident: ctx => `This happened on ${ctx.incidentDate}.`,
+        description: ctx => `What happened: ${ctx.description}`,
+        previousContact: ctx => `I have already tried to sort this out. ${ctx.previousContact}`,
+        rights: () => 'The law says goods must work properly and services must be done with care. I do not think this happened.',
+        outcome: ctx => `To put this right, please: ${ctx.desiredOutcome}`,
+        claim: ctx => `I am asking for ${ctx.amountClaimed}.${ctx.amountOffered ? ` You offered me ${ctx.amountOffered}. This is not enough.` : ''}`,
+        deadline: ctx => `Please reply by ${ctx.deadline}.`,
+        escalationOpening: ctx => `I complained to you on ${ctx.submittedDate} about this: ${ctx.title}. My complaint has not been sorted out, so I am asking a senior manager to look at it.`,
+        escalationReason: ctx => ctx.finalResponseDate
+            ? `You sent me your final answer on ${ctx.finalResponseDate}. I am not happy with it.`
+            : `You said you would reply by ${ctx.deadline}. I have not had a full reply.`,
+        escalationContact: ctx => `We have been in touch ${ctx.correspondenceCount} ${ctx.correspondenceCount === 1 ? 'time' : 'times'} about this. The last time was on ${ctx.lastContactDate}.`,
+        escalationNext: ctx => `Please reply by ${ctx.escalationReplyBy}. If you do not, or I am still not happy, I will take my complaint to ${ctx.ombudsman}.`,
+        closing: 'Thank you for your help.'
+    },
+    standard: {
+        salutation: 'Dear Complaints Team,',
+        signOff: 'Yours sincerely,',
+        opening: ctx => `I am writing to make a formal complaint about the following matter: ${ctx.title}.`,
+        reference: ctx => `Please quote my reference number, ${ctx.referenceNumber}, in your reply.`,
+        details: ctx => `To help you locate my records: ${ctx.details}.`,
+        incident: ctx => `The problem occurred on ${ctx.incidentDate}.`,
+        description: ctx => ctx.description,
+        previousContact: ctx => `I have already tried to resolve this with you. ${ctx.previousContact}`,
+        rights: () => 'Under the Consumer Rights Act 2015, goods must be of satisfactory quality, fit for purpose and as described, and services must be carried out with reasonable care and skill.',
+        outcome: ctx => `To resolve my complaint, I would like you to: ${ctx.desiredOutcome}`,
+        claim: ctx => `The amount I am claiming is ${ctx.amountClaimed}.${ctx.amountOffered ? ` Your offer of ${ctx.amountOffered} does not settle my claim.` : ''}`,
+        deadline: ctx => `I look forward to your response by ${ctx.deadline}, in line with your published complaints procedure.`,
+        escalationOpening: ctx => `I first complained to you on ${ctx.submittedDate} about the following matter: ${ctx.title}. As my complaint has not been resolved, I am asking for it to be escalated and reviewed by a senior manager.`,
+        escalationReason: ctx => ctx.finalResponseDate
+            ? `I received your final response on ${ctx.finalResponseDate}, but it does not resolve my complaint.`
+            : `Under your complaints procedure I should have received a response by ${ctx.deadline}. I have not received a full response.`,
+        escalationContact: ctx => `We have corresponded ${ctx.correspondenceCount} ${ctx.correspondenceCount === 1 ? 'time' : 'times'} about this complaint, most recently on ${ctx.lastContactDate}.`,
+        escalationNext: ctx => `Please send me your response by ${ctx.escalationReplyBy}. If I do not receive a satisfactory response by then, I intend to refer my complaint to ${ctx.ombudsman}.`,
+        closing: 'Thank you for your attention to this matter.'
+    },
+    advanced: {
+        salutation: 'Dear Sir or Madam,',
+        signOff: 'Yours faithfully,',
+        opening: ctx => `I write to lodge a formal complaint in respect of the following matter: ${ctx.title}.`,
+        reference: ctx => `For your records, the relevant reference is ${ctx.referenceNumber}; I should be grateful if you would quote it in all correspondence.`,
+        details: ctx => `The following particulars should assist you in identifying the matter: ${ctx.details}.`,
+        incident: ctx => `The matter giving rise to this complaint occurred on ${ctx.incidentDate}.`,
+        description: ctx => ctx.description,
+        previousContact: ctx => `I have previously sought to resolve this matter informally. ${ctx.previousContact}`,
+        rights: () => 'I would remind you that, under sections 9 to 11 and 49 of the Consumer Rights Act 2015, goods supplied must be of satisfactory quality, fit for purpose and as described, and services must be performed with reasonable care and skill. I do not consider these obligations to have been met.',
+        outcome: ctx => `In order to resolve this complaint, I request that you: ${ctx.desiredOutcome}`,
+        claim: ctx => `I accordingly claim the sum of ${ctx.amountClaimed}.${ctx.amountOffered ? ` Your offer of ${ctx.amountOffered} is not accepted in settlement of this claim.` : ''}`,
+        deadline: ctx => `I expect a full written response no later than ${ctx.deadline}, in accordance with your complaints procedure. Should I not receive a satisfactory response by that date, I reserve the right to escalate this matter.`,
+        escalationOpening: ctx => `I refer to my formal complaint of ${ctx.submittedDate} regarding the following matter: ${ctx.title}. As the matter remains unresolved, I request that it now be escalated to senior management for review.`,
+        escalationReason: ctx => ctx.finalResponseDate
+            ? `Your final response, dated ${ctx.finalResponseDate}, does not satisfactorily address the substance of my complaint.`
+            : `Notwithstanding your published complaints procedure, which required a response by ${ctx.deadline}, I have yet to receive a substantive reply.`,
+        escalationContact: ctx => `There ${ctx.correspondenceCount === 1 ? 'has been one item' : `have been ${ctx.correspondenceCount} items`} of correspondence on this matter, the most recent dated ${ctx.lastContactDate}.`,
+        escalationNext: ctx => `I should be grateful for your response no later than ${ctx.escalationReplyBy}. Failing a satisfactory resolution by that date, I shall refer this matter to ${ctx.ombudsman} without further notice.`,
+        closing: 'I look forward to hearing from you.'
+    }
+};
+
+const LANGUAGE_LEVELS = ['simple', 'standard', 'advanced'];
+
+class LetterComposer {
+    formatLetterDate(value) {
+        return deadlineCalculator.parseDate(value).toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    getLanguageLevel() {
+        const level = window.accessibilityManager?.settings?.languageLevel;
+        return LANGUAGE_LEVELS.includes(level) ? level : 'standard';
+    }
+
+    // Saved complaints have a deadline; drafts on the review step do not yet
+    getDeadline(complaint, organization) {
+        if (complaint.deadline) return complaint.deadline;
+        return deadlineCalculator.responseDeadline(
+            { sentDate: complaint.sentDate, createdDate: complaint.createdDate || new Date().toISOString() },
+            organization
+        );
+    }
+
+    buildContext(complaint, organization, date = new Date()) {
+        const deadline = organization ? this.getDeadline(complaint, organization) : null;
+        const submitted = deadlineCalculator.getStartDate(complaint);
+        const correspondence = [...(complaint.correspondence || [])].sort((a, b) => a.date.localeCompare(b.date));
+        const finalResponse = escalationPack.getFinalResponse(complaint);
+        const outcome = complaint.outcome || {};
+        const formatAmount = amount => (amount ? complaintOutcomes.formatAmount(amount, outcome.currency) : '');
+
+        return {
+            submittedDate: submitted ? this.formatLetterDate(submitted) : '',
+            finalResponseDate: finalResponse ? this.formatLetterDate(finalResponse.date) : '',
+            correspondenceCount: correspondence.length,
+            lastContactDate: correspondence.length > 0 ? this.formatLetterDate(correspondence[correspondence.length - 1].date) : '',
+            ombudsman: escalationPack.getOmbudsman(organization).referTo,
+            escalationReplyBy: this.formatLetterDate(deadlineCalculator.addDays(date, ESCALATION_REPLY_DAYS)),
+            title: (complaint.title || 'my recent experience').trim().replace(/[.!?]+$/, ''),
+            description: (complaint.description || '').trim(),
+            desiredOutcome: (complaint.desiredOutcome || '').trim(),
+            amountClaimed: formatAmount(outcome.claimed),
+            amountOffered: formatAmount(outcome.offered),
+            previousContact: (complaint.previousContact || '').trim(),
+            referenceNumber: (complaint.referenceNumber || '').trim(),
+            details: questionSets.toRows(complaint.answers).map(([label, value]) => `${questionSets.toPhrase(label)} ${value}`).join('; '),
+            incidentDate: complaint.incidentDate ? this.formatLetterDate(complaint.incidentDate) : '',
+            deadline: deadline ? this.formatLetterDate(deadline) : ''
+        };
+    }
+
+    // Sections are skipped when the complaint has nothing to put in them
+    hasContent(section, ctx) {
+        const required = {
+            reference: ctx.referenceNumber,
+            details: ctx.details,
+            incident: ctx.incidentDate,
+            description: ctx.description,
+            previousContact: ctx.previousContact,
+            outcome: ctx.desiredOutcome,
+            claim: ctx.amountClaimed,
+            deadline: ctx.deadline,
+            escalationOpening: ctx.submittedDate,
+            escalationReason: ctx.finalResponseDate || ctx.deadline,
+            escalationContact: ctx.correspondenceCount > 0
+        };
+        return !(section in required) || !!required[section];
+    }
+
+    /**
+     * Compose a letter.
+     * @param {object} complaint - a saved complaint or the wizard's draft
+     * @param {object} organization
+     * @param {{template?: string, languageLevel?: string, date?: Date}} options
+     */
+    compose(complaint, organization, options = {}) {
+        const templateId = LETTER_TEMPLATES[options.template] ? options.template : DEFAULT_LETTER_TEMPLATE;
+        const template = LETTER_TEMPLATES[templateId];
+        const languageLevel = LANGUAGE_LEVELS.includes(options.languageLevel) ? options.languageLevel : this.getLanguageLevel();
+        const phrases = LETTER_PHRASES[languageLevel];
+        const date = options.date || new Date();
+        const ctx = this.buildContext(complaint, organization, date);
+        const contact = complaint.contactDetails || {};
+
+        const paragraphs = template.sections
+            .filter(section => this.hasContent(section, ctx))
+            .map(section => phrases[section](ctx));
+        paragraphs.push(phrases.closing);
+
+        return {
+            template: templateId,
+            languageLevel,
+            sender: [
+                contact.fullName,
+                ...(contact.address || '').split(/\r?\n/),
+                contact.email,
+                contact.phone
+            ].map(line => (line || '').trim()).filter(Boolean),
+            recipient: [
+                template.recipient || 'Complaints Department',
+                organization?.name || '',
+                organization?.contactEmail || ''
+            ].filter(Boolean),
+            date: this.formatLetterDate(date),
+            subject: `${template.subject || 'Formal complaint'}: ${ctx.title}${ctx.referenceNumber ? ` (ref. ${ctx.referenceNumber})` : ''}`,
+            salutation: phrases.salutation,
+            paragraphs,
+            signOff: phrases.signOff,
+            signature: contact.fullName || '',
+            enclosures: this.getEnclosures(complaint)
+        };
+    }
+
+    // Attached evidence, listed after the signature so the reader knows what to look for
+    getEnclosures(complaint) {
+        return (complaint.attachments || []).map(attachment =>
+            attachment.description ? `${attachment.name}: ${attachment.description}` : attachment.name
+        );
+    }
+
+    toText(letter) {
+        return [
+            letter.sender.join('\n'),
+            letter.recipient.join('\n'),
+            letter.date,
+            `Subject: ${letter.subject}`,
+            letter.salutation,
+            ...letter.paragraphs,
+            `${letter.signOff}\n\n${letter.signature}`,
+            letter.enclosures.length > 0 ? `Enclosures:\n${letter.enclosures.map(enclosure => `- ${enclosure}`).join('\n')}` : ''
+        ].filter(Boolean).join('\n\n');
+    }
+}
+
+const letterComposer = new LetterComposer();
+
+/**
+ * Template picker, preview, copy and download controls for a letter. Used on
+ * the wizard's review step and in the tracker's complaint details.
+ */
+class LetterPanel {
+    /**
+     * @param {HTMLElement} container
+     * @param {string} idPrefix - keeps element ids unique on the page
+     * @param {function(): {complaint: object, organization: object}} getSource
+     * @param {string} stage - which templates to offer: 'initial' or 'escalation'
+     */
+    constructor(container, idPrefix, getSource, stage = 'initial') {
+        this.container = container;
+        this.idPrefix = idPrefix;
+        this.getSource = getSource;
+        this.stage = stage;
+        this.templates = Object.keys(LETTER_TEMPLATES).filter(id => LETTER_TEMPLATES[id].stage === stage);
+        this.template = this.templates[0];
+        this.letter = null;
+
+        this.container.innerHTML = this.createControls();
+        this.setupEventListeners();
+    }
+
+    createControls() {
+        const id = this.idPrefix;
+        return `
+            <div class="row g-2 align-items-end mb-3">
+                <div class="col-md-6">
+                    <label for="${id}-template" class="form-label">Letter style</label>
+                    <select class="form-select" id="${id}-template" aria-describedby="${id}-level">
+                        ${this.templates.map(value => `
+                            <option value="${value}">${this.escapeHtml(LETTER_TEMPLATES[value].label)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="col-md-6 d-flex flex-wrap gap-2">
+                    <button type="button" class="btn btn-outline-primary" id="${id}-copy">Copy Letter</button>
+                    <button type="button" class="btn btn-outline-primary" id="${id}-download">Download Letter</button>
+                </div>
+            </div>
+            <p id="${id}-level" class="form-text"></p>
+            <div class="letter-preview border rounded p-3" id="${id}-preview" tabindex="0" role="region" aria-label="${this.stage === 'escalation' ? 'Escalation letter' : 'Letter'} preview"></div>
+        `;
+    }
+
+    setupEventListeners() {
+        const select = this.container.querySelector(`#${this.idPrefix}-template`);
+        select.addEventListener('change', () => {
+            this.template = select.value;
+            this.render();
+            this.announce(`Letter style changed to ${LETTER_TEMPLATES[this.template].label}`);
+        });
+
+        this.container.querySelector(`#${this.idPrefix}-copy`).addEventListener('click', () => this.copy());
+        this.container.querySelector(`#${this.idPrefix}-download`).addEventListener('click', () => this.download());
+    }
+
+    setTemplate(template) {
+        this.template = this.templates.includes(template) ? template : this.templates[0];
+        this.container.querySelector(`#${this.idPrefix}-template`).value = this.template;
+    }
+
+    render() {
+        const { complaint, organization } = this.getSource();
+        this.letter = letterComposer.compose(complaint, organization, { template: this.template });
+
+        const levelNames = { simple: 'simple', standard: 'standard', advanced: 'formal, detailed' };
+        this.container.querySelector(`#${this.idPrefix}-level`).textContent =
+            `Written in ${levelNames[this.letter.languageLevel]} language. You can change this with Language Level in Accessibility Settings.`;
+
+        const lines = text => this.escapeHtml(text).replace(/\n/g, '<br>');
+        this.container.querySelector(`#${this.idPrefix}-preview`).innerHTML = `
+            <p class="text-end mb-3">${this.letter.sender.map(line => this.escapeHtml(line)).join('<br>')}</p>
+            <p class="mb-3">${this.letter.recipient.map(line => this.escapeHtml(line)).join('<br>')}</p>
+            <p class="mb-3">${this.escapeHtml(this.letter.date)}</p>
+            <p class="mb-3"><strong>Subject: ${this.escapeHtml(this.letter.subject)}</strong></p>
+            <p class="mb-3">${this.escapeHtml(this.letter.salutation)}</p>
+            ${this.letter.paragraphs.map(paragraph => `<p class="mb-3">${lines(paragraph)}</p>`).join('')}
+            <p class="mb-0">${this.escapeHtml(this.letter.signOff)}<br><br>${this.escapeHtml(this.letter.signature)}</p>
+            ${this.letter.enclosures.length > 0 ? `
+                <p class="mt-3 mb-1">Enclosures:</p>
+                <ul class="mb-0">${this.letter.enclosures.map(enclosure => `<li>${this.escapeHtml(enclosure)}</li>`).join('')}</ul>
+            ` : ''}
+        `;
+    }
+
+    async copy() {
+        if (!this.letter) this.render();
+
+        try {
+            await navigator.clipboard.writeText(letterComposer.toText(this.letter));
+            this.announce('Letter copied to the clipboard');
+        } catch (error) {
+            console.warn('Could not copy letter:', error);
+            this.announce('Could not copy the letter. Select the letter text and copy it instead.', 'assertive');
+        }
+    }
+
+    download() {
+        if (!this.letter) this.render();
+
+        const blob = new Blob([letterComposer.toText(this.letter)], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.stage === 'escalation' ? 'escalation' : 'complaint'}-letter-${new Date().toISOString().split('T')[0]}.txt`;
+        link.click();
+
+        this.announce('Letter downloaded as a text file');
+    }
+
+    announce(message, priority = 'polite') {
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(message, priority);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * AccessAssist - Complaint Lifecycle
+ * Central definition of complaint statuses and the transitions allowed between
+ * them. Every status change goes through ComplaintLifecycle.apply so guards are
+ * checked and side effects (timestamps, deadline changes) happen in one place.
+ */
+
+// Thrown when code asks for a status change the lifecycle does not allow
+class LifecycleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LifecycleError';
+    }
+}
+
+class ComplaintLifecycle {
+    constructor(transitions) {
+        this.transitions = transitions;
+    }
+
+    /**
+     * Transitions whose from-status matches the complaint, with the guard result
+     * attached so the UI can explain why an action is unavailable.
+     */
+    getTransitions(complaint, context = {}) {
+        return this.transitions
+            .filter(t => t.from.includes(complaint.status))
+            .map(t => {
+                const blockedReason = t.guard ? t.guard(complaint, this.buildContext(context)) : null;
+                return { ...t, allowed: !blockedReason, blockedReason };
+            });
+    }
+
+    // Only the transitions the user can take right now
+    getAvailableTransitions(complaint, context = {}) {
+        return this.getTransitions(complaint, context).filter(t => t.allowed);
+    }
+
+    findTransition(complaint, toStatus) {
+        return this.transitions.find(t => t.to === toStatus && t.from.includes(complaint.status));
+    }
+
+    canTransition(complaint, toStatus, context = {}) {
+        const transition = this.findTransition(complaint, toStatus);
+        if (!transition) return false;
+        return !transition.guard || !transition.guard(complaint, this.buildContext(context));
+    }
+
+    buildContext(context) {
+        return { now: new Date(), ...context };
+    }
+
+    // A transition's default reason can depend on why it was allowed
+    getReason(transition, complaint, context) {
+        const reason = typeof transition.reason === 'function' ? transition.reason(complaint, context) : transition.reason;
+        return reason || '';
+    }
+
+    /**
+     * Move a complaint to a new status. Mutates the complaint, applies the
+     * transition's side effects and returns the history entry to record.
+     * @param {object} complaint
+     * @param {string} toStatus
+     * @param {{organization?: object, reason?: string, automatic?: boolean, outcomeMet?: string, now?: Date}} context
+     */
+    apply(complaint, toStatus, context = {}) {
+        const transition = this.findTransition(complaint, toStatus);
+        if (!transition) {
+            throw new LifecycleError(`Cannot move a complaint from "${complaint.status}" to "${toStatus}"`);
+        }
+
+        const fullContext = this.buildContext(context);
+        const blockedReason = transition.guard ? transition.guard(complaint, fullContext) : null;
+        if (blockedReason) {
+            throw new LifecycleError(blockedReason);
+        }
+
+        const fromStatus = complaint.status;
+        const reason = context.reason || this.getReason(transition, complaint, fullContext);
+        complaint.status = toStatus;
+        if (transition.effect) {
+            transition.effect(complaint, fullContext);
+        }
+
+        return {
+            date: fullContext.now.toISOString(),
+            type: 'status_change',
+            details: {
+                status: toStatus,
+                from: fromStatus,
+                reason,
+                automatic: !!context.automatic
+            }
+        };
+    }
+}
+
+function isPastDeadline(complaint, now) {
+    return !!complaint.deadline && now > new Date(complaint.deadline);
+}
+
+function hasFinalResponse(complaint) {
+    return (complaint.correspondence || []).some(entry => entry.direction === 'incoming' && entry.kind === 'final-response');
+}
+
+// Recalculate the response deadline from a given start date using the organization's timings
+function resetDeadline(complaint, organization, from) {
+    const deadline = deadlineCalculator.responseDeadline(complaint, organization, from);
+    if (deadline) {
+        complaint.deadline = deadline.toISOString();
+    }
+}
+
+const OPEN_STATUSES = ['submitted', 'acknowledged', 'in-progress', 'response-due', 'escalation'];
+
+const STATUS_LABELS = {
+    'submitted': 'Submitted',
+    'acknowledged': 'Acknowledged',
+    'in-progress': 'In Progress',
+    'response-due': 'Response Due',
+    'escalation': 'Needs Escalation',
+    'resolved': 'Resolved'
+};
+
+const complaintLifecycle = new ComplaintLifecycle([
+    {
+        from: ['submitted'],
+        to: 'acknowledged',
+        label: 'Mark Acknowledged',
+        icon: '📨',
+        buttonClass: 'btn-outline-primary',
+        reason: 'Organization acknowledged the complaint',
+        effect: (complaint, { now }) => {
+            complaint.acknowledgedDate = now.toISOString();
+        }
+    },
+    {
+        from: ['submitted', 'acknowledged'],
+        to: 'in-progress',
+        label: 'Mark In Progress',
+        icon: '🔄',
+        buttonClass: 'btn-outline-primary',
+        reason: 'Organization is investigating',
+        effect: (complaint, { now }) => {
+            complaint.inProgressDate = now.toISOString();
+        }
+    },
+    {
+        from: ['submitted', 'acknowledged', 'in-progress'],
+        to: 'response-due',
+        label: 'Mark Response Due',
+        icon: '⏰',
+        buttonClass: 'btn-outline-warning',
+        reason: 'Response deadline is approaching',
+        guard: (complaint) => complaint.deadline ? null : 'This complaint has no response deadline',
+        effect: (complaint, { now }) => {
+            complaint.responseDueDate = now.toISOString();
+        }
+    },
+    {
+        from: ['submitted', 'acknowledged', 'in-progress', 'response-due'],
+        to: 'escalation',
+        label: 'Escalate',
+        icon: '⚠️',
+        buttonClass: 'btn-warning',
+        reason: (complaint) => hasFinalResponse(complaint)
+            ? 'Not satisfied with the final response'
+            : 'Response deadline passed without a resolution',
+        confirmMessage: 'Are you sure you want to escalate this complaint? This will mark it as needing escalation and update its priority.',
+        guard: (complaint, { now }) => isPastDeadline(complaint, now) || hasFinalResponse(complaint)
+            ? null
+            : 'You can escalate once the response deadline has passed or the organization has sent a final response',
+        effect: (complaint, { now }) => {
+            complaint.escalatedDate = now.toISOString();
+        }
+    },
+    {
+        from: OPEN_STATUSES,
+        to: 'resolved',
+        label: 'Mark Resolved',
+        icon: '✓',
+        buttonClass: 'btn-success',
+        reason: (complaint, { outcomeMet }) => OUTCOME_MET[outcomeMet]
+            ? `Complaint resolved. Outcome ${OUTCOME_MET[outcomeMet].toLowerCase()}`
+            : 'Complaint resolved',
+        effect: (complaint, { now, outcomeMet }) => {
+            complaint.resolvedDate = now.toISOString();
+            if (OUTCOME_MET[outcomeMet]) {
+                complaint.outcome = { ...(complaint.outcome || complaintOutcomes.createEmpty()), met: outcomeMet };
+            }
+        }
+    },
+    {
+        from: ['resolved'],
+        to: 'in-progress',
+        label: 'Reopen',
+        icon: '↩️',
+        buttonClass: 'btn-outline-secondary',
+        reason: 'Complaint reopened',
+        confirmMessage: 'Reopen this complaint? A new response deadline will be set from today.',
+        effect: (complaint, { now, organization }) => {
+            complaint.reopenedDate = now.toISOString();
+            delete complaint.resolvedDate;
+            if (complaint.outcome) {
+                complaint.outcome = { ...complaint.outcome, met: '' };
+            }
+            resetDeadline(complaint, organization, now);
+        }
+    }
+]);
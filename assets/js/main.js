@@ -5,43 +5,215 @@
 
 class ComplaintManager {
     constructor() {
-        this.complaints = this.loadComplaints();
+        this.complaints = [];
+        this.changeListeners = [];
+        this.syncChannel = new DataSyncChannel();
+        this.organizationsRevision = 0;
         this.organizations = this.loadOrganizations();
-        this.init();
+        this.storage = null;
+        // Complaints saved by a newer version: kept in storage as they are, but not shown
+        this.newerComplaints = [];
+        this.scheduler = new DeadlineScheduler(this);
+
+        // Complaint storage is asynchronous; pages wait on this before reading complaints
+        this.ready = this.loadComplaints().then(async complaints => {
+            this.complaints = complaints;
+            this.init();
+            this.reportNewerComplaints();
+
+            // Apply any deadline changes due since the last visit before pages render
+            await this.scheduler.start();
+            return this;
+        });
     }
 
     init() {
         this.updateDashboard();
         this.setupEventListeners();
         this.loadRecentComplaints();
+        this.loadDrafts();
+        this.syncChannel.subscribe(message => this.handleRemoteChange(message));
+    }
+
+    /**
+     * Register a callback for data changes made in another tab or reloaded after
+     * a write conflict, and for contact profiles edited in settings on this
+     * page. Pages use this to refresh their copy of the data.
+     * @param {function({scope: string, ids?: string[], reason: string})} listener
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(l => l !== listener);
+        };
+    }
+
+    notifyChange(change) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Error in data change listener:', error);
+            }
+        });
     }
 
-    loadComplaints() {
+    async handleRemoteChange(message) {
+        if (message.scope === 'complaints') {
+            await this.reloadComplaints();
+        } else if (message.scope === 'organizations') {
+            this.reloadOrganizations();
+        } else if (message.scope === 'drafts') {
+            // Drafts are read from storage each time, so there is nothing to reload
+            this.loadDrafts();
+            this.notifyChange({ scope: 'drafts', ids: message.ids || [], reason: 'remote' });
+            return;
+        } else if (message.scope === 'profiles') {
+            if (this.contactProfilesPanel) this.contactProfilesPanel.refresh();
+            this.notifyChange({ scope: 'profiles', ids: message.ids || [], reason: 'remote' });
+            return;
+        } else {
+            return;
+        }
+
+        this.updateDashboard();
+        this.loadRecentComplaints();
+        this.notifyChange({ scope: message.scope, ids: message.ids || [], reason: 'remote' });
+    }
+
+    async reloadComplaints() {
         try {
-            const saved = localStorage.getItem('complaints');
-            return saved ? JSON.parse(saved) : [];
+            const { records, newer } = dataSchema.upgradeAll('complaint', await this.storage.getAll(), { skipNewer: true });
+            this.complaints = records;
+            this.newerComplaints = newer;
+        } catch (error) {
+            console.error('Error reloading complaints:', error);
+        }
+    }
+
+    reloadOrganizations() {
+        try {
+            const saved = localStorage.getItem('organizations');
+            if (saved) {
+                this.organizations = dataSchema.upgradeAll('organization', JSON.parse(saved)).records;
+            }
+            this.organizationsRevision = this.readOrganizationsRevision();
+        } catch (error) {
+            console.error('Error reloading organizations:', error);
+        }
+    }
+
+    /**
+     * Another tab saved first. Load the stored data so the user sees the latest
+     * version rather than silently overwriting it. Pass quiet for background
+     * writes the user did not ask for.
+     */
+    async handleWriteConflict(scope, ids = [], quiet = false) {
+        if (scope === 'complaints') {
+            await this.reloadComplaints();
+        } else {
+            this.reloadOrganizations();
+        }
+
+        this.updateDashboard();
+        this.loadRecentComplaints();
+        this.notifyChange({ scope, ids, reason: 'conflict' });
+
+        if (!quiet && window.accessibilityManager) {
+            const subject = scope === 'complaints' ? 'This complaint' : 'The organization list';
+            window.accessibilityManager.showNotification(
+                `${subject} was changed in another tab, so your change was not saved. The latest version has been loaded. Please check it and try again.`,
+                'warning'
+            );
+        }
+    }
+
+    async loadComplaints() {
+        try {
+            this.storage = await createComplaintStorage();
+            const { records, changed, newer } = dataSchema.upgradeAll('complaint', await this.storage.getAll(), { skipNewer: true });
+            this.newerComplaints = newer;
+
+            // Persist only the records a migration actually touched
+            await Promise.all(changed.map(complaint => this.storage.put(complaint)));
+            return records;
         } catch (error) {
             console.error('Error loading complaints:', error);
             return [];
         }
     }
 
-    saveComplaints() {
+    // Records from a newer version are left out of the list, so say why some complaints are missing
+    reportNewerComplaints() {
+        const count = this.newerComplaints.length;
+        if (count === 0) return;
+
+        console.warn(`${count} complaint(s) were saved by a newer version and were not loaded`);
+        if (window.accessibilityManager) {
+            window.accessibilityManager.showNotification(
+                `${count} complaint${count === 1 ? ' was' : 's were'} saved by a newer version of AccessAssist and cannot be shown here. ${count === 1 ? 'It has' : 'They have'} been kept as saved; update AccessAssist to see ${count === 1 ? 'it' : 'them'}.`,
+                'warning'
+            );
+        }
+    }
+
+    // Write every complaint, replacing whatever is stored (used by import and reset). Complaints from a newer version are kept.
+    async saveComplaints() {
         try {
-            localStorage.setItem('complaints', JSON.stringify(this.complaints));
+            await this.storage.replaceAll([...this.complaints, ...this.newerComplaints]);
+            this.syncChannel.publish({ scope: 'complaints' });
+            return true;
         } catch (error) {
-            console.error('Error saving complaints:', error);
-            if (window.accessibilityManager) {
-                window.accessibilityManager.announce('Error saving data. Please try again.', 'assertive');
+            this.handleSaveError(error);
+            return false;
+        }
+    }
+
+    /**
+     * Write a single complaint record. The write only succeeds if nobody else
+     * has saved the record since we loaded it; returns false otherwise.
+     */
+    async saveComplaint(complaint, { quiet = false } = {}) {
+        const expectedRevision = typeof complaint.revision === 'number' ? complaint.revision : 0;
+        const record = { ...complaint, revision: expectedRevision + 1 };
+
+        try {
+            await this.storage.putIfUnchanged(record, expectedRevision);
+            complaint.revision = record.revision;
+            this.syncChannel.publish({ scope: 'complaints', ids: [complaint.id] });
+            return true;
+        } catch (error) {
+            if (error instanceof WriteConflictError) {
+                await this.handleWriteConflict('complaints', [complaint.id], quiet);
+            } else {
+                this.handleSaveError(error);
             }
+            return false;
+        }
+    }
+
+    handleSaveError(error) {
+        console.error('Error saving complaints:', error);
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce('Error saving data. Please try again.', 'assertive');
         }
     }
 
+    readOrganizationsRevision() {
+        return parseInt(localStorage.getItem('organizations-revision'), 10) || 0;
+    }
+
     loadOrganizations() {
+        this.organizationsRevision = this.readOrganizationsRevision();
+
         try {
             const saved = localStorage.getItem('organizations');
             if (saved) {
-                return JSON.parse(saved);
+                const { records, changed } = dataSchema.upgradeAll('organization', JSON.parse(saved));
+                if (changed.length > 0) {
+                    this.saveOrganizations(records);
+                }
+                return records;
             }
         } catch (error) {
             console.error('Error loading organizations:', error);
@@ -55,7 +227,12 @@ class ComplaintManager {
                 type: 'Retailer',
                 contactEmail: 'complaints@techmart.co.uk',
                 responseTimedays: 30,
-                escalationTimedays: 60
+                escalationTimedays: 60,
+                deadlineMode: 'calendar',
+                holidayRegion: 'england-and-wales',
+                ombudsmanName: '',
+                ombudsmanUrl: '',
+                schemaVersion: dataSchema.version
             },
             {
                 id: 'quickfix',
@@ -63,7 +240,12 @@ class ComplaintManager {
                 type: 'Service Provider',
                 contactEmail: 'support@quickfixplumbing.co.uk',
                 responseTimedays: 14,
-                escalationTimedays: 28
+                escalationTimedays: 28,
+                deadlineMode: 'working',
+                holidayRegion: 'england-and-wales',
+                ombudsmanName: '',
+                ombudsmanUrl: '',
+                schemaVersion: dataSchema.version
             },
             {
                 id: 'streamflex',
@@ -71,7 +253,12 @@ class ComplaintManager {
                 type: 'Subscription Service',
                 contactEmail: 'customer.service@streamflex.co.uk',
                 responseTimedays: 21,
-                escalationTimedays: 42
+                escalationTimedays: 42,
+                deadlineMode: 'calendar',
+                holidayRegion: 'england-and-wales',
+                ombudsmanName: '',
+                ombudsmanUrl: '',
+                schemaVersion: dataSchema.version
             }
         ];
 
@@ -79,15 +266,53 @@ class ComplaintManager {
         return defaultOrgs;
     }
 
+    /**
+     * Save the organization list. Returns false without writing if another tab
+     * saved the list after we loaded it.
+     */
     saveOrganizations(orgs = this.organizations) {
         try {
+            const storedRevision = this.readOrganizationsRevision();
+            if (storedRevision !== this.organizationsRevision) {
+                throw new WriteConflictError('organizations', storedRevision, this.organizationsRevision);
+            }
+
             localStorage.setItem('organizations', JSON.stringify(orgs));
+            localStorage.setItem('organizations-revision', String(storedRevision + 1));
+            this.organizationsRevision = storedRevision + 1;
             this.organizations = orgs;
+            this.syncChannel.publish({ scope: 'organizations' });
+            return true;
         } catch (error) {
-            console.error('Error saving organizations:', error);
+            if (error instanceof WriteConflictError) {
+                this.handleWriteConflict('organizations');
+            } else {
+                console.error('Error saving organizations:', error);
+            }
+            return false;
         }
     }
 
+    /**
+     * Add an organization, for example from the complaint wizard. Returns the
+     * saved organization, or null if the save hit a write conflict. Callers
+     * should check organizationDirectory.validate first.
+     */
+    addOrganization(data) {
+        const organization = organizationDirectory.createOrganization(data);
+
+        const errors = organizationDirectory.validate(organization, this.organizations);
+        if (Object.keys(errors).length > 0) {
+            throw new Error(Object.values(errors)[0]);
+        }
+
+        if (!this.saveOrganizations([...this.organizations, organization])) {
+            return null;
+        }
+
+        return organization;
+    }
+
     updateDashboard() {
         // Update complaint count
         const activeComplaints = this.complaints.filter(c => c.status !== 'resolved').length;
@@ -149,7 +374,100 @@ class ComplaintManager {
                             <a href="track-complaints.html#complaint-${complaint.id}" class="btn btn-sm btn-outline-primary">
                                 View Details
                             </a>
-                            ${isOverdue ? '<button class="btn btn-sm btn-warning">Escalate</button>' : ''}
+                            ${complaintLifecycle.canTransition(complaint, 'escalation') ? `<a href="track-complaints.html#complaint-${complaint.id}" class="btn btn-sm btn-warning">Escalate</a>` : ''}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Save a wizard draft and let other tabs know. Returns the saved draft.
+     */
+    saveDraft(draft) {
+        const saved = draftStore.save(draft);
+        this.syncChannel.publish({ scope: 'drafts', ids: [saved.id] });
+        return saved;
+    }
+
+    duplicateDraft(draftId) {
+        const copy = draftStore.duplicate(draftId, this.organizations);
+        if (copy) {
+            this.syncChannel.publish({ scope: 'drafts', ids: [copy.id] });
+        }
+        return copy;
+    }
+
+    discardDraft(draftId) {
+        draftStore.discard(draftId);
+        this.syncChannel.publish({ scope: 'drafts', ids: [draftId] });
+    }
+
+    clearDrafts() {
+        draftStore.clear();
+        this.syncChannel.publish({ scope: 'drafts' });
+    }
+
+    /**
+     * Save a contact profile and let this page and other tabs know. Returns
+     * the saved profile.
+     */
+    saveContactProfile(profile) {
+        const saved = contactProfiles.save(profile);
+        this.syncChannel.publish({ scope: 'profiles', ids: [saved.id] });
+        this.notifyChange({ scope: 'profiles', ids: [saved.id], reason: 'local' });
+        return saved;
+    }
+
+    removeContactProfile(profileId) {
+        contactProfiles.remove(profileId);
+        this.syncChannel.publish({ scope: 'profiles', ids: [profileId] });
+        this.notifyChange({ scope: 'profiles', ids: [profileId], reason: 'local' });
+    }
+
+    clearContactProfiles() {
+        contactProfiles.clear();
+        this.syncChannel.publish({ scope: 'profiles' });
+        this.notifyChange({ scope: 'profiles', ids: [], reason: 'local' });
+    }
+
+    // Unfinished drafts sit alongside recent complaints on the dashboard
+    loadDrafts() {
+        const section = document.getElementById('drafts-section');
+        const container = document.getElementById('draft-list');
+        if (!section || !container) return;
+
+        const drafts = draftStore.getAll();
+        section.classList.toggle('d-none', drafts.length === 0);
+
+        container.innerHTML = drafts.map(draft => this.createDraftCard(draft)).join('');
+    }
+
+    createDraftCard(draft) {
+        const name = this.escapeHtml(draftStore.getName(draft, this.organizations));
+        const organization = this.organizations.find(org => org.id === draft.formData.organization);
+
+        return `
+            <div class="col-md-6 col-lg-4">
+                <div class="card draft-card" role="region" aria-labelledby="${draft.id}-title">
+                    <div class="card-body">
+                        <h3 id="${draft.id}-title" class="card-title h6">${name}</h3>
+                        <div class="small text-muted mb-3">
+                            ${organization ? `<div>Organization: ${this.escapeHtml(organization.name)}</div>` : ''}
+                            <div>Reached: ${draftStore.describeStep(draft.step)}</div>
+                            <div>Last edited: ${window.dateUtils.formatDateTime(draft.updatedDate)}</div>
+                        </div>
+                        <div class="d-flex flex-wrap gap-2">
+                            <a href="create-complaint.html?draft=${encodeURIComponent(draft.id)}" class="btn btn-sm btn-primary" aria-label="Resume ${name}">
+                                Resume
+                            </a>
+                            <button type="button" class="btn btn-sm btn-outline-secondary duplicate-draft" data-draft-id="${draft.id}" aria-label="Duplicate ${name}">
+                                Duplicate
+                            </button>
+                            <button type="button" class="btn btn-sm btn-outline-danger discard-draft" data-draft-id="${draft.id}" aria-label="Discard ${name}">
+                                Discard
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -157,6 +475,49 @@ class ComplaintManager {
         `;
     }
 
+    async handleDraftAction(event) {
+        const duplicateButton = event.target.closest('.duplicate-draft');
+        const discardButton = event.target.closest('.discard-draft');
+        const draftId = (duplicateButton || discardButton)?.dataset.draftId;
+        const draft = draftId ? draftStore.get(draftId) : null;
+        if (!draft) return;
+
+        const name = draftStore.getName(draft, this.organizations);
+
+        if (duplicateButton) {
+            const copy = this.duplicateDraft(draftId);
+            this.loadDrafts();
+            document.querySelector(`[aria-labelledby="${copy.id}-title"] a`)?.focus();
+            this.announceDraftChange(`Duplicated ${name}`);
+            return;
+        }
+
+        const confirmed = await accessibleDialog.confirm({
+            title: `Discard ${name}?`,
+            message: 'The answers in this draft will be deleted. This cannot be undone.',
+            confirmLabel: 'Discard',
+            danger: true
+        });
+        if (!confirmed) return;
+
+        this.discardDraft(draftId);
+        this.loadDrafts();
+        document.getElementById(draftStore.getAll().length > 0 ? 'drafts-heading' : 'recent-heading')?.focus();
+        this.announceDraftChange(`Discarded ${name}`);
+    }
+
+    announceDraftChange(message) {
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(message, 'polite');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     getStatusClass(status) {
         const statusMap = {
             'submitted': 'submitted',
@@ -219,6 +580,16 @@ class ComplaintManager {
             });
         }
 
+        const profilesManager = document.getElementById('contact-profiles-manager');
+        if (profilesManager) {
+            this.contactProfilesPanel = new ContactProfilesPanel(profilesManager, this);
+        }
+
+        const draftList = document.getElementById('draft-list');
+        if (draftList) {
+            draftList.addEventListener('click', (event) => this.handleDraftAction(event));
+        }
+
         // Handle card interactions
         this.setupCardAccessibility();
         
@@ -304,26 +675,40 @@ class ComplaintManager {
         return null;
     }
 
-    // Create a new complaint
-    createComplaint(complaintData) {
+    /**
+     * Create a new complaint. Returns the saved complaint, or null if it could
+     * not be saved; its files are removed again so none are left behind.
+     */
+    async createComplaint(complaintData) {
+        const { attachments = [], ...details } = complaintData;
         const complaint = {
             id: this.generateId(),
-            ...complaintData,
+            ...details,
+            attachments: attachments.map(attachment => attachmentStore.toMetadata(attachment)),
             createdDate: new Date().toISOString(),
             status: 'submitted',
-            updates: []
+            updates: [],
+            schemaVersion: dataSchema.version
         };
 
-        // Calculate deadline based on organization response time
+        // Calculate deadline from the date sent using the organization's counting rules
         const organization = this.organizations.find(org => org.id === complaintData.organizationId);
-        if (organization) {
-            const deadline = new Date();
-            deadline.setDate(deadline.getDate() + organization.responseTimedays);
+        const deadline = deadlineCalculator.responseDeadline(complaint, organization);
+        if (deadline) {
             complaint.deadline = deadline.toISOString();
         }
 
+        // Store the files first so the complaint never lists a file that was not saved
+        if (attachments.length > 0) {
+            await attachmentStore.save(complaint.id, attachments);
+        }
+
         this.complaints.push(complaint);
-        this.saveComplaints();
+        if (!await this.saveComplaint(complaint)) {
+            this.complaints = this.complaints.filter(c => c.id !== complaint.id);
+            await attachmentStore.delete(complaint.attachments.map(attachment => attachment.id));
+            return null;
+        }
         
         if (window.accessibilityManager) {
             window.accessibilityManager.announce('Complaint created successfully', 'polite');
@@ -332,20 +717,30 @@ class ComplaintManager {
         return complaint;
     }
 
-    updateComplaint(complaintId, updates) {
+    /**
+     * Update complaint details. Status is owned by the lifecycle, so status
+     * changes must go through transitionComplaint instead.
+     */
+    async updateComplaint(complaintId, updates) {
         const complaint = this.complaints.find(c => c.id === complaintId);
         if (!complaint) return false;
 
+        if ('status' in updates && updates.status !== complaint.status) {
+            throw new LifecycleError('Use transitionComplaint to change a complaint status');
+        }
+
         Object.assign(complaint, updates);
         
         // Add update to history
         complaint.updates.push({
             date: new Date().toISOString(),
-            type: 'status_change',
+            type: 'details_updated',
             details: updates
         });
 
-        this.saveComplaints();
+        if (!await this.saveComplaint(complaint)) {
+            return false;
+        }
         
         if (window.accessibilityManager) {
             window.accessibilityManager.announce('Complaint updated successfully', 'polite');
@@ -354,12 +749,211 @@ class ComplaintManager {
         return true;
     }
 
-    deleteComplaint(complaintId) {
+    /**
+     * Move a complaint to a new status through the lifecycle. Throws a
+     * LifecycleError if the transition is not allowed; returns false if the
+     * save was refused because of a write conflict.
+     * @param {string} complaintId
+     * @param {string} toStatus
+     * @param {{reason?: string, automatic?: boolean, quiet?: boolean, now?: Date}} options
+     */
+    async transitionComplaint(complaintId, toStatus, options = {}) {
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (!complaint) return false;
+
+        const { quiet, ...context } = options;
+        const organization = this.organizations.find(org => org.id === complaint.organizationId);
+
+        // A transition can set several dates and the deadline, so keep the whole record to put back
+        const previous = { ...complaint };
+        const entry = complaintLifecycle.apply(complaint, toStatus, { ...context, organization });
+        complaint.updates = [...complaint.updates, entry];
+
+        if (!await this.saveComplaint(complaint, { quiet })) {
+            Object.keys(complaint).forEach(key => delete complaint[key]);
+            Object.assign(complaint, previous);
+            return false;
+        }
+
+        this.updateDashboard();
+        return true;
+    }
+
+    /**
+     * Add an entry to a complaint's correspondence log. Returns the saved entry,
+     * or null if the complaint is missing or the save hit a write conflict.
+     * Callers should check correspondenceLog.validate first.
+     */
+    async addCorrespondence(complaintId, data) {
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (!complaint) return null;
+
+        const errors = correspondenceLog.validate(data);
+        if (Object.keys(errors).length > 0) {
+            throw new Error(Object.values(errors)[0]);
+        }
+
+        const entry = correspondenceLog.createEntry(data);
+        const previous = complaint.correspondence;
+        complaint.correspondence = [...(complaint.correspondence || []), entry];
+
+        if (!await this.saveComplaint(complaint)) {
+            complaint.correspondence = previous;
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Record the outcome type and amounts on a complaint, such as an offer
+     * from the organization. Only the fields given are changed. Returns the
+     * saved outcome, or null if the complaint is missing or the save hit a
+     * write conflict.
+     */
+    async updateOutcome(complaintId, data) {
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (!complaint) return null;
+
+        const errors = complaintOutcomes.validate(data);
+        if (Object.keys(errors).length > 0) {
+            throw new Error(Object.values(errors)[0]);
+        }
+
+        const before = complaint.outcome || complaintOutcomes.createEmpty();
+        const outcome = complaintOutcomes.createOutcome(data, before);
+        if (Object.keys(complaintOutcomes.getChanges(before, outcome)).length === 0) {
+            return outcome;
+        }
+
+        const previous = { outcome: complaint.outcome, updates: complaint.updates };
+        complaint.outcome = outcome;
+        complaint.updates = [...complaint.updates, complaintOutcomes.createUpdate(before, outcome)];
+
+        if (!await this.saveComplaint(complaint)) {
+            Object.assign(complaint, previous);
+            return null;
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Attach files to an existing complaint. Each attachment comes from
+     * attachmentStore.createAttachment and should already be validated.
+     * Returns the saved details, or null if the save hit a write conflict.
+     */
+    async addAttachments(complaintId, attachments) {
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (!complaint) return null;
+
+        const saved = await attachmentStore.save(complaintId, attachments);
+        const previous = complaint.attachments;
+        complaint.attachments = [...(complaint.attachments || []), ...saved];
+
+        if (!await this.saveComplaint(complaint)) {
+            complaint.attachments = previous;
+            await attachmentStore.delete(saved.map(attachment => attachment.id));
+            return null;
+        }
+
+        return saved;
+    }
+
+    /**
+     * Add a new complaint's text, and any files, to an existing complaint
+     * about the same issue instead of submitting it again. Returns the
+     * update, or null if the complaint is missing or the save hit a write
+     * conflict.
+     */
+    async addFurtherDetails(complaintId, complaintData) {
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (!complaint) return null;
+
+        const update = duplicateDetector.createFurtherDetailsUpdate(complaintData);
+        const attachments = complaintData.attachments || [];
+        const saved = attachments.length > 0 ? await attachmentStore.save(complaintId, attachments) : [];
+
+        // Put the old lists back if the save fails, so the complaint never lists removed files
+        const previous = { updates: complaint.updates, attachments: complaint.attachments };
+        complaint.updates = [...complaint.updates, update];
+        complaint.attachments = [...(complaint.attachments || []), ...saved];
+
+        if (!await this.saveComplaint(complaint)) {
+            Object.assign(complaint, previous);
+            await attachmentStore.delete(saved.map(attachment => attachment.id));
+            return null;
+        }
+
+        return update;
+    }
+
+    async removeAttachment(complaintId, attachmentId) {
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (!complaint) return false;
+
+        const previous = complaint.attachments;
+        complaint.attachments = (complaint.attachments || []).filter(attachment => attachment.id !== attachmentId);
+
+        if (!await this.saveComplaint(complaint)) {
+            complaint.attachments = previous;
+            return false;
+        }
+
+        await attachmentStore.delete([attachmentId]);
+        return true;
+    }
+
+    /**
+     * Rename a tag on every complaint that has it. Renaming to an existing tag
+     * merges the two. Returns how many complaints were changed.
+     */
+    async renameTag(from, to) {
+        return this.updateTags(from, tags => complaintTaxonomy.renameTag(tags, from, to));
+    }
+
+    async deleteTag(tag) {
+        return this.updateTags(tag, tags => complaintTaxonomy.removeTag(tags, tag));
+    }
+
+    async updateTags(tag, change) {
+        const affectedIds = this.complaints.filter(complaint => complaintTaxonomy.hasTag(complaint, tag)).map(complaint => complaint.id);
+        let changed = 0;
+
+        for (const complaintId of affectedIds) {
+            // A write conflict reloads the list, so look each complaint up again rather than keep a stale copy
+            const complaint = this.complaints.find(c => c.id === complaintId);
+            if (!complaint || !complaintTaxonomy.hasTag(complaint, tag)) continue;
+
+            const previous = complaint.tags;
+            complaint.tags = change(complaint.tags);
+            if (await this.saveComplaint(complaint, { quiet: true })) {
+                changed += 1;
+            } else {
+                complaint.tags = previous;
+            }
+        }
+
+        return changed;
+    }
+
+    async deleteComplaint(complaintId) {
         const index = this.complaints.findIndex(c => c.id === complaintId);
         if (index === -1) return false;
 
         this.complaints.splice(index, 1);
-        this.saveComplaints();
+        try {
+            await this.storage.delete(complaintId);
+            this.syncChannel.publish({ scope: 'complaints', ids: [complaintId] });
+        } catch (error) {
+            this.handleSaveError(error);
+        }
+
+        try {
+            await attachmentStore.deleteForComplaint(complaintId);
+        } catch (error) {
+            console.warn('Could not delete attachment files:', error);
+        }
         
         if (window.accessibilityManager) {
             window.accessibilityManager.announce('Complaint deleted successfully', 'polite');
@@ -378,7 +972,8 @@ class ComplaintManager {
             complaints: this.complaints,
             organizations: this.organizations,
             exportDate: new Date().toISOString(),
-            version: '1.0'
+            version: '1.0.0',
+            schemaVersion: dataSchema.version
         };
 
         const dataStr = JSON.stringify(data, null, 2);
@@ -394,13 +989,13 @@ class ComplaintManager {
         }
     }
 
-    importData(jsonData) {
+    async importData(jsonData) {
         try {
-            const data = JSON.parse(jsonData);
+            const data = dataSchema.upgradeImport(JSON.parse(jsonData));
             
             if (data.complaints) {
                 this.complaints = data.complaints;
-                this.saveComplaints();
+                await this.saveComplaints();
             }
             
             if (data.organizations) {
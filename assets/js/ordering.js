@@ -0,0 +1,158 @@
+/**
+ * AccessAssist - Complaint List Ordering
+ * Sorting, grouping and paging for the complaint tracker. Complaints keep the
+ * chosen order inside each group, and pages are cut from the grouped list, so
+ * a long group carries on over the next page under the same heading.
+ */
+
+const COMPLAINT_SORTS = {
+    priority: 'Most urgent first',
+    deadline: 'Deadline, soonest first',
+    organization: 'Organization, A to Z',
+    elapsed: 'Days elapsed, longest first',
+    title: 'Title, A to Z'
+};
+
+const COMPLAINT_GROUPS = {
+    none: 'No grouping',
+    organization: 'Organization',
+    status: 'Status'
+};
+
+const COMPLAINT_PAGE_SIZES = [10, 25, 50, 100];
+const DEFAULT_COMPLAINT_PAGE_SIZE = 25;
+
+// Most urgent first: overdue complaints come before all of these
+const STATUS_PRIORITY = ['escalation', 'response-due', 'in-progress', 'acknowledged', 'submitted', 'resolved'];
+
+class ComplaintOrdering {
+    /**
+     * Sort a copy of `complaints`. `context` gives what the tracker knows
+     * beyond the complaint itself: getOrganizationName(id) and
+     * isOverdue(complaint). Ties go to the newest complaint.
+     */
+    sort(complaints, sortKey, context) {
+        const compare = this.getComparator(sortKey, context);
+        return [...complaints].sort((a, b) => compare(a, b) || this.compareNewest(a, b));
+    }
+
+    getComparator(sortKey, { getOrganizationName, isOverdue }) {
+        switch (sortKey) {
+            case 'deadline':
+                // Complaints without a deadline go last
+                return (a, b) => {
+                    if (!a.deadline || !b.deadline) return !a.deadline - !b.deadline;
+                    return new Date(a.deadline) - new Date(b.deadline);
+                };
+            case 'organization':
+                return (a, b) => this.compareText(getOrganizationName(a.organizationId), getOrganizationName(b.organizationId));
+            case 'elapsed':
+                return (a, b) => new Date(a.createdDate) - new Date(b.createdDate);
+            case 'title':
+                return (a, b) => this.compareText(a.title, b.title);
+            default:
+                return (a, b) => (isOverdue(b) - isOverdue(a)) || (this.getStatusRank(a.status) - this.getStatusRank(b.status));
+        }
+    }
+
+    compareText(a, b) {
+        return (a || '').localeCompare(b || '', 'en-GB', { sensitivity: 'base', numeric: true });
+    }
+
+    compareNewest(a, b) {
+        return new Date(b.createdDate) - new Date(a.createdDate);
+    }
+
+    // Statuses from a newer version go after the ones we know
+    getStatusRank(status) {
+        const rank = STATUS_PRIORITY.indexOf(status);
+        return rank === -1 ? STATUS_PRIORITY.length : rank;
+    }
+
+    getGroupKey(complaint, groupKey) {
+        if (groupKey === 'organization') return complaint.organizationId;
+        if (groupKey === 'status') return complaint.status;
+        return '';
+    }
+
+    /**
+     * Split sorted complaints into headed groups. Organizations are listed
+     * A to Z and statuses most urgent first; the complaints in each group keep
+     * their order. Without grouping there is one group with no label.
+     * @returns {{key: string, label: string, complaints: Object[]}[]}
+     */
+    group(complaints, groupKey, { getOrganizationName, formatStatus }) {
+        if (!COMPLAINT_GROUPS[groupKey] || groupKey === 'none') {
+            return [{ key: '', label: '', complaints }];
+        }
+
+        const groups = new Map();
+        complaints.forEach(complaint => {
+            const key = this.getGroupKey(complaint, groupKey);
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key,
+                    label: groupKey === 'organization' ? getOrganizationName(key) : formatStatus(key),
+                    complaints: []
+                });
+            }
+            groups.get(key).complaints.push(complaint);
+        });
+
+        return [...groups.values()].sort((a, b) => groupKey === 'status'
+            ? this.getStatusRank(a.key) - this.getStatusRank(b.key)
+            : this.compareText(a.label, b.label));
+    }
+
+    getPageCount(total, pageSize) {
+        return Math.max(1, Math.ceil(total / pageSize));
+    }
+
+    /**
+     * One page of grouped complaints. `page` is counted from 1 and kept within
+     * range, so removing complaints never leaves an empty page showing.
+     * Each group on the page keeps its full size in `total` for its heading.
+     * @returns {{page: number, pageCount: number, start: number, end: number, total: number, groups: {key: string, label: string, total: number, continued: boolean, complaints: Object[]}[]}}
+     */
+    paginate(groups, page, pageSize) {
+        const total = groups.reduce((sum, group) => sum + group.complaints.length, 0);
+        const pageCount = this.getPageCount(total, pageSize);
+        const current = Math.min(Math.max(1, page), pageCount);
+        const start = (current - 1) * pageSize;
+        const end = Math.min(start + pageSize, total);
+
+        let offset = 0;
+        const pageGroups = [];
+        groups.forEach(group => {
+            const from = Math.max(start - offset, 0);
+            const to = Math.min(end - offset, group.complaints.length);
+            if (from < to) {
+                pageGroups.push({
+                    key: group.key,
+                    label: group.label,
+                    total: group.complaints.length,
+                    continued: from > 0,
+                    complaints: group.complaints.slice(from, to)
+                });
+            }
+            offset += group.complaints.length;
+        });
+
+        return { page: current, pageCount, start, end, total, groups: pageGroups };
+    }
+
+    // The page that shows a complaint, or null if it is not in the list
+    findPage(groups, complaintId, pageSize) {
+        const index = groups.flatMap(group => group.complaints).findIndex(complaint => complaint.id === complaintId);
+        return index === -1 ? null : Math.floor(index / pageSize) + 1;
+    }
+
+    // "Showing 26 to 50 of 120 complaints"
+    describeRange({ start, end, total }) {
+        if (total === 0) return 'No complaints to show';
+        const noun = `complaint${total === 1 ? '' : 's'}`;
+        return end - start === total ? `Showing all ${total} ${noun}` : `Showing ${start + 1} to ${end} of ${total} ${noun}`;
+    }
+}
+
+const complaintOrdering = new ComplaintOrdering();
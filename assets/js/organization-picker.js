@@ -0,0 +1,263 @@
+/**
+ * AccessAssist - Organization Picker
+ * An ARIA 1.2 combobox for choosing the organization in the complaint
+ * wizard. Typing (or speaking, with the voice input button) filters the
+ * list, which is grouped by organization type. The chosen organization's id
+ * is kept in a hidden field, so the rest of the wizard reads it like any
+ * other field; the last option in the list offers to add a new one.
+ */
+
+// Wait this long after typing stops before announcing how many organizations match
+const ORGANIZATION_PICKER_ANNOUNCE_DELAY_MS = 600;
+
+class OrganizationPicker {
+    /**
+     * @param {{input: HTMLInputElement, listbox: HTMLElement, valueField: HTMLInputElement, onAdd: function(string)}} options
+     */
+    constructor({ input, listbox, valueField, onAdd }) {
+        this.input = input;
+        this.listbox = listbox;
+        this.valueField = valueField;
+        this.onAdd = onAdd;
+        this.organizations = [];
+        this.options = [];
+        this.activeIndex = -1;
+        this.clearingForEdit = false;
+
+        this.input.addEventListener('input', () => this.handleInput());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => this.handleBlur());
+        this.input.addEventListener('click', () => this.open());
+
+        // Keep focus in the input while an option is clicked
+        this.listbox.addEventListener('mousedown', (e) => e.preventDefault());
+        this.listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.choose(this.options.findIndex(o => o.element === option));
+        });
+
+        // Drafts and other code set the hidden field directly
+        this.valueField.addEventListener('change', () => {
+            if (!this.clearingForEdit) this.showSelection();
+        });
+    }
+
+    setOrganizations(organizations) {
+        this.organizations = organizations;
+        if (this.isOpen()) this.render();
+    }
+
+    getSelected() {
+        return this.organizations.find(org => org.id === this.valueField.value) || null;
+    }
+
+    isOpen() {
+        return this.input.getAttribute('aria-expanded') === 'true';
+    }
+
+    open() {
+        if (this.isOpen()) return;
+        this.render();
+        this.listbox.classList.remove('d-none');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        this.listbox.classList.add('d-none');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.setActive(-1);
+    }
+
+    // The selected organization's name is shown in the input when it is not being edited
+    showSelection() {
+        const selected = this.getSelected();
+        this.input.value = selected ? selected.name : '';
+    }
+
+    /**
+     * Select an organization by id ('' to clear), notifying the wizard
+     * through the hidden field's change event.
+     */
+    select(organizationId) {
+        if (this.valueField.value === organizationId) {
+            this.showSelection();
+            return;
+        }
+        this.valueField.value = organizationId;
+        this.valueField.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    handleInput() {
+        // Editing the name means the earlier choice no longer applies
+        const selected = this.getSelected();
+        if (selected && selected.name !== this.input.value) {
+            this.clearingForEdit = true;
+            this.select('');
+            this.clearingForEdit = false;
+        }
+
+        if (this.isOpen()) {
+            this.render();
+        } else {
+            this.open();
+        }
+
+        // With one match left, move to it so Enter chooses it
+        const matches = this.options.filter(option => option.organization);
+        this.setActive(matches.length === 1 ? 0 : -1);
+        this.scheduleAnnouncement(matches.length);
+    }
+
+    handleKeydown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (!this.isOpen()) {
+                    this.open();
+                    if (event.altKey) return;
+                }
+                this.setActive(Math.min(this.activeIndex + 1, this.options.length - 1));
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!this.isOpen()) {
+                    this.open();
+                    this.setActive(this.options.length - 1);
+                    return;
+                }
+                if (event.altKey) {
+                    this.choose(this.activeIndex);
+                    return;
+                }
+                this.setActive(Math.max(this.activeIndex - 1, 0));
+                break;
+            case 'Enter':
+                // Never submit the form from here
+                event.preventDefault();
+                if (this.isOpen() && this.activeIndex >= 0) {
+                    this.choose(this.activeIndex);
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen()) {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.close();
+                } else if (this.input.value) {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.input.value = '';
+                    this.select('');
+                }
+                break;
+            case 'Tab':
+                this.close();
+                break;
+        }
+    }
+
+    handleBlur() {
+        this.close();
+
+        // A name typed in full counts as choosing it
+        if (!this.getSelected()) {
+            const match = organizationDirectory.findByName(this.organizations, this.input.value);
+            if (match) this.select(match.id);
+        }
+    }
+
+    choose(index) {
+        const option = this.options[index];
+        if (!option) return;
+
+        this.close();
+        if (option.organization) {
+            this.select(option.organization.id);
+        } else {
+            this.onAdd(this.getSelected() ? '' : this.input.value.trim());
+        }
+    }
+
+    setActive(index) {
+        this.options.forEach((option, i) => {
+            option.element.classList.toggle('active', i === index);
+        });
+        this.activeIndex = index;
+
+        const active = this.options[index];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.element.id);
+            active.element.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    render() {
+        // Show everything while the input holds the current choice, so it is easy to change
+        const query = this.getSelected() ? '' : this.input.value;
+        const groups = organizationDirectory.groupByType(this.organizations, query);
+        const selectedId = this.valueField.value;
+        const listboxId = this.listbox.id;
+
+        this.listbox.innerHTML = '';
+        this.options = [];
+
+        groups.forEach((group, groupIndex) => {
+            const groupElement = document.createElement('ul');
+            groupElement.setAttribute('role', 'group');
+            groupElement.setAttribute('aria-labelledby', `${listboxId}-group-${groupIndex}`);
+            groupElement.className = 'list-unstyled mb-0';
+
+            const label = document.createElement('li');
+            label.setAttribute('role', 'presentation');
+            label.id = `${listboxId}-group-${groupIndex}`;
+            label.className = 'organization-picker-group';
+            label.textContent = group.type;
+            groupElement.appendChild(label);
+
+            group.organizations.forEach(organization => {
+                const element = document.createElement('li');
+                element.setAttribute('role', 'option');
+                element.id = `${listboxId}-option-${this.options.length}`;
+                element.className = 'organization-picker-option';
+                element.setAttribute('aria-selected', String(organization.id === selectedId));
+                element.textContent = organization.name;
+                groupElement.appendChild(element);
+                this.options.push({ element, organization });
+            });
+
+            this.listbox.appendChild(groupElement);
+        });
+
+        if (groups.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'organization-picker-empty';
+            empty.textContent = `No organizations match "${query.trim()}"`;
+            this.listbox.appendChild(empty);
+        }
+
+        const add = document.createElement('div');
+        add.setAttribute('role', 'option');
+        add.setAttribute('aria-selected', 'false');
+        add.id = `${listboxId}-option-add`;
+        add.className = 'organization-picker-option organization-picker-add';
+        add.textContent = query.trim() ? `Add "${query.trim()}" as a new organization` : 'Add a new organization';
+        this.listbox.appendChild(add);
+        this.options.push({ element: add, organization: null });
+
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    scheduleAnnouncement(count) {
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            if (!window.accessibilityManager || !this.isOpen()) return;
+            const message = count === 0
+                ? 'No organizations found. Choose "Add a new organization" to add it.'
+                : `${count} organization${count === 1 ? '' : 's'} found. Use the arrow keys to choose.`;
+            window.accessibilityManager.announce(message);
+        }, ORGANIZATION_PICKER_ANNOUNCE_DELAY_MS);
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * AccessAssist - Organizations
+ * The rules an organization must meet before it is saved, shared by the
+ * admin page and the wizard's inline "add organization" form, and the
+ * searching and grouping used by the wizard's organization picker.
+ */
+
+const ORGANIZATION_TYPES = [
+    'Retailer',
+    'Service Provider',
+    'Subscription Service',
+    'Government Agency',
+    'Healthcare Provider',
+    'Financial Institution',
+    'Other'
+];
+
+const ORGANIZATION_MAX_DAYS = 365;
+
+// Used for organizations added from the wizard, where only the essentials are asked for
+const NEW_ORGANIZATION_DEFAULTS = {
+    responseTimedays: 28,
+    escalationTimedays: 56
+};
+
+class OrganizationDirectory {
+    getTypes() {
+        return ORGANIZATION_TYPES;
+    }
+
+    createId() {
+        return 'org_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Turn form values into an organization record. Missing settings get the
+     * defaults for a new organization.
+     */
+    createOrganization(data) {
+        return {
+            id: data.id || this.createId(),
+            name: (data.name || '').trim(),
+            type: data.type || '',
+            contactEmail: (data.contactEmail || '').trim(),
+            responseTimedays: parseInt(data.responseTimedays ?? NEW_ORGANIZATION_DEFAULTS.responseTimedays, 10),
+            escalationTimedays: parseInt(data.escalationTimedays ?? NEW_ORGANIZATION_DEFAULTS.escalationTimedays, 10),
+            deadlineMode: data.deadlineMode || DEFAULT_DEADLINE_MODE,
+            holidayRegion: data.holidayRegion || DEFAULT_HOLIDAY_REGION,
+            ombudsmanName: (data.ombudsmanName || '').trim(),
+            ombudsmanUrl: (data.ombudsmanUrl || '').trim(),
+            schemaVersion: dataSchema.version
+        };
+    }
+
+    /**
+     * Check an organization before it is saved. Returns a map of field name
+     * to error message; an empty object means it can be saved. Names must be
+     * unique, ignoring case, among the other organizations.
+     */
+    validate(org, organizations = []) {
+        const errors = {};
+
+        if (!org.name) {
+            errors.name = 'Organization name is required';
+        } else if (organizations.some(o => o.id !== org.id && o.name.toLowerCase() === org.name.toLowerCase())) {
+            errors.name = 'An organization with this name already exists';
+        }
+
+        if (!ORGANIZATION_TYPES.includes(org.type)) {
+            errors.type = 'Organization type is required';
+        }
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(org.contactEmail)) {
+            errors.contactEmail = 'Valid email address is required';
+        }
+
+        const isValidDays = days => Number.isInteger(days) && days >= 1 && days <= ORGANIZATION_MAX_DAYS;
+        if (!isValidDays(org.responseTimedays)) {
+            errors.responseTimedays = `Response time must be between 1 and ${ORGANIZATION_MAX_DAYS} days`;
+        }
+        if (!isValidDays(org.escalationTimedays)) {
+            errors.escalationTimedays = `Escalation time must be between 1 and ${ORGANIZATION_MAX_DAYS} days`;
+        } else if (!errors.responseTimedays && org.escalationTimedays <= org.responseTimedays) {
+            errors.escalationTimedays = 'Escalation time must be greater than response time';
+        }
+
+        if (org.ombudsmanUrl && !/^https?:\/\/\S+\.\S+/.test(org.ombudsmanUrl)) {
+            errors.ombudsmanUrl = 'Enter a full web address starting with https://';
+        }
+
+        return errors;
+    }
+
+    // Every word typed must appear in the name or type, in any order
+    matches(org, query) {
+        const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const text = `${org.name} ${org.type}`.toLowerCase();
+        return words.every(word => text.includes(word));
+    }
+
+    /**
+     * Organizations matching a search, grouped by type in the order of
+     * ORGANIZATION_TYPES and sorted by name within each group.
+     * @returns {{type: string, organizations: Object[]}[]}
+     */
+    groupByType(organizations, query = '') {
+        const groups = new Map();
+
+        organizations
+            .filter(org => this.matches(org, query))
+            .sort((a, b) => a.name.localeCompare(b.name, 'en-GB', { sensitivity: 'base' }))
+            .forEach(org => {
+                const type = ORGANIZATION_TYPES.includes(org.type) ? org.type : 'Other';
+                if (!groups.has(type)) groups.set(type, []);
+                groups.get(type).push(org);
+            });
+
+        return ORGANIZATION_TYPES
+            .filter(type => groups.has(type))
+            .map(type => ({ type, organizations: groups.get(type) }));
+    }
+
+    findByName(organizations, name) {
+        const key = (name || '').trim().toLowerCase();
+        return key ? organizations.find(org => org.name.toLowerCase() === key) || null : null;
+    }
+}
+
+const organizationDirectory = new OrganizationDirectory();
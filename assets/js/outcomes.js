@@ -0,0 +1,238 @@
+/**
+ * AccessAssist - Outcomes and Money
+ * What a complaint asks for, beyond the free-text desired outcome: the type
+ * of outcome, the amount claimed, and later the amount offered and received.
+ * Amounts are stored as whole pence (or cents) so totals add up exactly.
+ * When a complaint is resolved, complaint.outcome.met records whether the
+ * outcome was met in full, in part or not at all.
+ */
+
+const OUTCOME_TYPES = {
+    refund: 'Refund',
+    compensation: 'Compensation',
+    replacement: 'Replacement',
+    apology: 'Apology',
+    'service-fix': 'Service fixed',
+    other: 'Something else'
+};
+
+const OUTCOME_CURRENCIES = {
+    GBP: 'Pounds (£)',
+    EUR: 'Euros (€)',
+    USD: 'US dollars ($)'
+};
+
+const DEFAULT_OUTCOME_CURRENCY = 'GBP';
+
+// In pounds, euros or dollars; anything larger is almost certainly a typing mistake
+const OUTCOME_MAX_AMOUNT = 1000000;
+
+const OUTCOME_MET = {
+    full: 'Met in full',
+    partial: 'Met in part',
+    none: 'Not met'
+};
+
+// Amounts recorded on a complaint, in the order they usually happen
+const OUTCOME_AMOUNTS = {
+    claimed: 'Amount claimed',
+    offered: 'Amount offered',
+    received: 'Amount received'
+};
+
+class ComplaintOutcomes {
+    getTypeLabel(type) {
+        return OUTCOME_TYPES[type] || '';
+    }
+
+    /**
+     * Read a typed amount into pence. Currency symbols, commas and spaces are
+     * ignored. Returns null when blank and NaN when it is not an amount.
+     */
+    parseAmount(value) {
+        if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+
+        const text = String(value ?? '').replace(/[£€$,\s]/g, '');
+        if (!text) return null;
+        if (!/^\d+(\.\d{1,2})?$/.test(text)) return NaN;
+        return Math.round(parseFloat(text) * 100);
+    }
+
+    // For putting an amount back into a form field: "129.99"
+    toInputValue(amount) {
+        return amount === null || amount === undefined ? '' : (amount / 100).toFixed(2);
+    }
+
+    formatAmount(amount, currency = DEFAULT_OUTCOME_CURRENCY) {
+        return new Intl.NumberFormat('en-GB', {
+            style: 'currency',
+            currency: OUTCOME_CURRENCIES[currency] ? currency : DEFAULT_OUTCOME_CURRENCY
+        }).format(amount / 100);
+    }
+
+    /**
+     * Check outcome form values. Returns a map of field name (type, currency,
+     * claimed, offered, received) to error message; an empty object means
+     * they can be saved.
+     */
+    validate(data) {
+        const errors = {};
+
+        if (data.type && !OUTCOME_TYPES[data.type]) {
+            errors.type = 'Please choose a type of outcome from the list';
+        }
+
+        if (data.currency && !OUTCOME_CURRENCIES[data.currency]) {
+            errors.currency = 'Please choose a currency from the list';
+        }
+
+        Object.entries(OUTCOME_AMOUNTS).forEach(([field, label]) => {
+            if (!(field in data)) return;
+
+            const amount = this.parseAmount(data[field]);
+            if (Number.isNaN(amount)) {
+                errors[field] = `${label} must be a number, such as 49.99`;
+            } else if (amount !== null && amount > OUTCOME_MAX_AMOUNT * 100) {
+                errors[field] = `${label} must be no more than ${this.formatAmount(OUTCOME_MAX_AMOUNT * 100, data.currency)}`;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Turn form values into the outcome stored on a complaint. Values not
+     * given are kept from `existing`, so the tracker can record an offer
+     * without touching the amount claimed.
+     */
+    createOutcome(data, existing = this.createEmpty()) {
+        const outcome = { ...existing };
+
+        if ('type' in data) outcome.type = OUTCOME_TYPES[data.type] ? data.type : '';
+        if ('currency' in data) outcome.currency = OUTCOME_CURRENCIES[data.currency] ? data.currency : DEFAULT_OUTCOME_CURRENCY;
+        Object.keys(OUTCOME_AMOUNTS).forEach(field => {
+            if (field in data) outcome[field] = this.parseAmount(data[field]);
+        });
+
+        return outcome;
+    }
+
+    createEmpty() {
+        return {
+            type: '',
+            currency: DEFAULT_OUTCOME_CURRENCY,
+            claimed: null,
+            offered: null,
+            received: null,
+            met: ''
+        };
+    }
+
+    hasAmounts(outcome) {
+        return !!outcome && Object.keys(OUTCOME_AMOUNTS).some(field => outcome[field] !== null && outcome[field] !== undefined);
+    }
+
+    /**
+     * The most likely answer to "was the outcome met?" from the amounts, for
+     * the resolve dialog to start on. Empty when the amounts do not say.
+     */
+    suggestMet(outcome) {
+        if (!outcome || !outcome.claimed || outcome.received === null || outcome.received === undefined) return '';
+        if (outcome.received >= outcome.claimed) return 'full';
+        return outcome.received > 0 ? 'partial' : 'none';
+    }
+
+    // Label and amount rows for detail views and the case pack
+    toRows(outcome) {
+        if (!outcome) return [];
+
+        return [
+            ['Outcome type', this.getTypeLabel(outcome.type)],
+            ...Object.entries(OUTCOME_AMOUNTS).map(([field, label]) => [
+                label,
+                outcome[field] !== null && outcome[field] !== undefined ? this.formatAmount(outcome[field], outcome.currency) : ''
+            ]),
+            ['Outcome met', OUTCOME_MET[outcome.met] || '']
+        ].filter(([, value]) => value);
+    }
+
+    /**
+     * Totals of the amounts on a set of complaints, one per currency, plus
+     * the same per organization and a count of how resolved complaints ended.
+     * @returns {{currencies: Object[], organizations: {organizationId: string, currencies: Object[]}[], met: Object<string, number>}}
+     */
+    getTotals(complaints) {
+        const byOrganization = new Map();
+        const met = { full: 0, partial: 0, none: 0 };
+
+        const add = (totals, outcome) => {
+            if (!totals.has(outcome.currency)) {
+                totals.set(outcome.currency, { currency: outcome.currency, claimed: 0, offered: 0, received: 0, count: 0 });
+            }
+            const total = totals.get(outcome.currency);
+            Object.keys(OUTCOME_AMOUNTS).forEach(field => {
+                total[field] += outcome[field] || 0;
+            });
+            total.count += 1;
+        };
+
+        const overall = new Map();
+        complaints.forEach(complaint => {
+            const outcome = complaint.outcome;
+            if (!outcome) return;
+
+            if (complaint.status === 'resolved' && met[outcome.met] !== undefined) {
+                met[outcome.met] += 1;
+            }
+
+            if (!this.hasAmounts(outcome)) return;
+
+            add(overall, outcome);
+            if (!byOrganization.has(complaint.organizationId)) {
+                byOrganization.set(complaint.organizationId, new Map());
+            }
+            add(byOrganization.get(complaint.organizationId), outcome);
+        });
+
+        return {
+            currencies: [...overall.values()],
+            organizations: [...byOrganization.entries()].map(([organizationId, totals]) => ({
+                organizationId,
+                currencies: [...totals.values()]
+            })),
+            met
+        };
+    }
+
+    // Fields that differ between two outcomes, with their new values
+    getChanges(before, after) {
+        const changes = {};
+        ['type', 'currency', ...Object.keys(OUTCOME_AMOUNTS)].forEach(field => {
+            if (before[field] !== after[field]) changes[field] = after[field];
+        });
+        return changes;
+    }
+
+    // The history entry for amounts recorded after the complaint was made
+    createUpdate(before, after, now = new Date()) {
+        return {
+            date: now.toISOString(),
+            type: 'outcome_updated',
+            details: { ...this.getChanges(before, after), currency: after.currency }
+        };
+    }
+
+    // One line for timelines and histories
+    describeUpdate(update) {
+        const details = update.details || {};
+        const parts = Object.entries(OUTCOME_AMOUNTS)
+            .filter(([field]) => field in details)
+            .map(([field, label]) => `${label} ${details[field] === null ? 'removed' : this.formatAmount(details[field], details.currency)}`);
+        if (details.type !== undefined) {
+            parts.unshift(details.type ? `Outcome type ${this.getTypeLabel(details.type)}` : 'Outcome type removed');
+        }
+        return parts.length > 0 ? parts.join('. ') : 'Outcome details updated';
+    }
+}
+
+const complaintOutcomes = new ComplaintOutcomes();
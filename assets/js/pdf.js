@@ -0,0 +1,400 @@
+/**
+ * AccessAssist - Tagged PDF Writer
+ * Builds text PDFs in the browser with a full structure tree (headings,
+ * paragraphs, lists and tables) so screen readers can follow the document.
+ * Uses the standard Helvetica fonts, which every PDF reader provides, and
+ * lays text out on A4 pages.
+ */
+
+// Sizes in points
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 56 };
+
+const PDF_TEXT_STYLES = {
+    H1: { size: 18, leading: 24, bold: true, before: 0, after: 6 },
+    H2: { size: 14, leading: 19, bold: true, before: 14, after: 6 },
+    H3: { size: 12, leading: 16, bold: true, before: 10, after: 4 },
+    P: { size: 11, leading: 15, bold: false, before: 0, after: 8 },
+    table: { size: 10, leading: 13, padding: 4, after: 10 }
+};
+
+// Helvetica glyph widths (per 1000 units) for character codes 32-126
+const PDF_FONT_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Typographic characters that WinAnsiEncoding keeps outside the Latin-1 range
+const PDF_WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556], '‚': [0x82, 222], '„': [0x84, 333], '…': [0x85, 1000],
+    '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333],
+    '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000], '™': [0x99, 1000]
+};
+
+class TaggedPdfWriter {
+    /**
+     * @param {{title: string, lang?: string}} options - the title is shown in
+     * the reader's window and announced when the document opens
+     */
+    constructor({ title, lang = 'en-GB' }) {
+        this.title = title;
+        this.lang = lang;
+        this.pages = [];
+        this.root = { type: 'Document', kids: [] };
+        this.addPage();
+    }
+
+    addPage() {
+        // Each page records which structure element owns each marked-content id
+        this.page = { content: [], parents: [] };
+        this.pages.push(this.page);
+        this.y = PDF_PAGE.height - PDF_PAGE.margin;
+    }
+
+    get contentWidth() {
+        return PDF_PAGE.width - PDF_PAGE.margin * 2;
+    }
+
+    createElement(type, parent = this.root, attributes = '') {
+        const element = { type, kids: [], attributes };
+        parent.kids.push(element);
+        return element;
+    }
+
+    // Start a new page unless the next line fits on this one
+    ensureSpace(height) {
+        if (this.y - height < PDF_PAGE.margin) {
+            this.addPage();
+            return true;
+        }
+        return false;
+    }
+
+    heading(text, level = 1) {
+        const type = `H${Math.min(Math.max(level, 1), 3)}`;
+        this.writeBlock(this.createElement(type), text, PDF_TEXT_STYLES[type]);
+    }
+
+    paragraph(text, parent = this.root) {
+        this.writeBlock(this.createElement('P', parent), text, PDF_TEXT_STYLES.P);
+    }
+
+    list(items) {
+        const style = PDF_TEXT_STYLES.P;
+        const list = this.createElement('L');
+        const indent = 14;
+
+        items.forEach(item => {
+            const listItem = this.createElement('LI', list);
+            const lines = this.wrap(item, style.size, false, this.contentWidth - indent);
+
+            lines.forEach((line, index) => {
+                this.ensureSpace(style.leading);
+                this.y -= style.leading;
+                if (index === 0) {
+                    this.drawText(this.createElement('Lbl', listItem), '•', PDF_PAGE.margin, style);
+                    listItem.body = this.createElement('LBody', listItem);
+                }
+                this.drawText(listItem.body, line, PDF_PAGE.margin + indent, style);
+            });
+        });
+
+        this.y -= style.after;
+    }
+
+    /**
+     * Lay out a table. Pass headers for a header row, and rowHeaders when the
+     * first cell of each row labels the rest (as in label/value lists).
+     * @param {string[]|null} headers
+     * @param {string[][]} rows
+     * @param {{rowHeaders?: boolean, widths?: number[]}} options - widths are
+     * fractions of the page width
+     */
+    table(headers, rows, { rowHeaders = false, widths } = {}) {
+        const style = PDF_TEXT_STYLES.table;
+        const columns = (headers || rows[0] || []).length;
+        if (columns === 0) return;
+
+        const fractions = widths || Array(columns).fill(1 / columns);
+        const columnWidths = fractions.map(fraction => fraction * this.contentWidth);
+        const table = this.createElement('Table');
+
+        const layoutRow = (cells, headerRow) => cells.map((cell, index) => ({
+            header: headerRow || (rowHeaders && index === 0),
+            lines: this.wrap(String(cell ?? ''), style.size, headerRow || (rowHeaders && index === 0), columnWidths[index] - style.padding * 2)
+        }));
+
+        const headerCells = headers ? layoutRow(headers, true) : null;
+
+        const drawRow = (cells, row, repeat = false) => {
+            const elements = cells.map(cell => {
+                if (!row) return null;
+                const scope = cell.header ? `/A << /O /Table /Scope /${headers && cells === headerCells ? 'Column' : 'Row'} >>` : '';
+                return this.createElement(cell.header ? 'TH' : 'TD', row, scope);
+            });
+            const height = Math.max(...cells.map(cell => cell.lines.length));
+
+            this.y -= style.padding;
+            for (let line = 0; line < height; line++) {
+                // Long rows carry on over the page, with the header row repeated
+                if (this.ensureSpace(style.leading + style.padding) && headerCells && cells !== headerCells && !repeat) {
+                    drawRow(headerCells, null, true);
+                }
+                this.y -= style.leading;
+
+                let x = PDF_PAGE.margin;
+                cells.forEach((cell, index) => {
+                    const text = cell.lines[line];
+                    if (text) {
+                        const cellStyle = { ...style, bold: cell.header };
+                        if (elements[index]) {
+                            this.drawText(elements[index], text, x + style.padding, cellStyle);
+                        } else {
+                            this.drawArtifact(text, x + style.padding, cellStyle);
+                        }
+                    }
+                    x += columnWidths[index];
+                });
+            }
+            this.y -= style.padding;
+            this.drawRule(this.y, cells === headerCells ? 1 : 0.5);
+        };
+
+        if (headerCells) {
+            this.ensureSpace(style.leading * 2 + style.padding * 4);
+            drawRow(headerCells, this.createElement('TR', table));
+        }
+
+        rows.forEach(cells => {
+            drawRow(layoutRow(cells, false), this.createElement('TR', table));
+        });
+
+        this.y -= style.after;
+    }
+
+    writeBlock(element, text, style) {
+        if (this.y < PDF_PAGE.height - PDF_PAGE.margin) {
+            this.y -= style.before;
+        }
+
+        this.wrap(text, style.size, style.bold, this.contentWidth).forEach(line => {
+            this.ensureSpace(style.leading);
+            this.y -= style.leading;
+            this.drawText(element, line, PDF_PAGE.margin, style);
+        });
+
+        this.y -= style.after;
+    }
+
+    // Draw one line as a marked-content sequence owned by a structure element
+    drawText(element, text, x, style) {
+        const mcid = this.page.parents.length;
+        this.page.parents.push(element);
+        element.kids.push({ page: this.page, mcid });
+
+        this.page.content.push(
+            `/${element.type} <</MCID ${mcid}>> BDC ${this.textOperators(text, x, this.baseline(style), style)} EMC`
+        );
+    }
+
+    // Repeated headers, rules and page numbers are decoration, not content
+    drawArtifact(text, x, style) {
+        this.page.content.push(`/Artifact BMC ${this.textOperators(text, x, this.baseline(style), style)} EMC`);
+    }
+
+    drawRule(y, width) {
+        const right = PDF_PAGE.width - PDF_PAGE.margin;
+        this.page.content.push(`/Artifact BMC 0.6 G ${width} w ${PDF_PAGE.margin} ${y.toFixed(2)} m ${right.toFixed(2)} ${y.toFixed(2)} l S EMC`);
+    }
+
+    baseline(style) {
+        return this.y + (style.leading - style.size) / 2;
+    }
+
+    textOperators(text, x, y, style) {
+        return `BT /${style.bold ? 'F2' : 'F1'} ${style.size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${this.escape(this.encode(text))}) Tj ET`;
+    }
+
+    /**
+     * Convert text to WinAnsi bytes (as a string of character codes below 256).
+     * Characters the standard fonts cannot show become question marks.
+     */
+    encode(text) {
+        return Array.from(text.replace(/[\u0000-\u001f]/g, ' ')).map(char => {
+            const code = char.codePointAt(0);
+            if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return char;
+            if (PDF_WIN_ANSI_EXTRAS[char]) return String.fromCharCode(PDF_WIN_ANSI_EXTRAS[char][0]);
+            return '?';
+        }).join('');
+    }
+
+    escape(bytes) {
+        return bytes.replace(/[\\()]/g, '\\$&');
+    }
+
+    textWidth(text, size, bold) {
+        const widths = PDF_FONT_WIDTHS[bold ? 'bold' : 'regular'];
+        let total = 0;
+
+        Array.from(this.encode(text)).forEach(char => {
+            const code = char.charCodeAt(0);
+            if (code >= 32 && code <= 126) {
+                total += widths[code - 32];
+                return;
+            }
+            const extra = Object.values(PDF_WIN_ANSI_EXTRAS).find(([value]) => value === code);
+            total += extra ? extra[1] : 556;
+        });
+
+        return total * size / 1000;
+    }
+
+    // Split text into lines that fit the width, keeping the author's line breaks
+    wrap(text, size, bold, width) {
+        const lines = [];
+
+        String(text).split('\n').forEach(paragraph => {
+            let line = '';
+
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.textWidth(candidate, size, bold) <= width) {
+                    line = candidate;
+                    return;
+                }
+
+                if (line) lines.push(line);
+                line = '';
+
+                // Break words that are wider than the whole line
+                Array.from(word).forEach(char => {
+                    if (this.textWidth(line + char, size, bold) > width && line) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                });
+            });
+
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    // PDF text strings in UTF-16 so titles keep any character
+    textString(text) {
+        const hex = Array.from(text).map(char => {
+            const code = char.codePointAt(0);
+            const units = code > 0xffff ? String.fromCodePoint(code).split('') : [char];
+            return units.map(unit => unit.charCodeAt(0).toString(16).padStart(4, '0')).join('');
+        }).join('');
+        return `<FEFF${hex}>`;
+    }
+
+    /**
+     * Serialise the document. Returns the PDF as bytes.
+     * @returns {Uint8Array}
+     */
+    output() {
+        const objects = [];
+        const reserve = () => objects.push(null);
+        const ref = number => `${number} 0 R`;
+
+        const catalog = reserve();
+        const pagesRoot = reserve();
+        const regularFont = reserve();
+        const boldFont = reserve();
+        const structRoot = reserve();
+        const info = reserve();
+
+        const pageNumbers = this.pages.map(() => ({ page: reserve(), content: reserve() }));
+        const pageRef = page => ref(pageNumbers[this.pages.indexOf(page)].page);
+
+        // Number every structure element before writing any of them
+        const elements = [];
+        const number = element => {
+            element.number = reserve();
+            elements.push(element);
+            element.kids.forEach(kid => {
+                if (kid.type) {
+                    kid.parent = element;
+                    number(kid);
+                }
+            });
+        };
+        number(this.root);
+
+        const font = base => `<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`;
+        objects[regularFont - 1] = font('Helvetica');
+        objects[boldFont - 1] = font('Helvetica-Bold');
+
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${ref(pagesRoot)} /StructTreeRoot ${ref(structRoot)} ` +
+            `/MarkInfo << /Marked true >> /Lang (${this.lang}) /ViewerPreferences << /DisplayDocTitle true >> >>`;
+
+        objects[pagesRoot - 1] = `<< /Type /Pages /Kids [${pageNumbers.map(n => ref(n.page)).join(' ')}] /Count ${this.pages.length} >>`;
+
+        const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+        objects[info - 1] = `<< /Title ${this.textString(this.title)} /Producer (AccessAssist) /CreationDate (D:${created}Z) >>`;
+
+        const parentTree = this.pages.map((page, index) =>
+            `${index} [${page.parents.map(element => ref(element.number)).join(' ')}]`
+        ).join(' ');
+        objects[structRoot - 1] = `<< /Type /StructTreeRoot /K [${ref(this.root.number)}] ` +
+            `/ParentTree << /Nums [${parentTree}] >> /ParentTreeNextKey ${this.pages.length} >>`;
+
+        elements.forEach(element => {
+            const parent = element.parent ? ref(element.parent.number) : ref(structRoot);
+            const kids = element.kids.map(kid => kid.type
+                ? ref(kid.number)
+                : `<< /Type /MCR /Pg ${pageRef(kid.page)} /MCID ${kid.mcid} >>`
+            ).join(' ');
+            const title = element === this.root ? ` /T ${this.textString(this.title)}` : '';
+            objects[element.number - 1] = `<< /Type /StructElem /S /${element.type} /P ${parent}${title} /K [${kids}] ${element.attributes} >>`;
+        });
+
+        this.pages.forEach((page, index) => {
+            const footer = `/Artifact << /Type /Pagination >> BDC ${this.textOperators(
+                `Page ${index + 1} of ${this.pages.length}`, PDF_PAGE.margin, PDF_PAGE.margin / 2, { size: 9, bold: false }
+            )} EMC`;
+            const stream = [...page.content, footer].join('\n');
+            const { page: pageNumber, content } = pageNumbers[index];
+
+            objects[content - 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+            objects[pageNumber - 1] = `<< /Type /Page /Parent ${ref(pagesRoot)} /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+                `/Resources << /Font << /F1 ${ref(regularFont)} /F2 ${ref(boldFont)} >> >> /Contents ${ref(content)} ` +
+                `/StructParents ${index} /Tabs /S >>`;
+        });
+
+        let pdf = '%PDF-1.7\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((body, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${ref(catalog)} /Info ${ref(info)} >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Uint8Array.from(pdf, char => char.charCodeAt(0));
+    }
+
+    toBlob() {
+        return new Blob([this.output()], { type: 'application/pdf' });
+    }
+}
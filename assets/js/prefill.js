@@ -0,0 +1,131 @@
+/**
+ * AccessAssist - Wizard Prefill Links
+ * Links to create-complaint.html can fill in parts of a new complaint, such
+ * as the "Follow-up Complaint" button in the tracker or a partner's
+ * "complain about us" page:
+ *
+ *   create-complaint.html?organization=techmart&title=Faulty%20laptop&step=3
+ *
+ * Each parameter is checked before it is used. Values are set as field
+ * values, and escaped wherever the wizard shows them again, such as on the
+ * review step. Anything that fails a check is left out and
+ * reported, rather than stopping the rest. Contact details are deliberately
+ * not supported, so personal information never ends up in a shared link.
+ */
+
+/**
+ * Supported parameters: the wizard field each one fills, how it is named
+ * when the prefill is announced, and the longest text it accepts.
+ */
+const PREFILL_PARAMETERS = {
+    organization: { field: 'organization', label: 'organization' },
+    category: { field: 'complaint-category', label: 'category' },
+    title: { field: 'complaint-title', label: 'title', maxLength: 100 },
+    description: { field: 'complaint-description', label: 'description', maxLength: 5000 },
+    outcome: { field: 'desired-outcome', label: 'what you want them to do', maxLength: 1000 },
+    reference: { field: 'reference-number', label: 'reference number', maxLength: 50 },
+    incident: { field: 'incident-date', label: 'incident date' },
+    tags: { field: 'complaint-tags', label: 'tags' },
+    followUp: { field: 'previous-contact', label: 'earlier complaint' }
+};
+
+class WizardPrefill {
+    // Control characters other than new lines could hide text or upset letters
+    cleanText(value, maxLength) {
+        const text = String(value).replace(/\r\n?/g, '\n').replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '').trim();
+        return text && text.length <= maxLength ? text : null;
+    }
+
+    /**
+     * Read prefill parameters from a query string.
+     * @param {URLSearchParams} params
+     * @param {{organizations: Object[], complaints?: Object[], today?: Date}} context
+     * @returns {{values: Object<string, string>, step: number, applied: string[], rejected: string[]}}
+     */
+    parse(params, { organizations, complaints = [], today = new Date() }) {
+        const values = {};
+        const applied = [];
+        const rejected = [];
+
+        Object.entries(PREFILL_PARAMETERS).forEach(([name, { field, label, maxLength }]) => {
+            if (!params.has(name)) return;
+
+            const value = this.check(name, params.get(name), { maxLength, organizations, complaints, today });
+            if (value === null) {
+                rejected.push(label);
+            } else {
+                values[field] = value;
+                applied.push(label);
+            }
+        });
+
+        const step = parseInt(params.get('step'), 10);
+        if (params.has('step') && !(step >= 1 && step <= 4)) {
+            rejected.push('step');
+        }
+
+        return { values, step: step >= 1 && step <= 4 ? step : 1, applied, rejected };
+    }
+
+    check(name, rawValue, { maxLength, organizations, complaints, today }) {
+        const value = String(rawValue || '').trim();
+
+        switch (name) {
+            case 'organization': {
+                // Partner pages may not know our ids, so the exact name also works
+                const organization = organizations.find(org => org.id === value) ||
+                    organizationDirectory.findByName(organizations, value);
+                return organization ? organization.id : null;
+            }
+            case 'category':
+                return complaintTaxonomy.getCategories().some(category => category.id === value) ? value : null;
+            case 'incident':
+                return /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+                    !isNaN(deadlineCalculator.parseDate(value)) &&
+                    value <= deadlineCalculator.toDateKey(today) ? value : null;
+            case 'tags': {
+                const tags = complaintTaxonomy.parseTags(value);
+                return tags.length > 0 && !complaintTaxonomy.validateTags(tags) ? tags.join(', ') : null;
+            }
+            case 'followUp': {
+                const complaint = complaints.find(c => c.id === value);
+                return complaint ? this.describeEarlierComplaint(complaint) : null;
+            }
+            default:
+                return this.cleanText(value, maxLength);
+        }
+    }
+
+    describeEarlierComplaint(complaint) {
+        const date = deadlineCalculator.parseDate(complaint.createdDate).toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+        const reference = complaint.referenceNumber ? ` (reference ${complaint.referenceNumber})` : '';
+        return `This follows my earlier complaint "${complaint.title}" made on ${date}${reference}.`;
+    }
+
+    /**
+     * Build a prefill link. Takes the same names as the URL parameters;
+     * empty values are left out.
+     */
+    buildUrl(values, base = 'create-complaint.html') {
+        const params = new URLSearchParams();
+        Object.entries(values).forEach(([name, value]) => {
+            if ((PREFILL_PARAMETERS[name] || name === 'step') && value) {
+                params.set(name, String(value));
+            }
+        });
+        const query = params.toString();
+        return query ? `${base}?${query}` : base;
+    }
+
+    // "title, category and reference number"
+    formatList(labels) {
+        if (labels.length <= 1) return labels.join('');
+        return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+    }
+}
+
+const wizardPrefill = new WizardPrefill();
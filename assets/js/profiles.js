@@ -0,0 +1,410 @@
+/**
+ * AccessAssist - Contact Profiles
+ * Saved contact details that fill in step 2 of the complaint wizard: "my
+ * details", plus one profile for each person an advocate complains on
+ * behalf of. Profiles are edited in Accessibility Settings. Complaints keep
+ * their own copy of the details they were made with, so editing a profile
+ * never changes a complaint that has already been made.
+ */
+
+const CONTACT_PROFILES_STORAGE_KEY = 'contact-profiles';
+
+const CONTACT_METHODS = {
+    email: 'Email',
+    phone: 'Phone',
+    letter: 'Letter'
+};
+
+class ContactProfileStore {
+    constructor(storageKey = CONTACT_PROFILES_STORAGE_KEY) {
+        this.storageKey = storageKey;
+    }
+
+    readAll() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('Could not read contact profiles:', error);
+            return [];
+        }
+    }
+
+    writeAll(profiles) {
+        localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    }
+
+    // The default profile first, then by name
+    getAll() {
+        return this.readAll().sort((a, b) =>
+            (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0) ||
+            a.label.localeCompare(b.label, 'en-GB', { sensitivity: 'base' })
+        );
+    }
+
+    get(profileId) {
+        return this.readAll().find(profile => profile.id === profileId) || null;
+    }
+
+    getDefault() {
+        return this.readAll().find(profile => profile.isDefault) || null;
+    }
+
+    /**
+     * Check a profile before it is saved. Returns a map of field name to
+     * error message; an empty object means it can be saved.
+     */
+    validate(profile, profiles = this.readAll()) {
+        const errors = {};
+        const label = (profile.label || '').trim();
+
+        if (!label) {
+            errors.label = 'Please give this profile a name, such as "Me"';
+        } else if (profiles.some(p => p.id !== profile.id && p.label.toLowerCase() === label.toLowerCase())) {
+            errors.label = 'You already have a profile with this name';
+        }
+
+        if (!(profile.fullName || '').trim()) {
+            errors.fullName = 'Please enter a full name';
+        }
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((profile.email || '').trim())) {
+            errors.email = 'Please enter a valid email address';
+        }
+
+        const phone = (profile.phone || '').trim();
+        if (phone && !/^[\+]?[\d\s\-\(\)]{8,}$/.test(phone.replace(/\s/g, ''))) {
+            errors.phone = 'Please enter a valid phone number';
+        } else if (!phone && profile.preferredContact === 'phone') {
+            errors.phone = 'Add a phone number to be contacted by phone';
+        }
+
+        if (!CONTACT_METHODS[profile.preferredContact]) {
+            errors.preferredContact = 'Please choose how to be contacted';
+        } else if (profile.preferredContact === 'letter' && !(profile.address || '').trim()) {
+            errors.address = 'Add an address to be contacted by letter';
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create or update a profile. Profiles without an id are new. The first
+     * profile becomes the default, and making one the default unsets the
+     * others. Returns the saved profile.
+     */
+    save(profile) {
+        const profiles = this.readAll();
+        const existing = profiles.find(p => p.id === profile.id);
+
+        const saved = {
+            id: profile.id || this.generateId(),
+            label: (profile.label || '').trim(),
+            ...this.toContactDetails(profile),
+            isDefault: !!profile.isDefault || profiles.length === 0,
+            updatedDate: new Date().toISOString()
+        };
+
+        let updated = existing ? profiles.map(p => (p.id === saved.id ? saved : p)) : [...profiles, saved];
+        if (saved.isDefault) {
+            updated = updated.map(p => (p.id === saved.id ? p : { ...p, isDefault: false }));
+        } else if (!updated.some(p => p.isDefault)) {
+            updated[0] = { ...updated[0], isDefault: true };
+        }
+
+        this.writeAll(updated);
+        return updated.find(p => p.id === saved.id);
+    }
+
+    remove(profileId) {
+        const profiles = this.readAll().filter(profile => profile.id !== profileId);
+        if (profiles.length > 0 && !profiles.some(profile => profile.isDefault)) {
+            profiles[0] = { ...profiles[0], isDefault: true };
+        }
+        this.writeAll(profiles);
+    }
+
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    // The copy stored on a complaint; later profile edits do not reach it
+    toContactDetails(profile) {
+        return {
+            fullName: (profile.fullName || '').trim(),
+            email: (profile.email || '').trim(),
+            phone: (profile.phone || '').trim(),
+            address: (profile.address || '').trim(),
+            preferredContact: CONTACT_METHODS[profile.preferredContact] ? profile.preferredContact : 'email'
+        };
+    }
+
+    // Step 2 field values for a profile
+    toFormData(profile) {
+        const details = this.toContactDetails(profile);
+        return {
+            'full-name': details.fullName,
+            email: details.email,
+            phone: details.phone,
+            address: details.address,
+            'preferred-contact': details.preferredContact
+        };
+    }
+
+    // The profile whose details are already in the form, if any
+    findMatching(formData) {
+        return this.getAll().find(profile =>
+            Object.entries(this.toFormData(profile)).every(([field, value]) => (formData[field] || '') === value)
+        ) || null;
+    }
+
+    generateId() {
+        return 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+const contactProfiles = new ContactProfileStore();
+
+/**
+ * The "My Details" section of Accessibility Settings: a list of profiles
+ * with a form to add or edit one. Saves go through the complaint manager so
+ * other tabs are told.
+ */
+class ContactProfilesPanel {
+    /**
+     * @param {HTMLElement} container
+     * @param {ComplaintManager} manager
+     */
+    constructor(container, manager) {
+        this.container = container;
+        this.manager = manager;
+        this.editingId = null;
+        this.isEditing = false;
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveForm();
+        });
+        this.container.addEventListener('input', (e) => this.clearError(e.target));
+
+        this.render();
+    }
+
+    // Show changes made in another tab, unless a profile is being edited here
+    refresh() {
+        if (!this.isEditing) this.render();
+    }
+
+    render() {
+        this.container.innerHTML = this.isEditing ? this.createForm() : this.createList();
+    }
+
+    createList() {
+        const profiles = contactProfiles.getAll();
+
+        return `
+            ${profiles.length === 0 ? '<p class="mb-2">No saved details yet.</p>' : `
+                <ul class="list-unstyled mb-3">
+                    ${profiles.map(profile => {
+                        const id = encodeURIComponent(profile.id);
+                        const label = this.escapeHtml(profile.label);
+                        return `
+                            <li class="d-flex flex-wrap justify-content-between align-items-center gap-2 border-bottom py-2">
+                                <div>
+                                    <strong>${label}</strong>${profile.isDefault ? ' <span class="badge bg-secondary">Default</span>' : ''}
+                                    <span class="d-block small">${this.escapeHtml(profile.fullName)}, ${this.escapeHtml(profile.email)}</span>
+                                </div>
+                                <div class="d-flex gap-2">
+                                    <button type="button" class="btn btn-outline-primary btn-sm edit-profile" data-profile-id="${id}" aria-label="Edit ${label}">Edit</button>
+                                    <button type="button" class="btn btn-outline-danger btn-sm delete-profile" data-profile-id="${id}" aria-label="Delete ${label}">Delete</button>
+                                </div>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            `}
+            <button type="button" class="btn btn-outline-primary btn-sm add-profile">
+                <span aria-hidden="true">+</span> ${profiles.length === 0 ? 'Add My Details' : 'Add Profile'}
+            </button>
+        `;
+    }
+
+    createForm() {
+        const profile = (this.editingId && contactProfiles.get(this.editingId)) || { preferredContact: 'email', isDefault: contactProfiles.readAll().length === 0 };
+        const value = text => this.escapeAttribute(text || '');
+
+        return `
+            <form novalidate aria-labelledby="profile-form-heading">
+                <h4 id="profile-form-heading" class="h6" tabindex="-1">${this.editingId ? `Edit ${this.escapeHtml(profile.label)}` : 'Add Profile'}</h4>
+                <div class="row g-3">
+                    <div class="col-12">
+                        <label for="profile-label" class="form-label">Profile Name <span class="text-danger" aria-label="required">*</span></label>
+                        <input type="text" class="form-control" id="profile-label" name="label" value="${value(profile.label)}" aria-required="true" aria-describedby="profile-label-help">
+                        <div id="profile-label-help" class="form-text">For example "Me", or the name of the person you are helping.</div>
+                    </div>
+                    <div class="col-md-6">
+                        <label for="profile-full-name" class="form-label">Full Name <span class="text-danger" aria-label="required">*</span></label>
+                        <input type="text" class="form-control" id="profile-full-name" name="fullName" value="${value(profile.fullName)}" aria-required="true" autocomplete="name">
+                    </div>
+                    <div class="col-md-6">
+                        <label for="profile-email" class="form-label">Email Address <span class="text-danger" aria-label="required">*</span></label>
+                        <input type="email" class="form-control" id="profile-email" name="email" value="${value(profile.email)}" aria-required="true" autocomplete="email">
+                    </div>
+                    <div class="col-md-6">
+                        <label for="profile-phone" class="form-label">Phone Number</label>
+                        <input type="tel" class="form-control" id="profile-phone" name="phone" value="${value(profile.phone)}" autocomplete="tel">
+                    </div>
+                    <div class="col-md-6">
+                        <label for="profile-preferred-contact" class="form-label">Preferred Contact Method</label>
+                        <select class="form-select" id="profile-preferred-contact" name="preferredContact">
+                            ${Object.entries(CONTACT_METHODS).map(([method, label]) => `
+                                <option value="${method}" ${profile.preferredContact === method ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="col-12">
+                        <label for="profile-address" class="form-label">Address</label>
+                        <textarea class="form-control" id="profile-address" name="address" rows="3" autocomplete="street-address">${this.escapeHtml(profile.address || '')}</textarea>
+                    </div>
+                    <div class="col-12">
+                        <div class="form-check">
+                            <input class="form-check-input" type="checkbox" id="profile-default" name="isDefault" ${profile.isDefault ? 'checked' : ''}>
+                            <label class="form-check-label" for="profile-default">Fill in new complaints with this profile</label>
+                        </div>
+                    </div>
+                </div>
+                <div class="d-flex flex-wrap gap-2 mt-3">
+                    <button type="submit" class="btn btn-primary btn-sm">Save Profile</button>
+                    <button type="button" class="btn btn-outline-secondary btn-sm cancel-profile">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
+
+        if (button.classList.contains('add-profile')) {
+            this.openForm(null);
+        } else if (button.classList.contains('edit-profile')) {
+            this.openForm(decodeURIComponent(button.dataset.profileId));
+        } else if (button.classList.contains('delete-profile')) {
+            this.deleteProfile(decodeURIComponent(button.dataset.profileId));
+        } else if (button.classList.contains('cancel-profile')) {
+            this.closeForm();
+        }
+    }
+
+    openForm(profileId) {
+        this.editingId = profileId;
+        this.isEditing = true;
+        this.render();
+        this.container.querySelector('#profile-form-heading').focus();
+    }
+
+    closeForm(message) {
+        this.isEditing = false;
+        this.editingId = null;
+        this.render();
+        this.container.querySelector('.add-profile').focus();
+
+        if (message) this.announce(message);
+    }
+
+    saveForm() {
+        const form = this.container.querySelector('form');
+        const profile = {
+            id: this.editingId,
+            label: form.elements.label.value,
+            fullName: form.elements.fullName.value,
+            email: form.elements.email.value,
+            phone: form.elements.phone.value,
+            address: form.elements.address.value,
+            preferredContact: form.elements.preferredContact.value,
+            isDefault: form.elements.isDefault.checked
+        };
+
+        const errors = contactProfiles.validate(profile);
+        const fields = Object.keys(errors);
+        if (fields.length > 0) {
+            fields.forEach(field => this.showError(form.elements[field], errors[field]));
+            form.elements[fields[0]].focus();
+            this.announce(`Error: ${errors[fields[0]]}`, 'assertive');
+            return;
+        }
+
+        const saved = this.manager.saveContactProfile(profile);
+        this.closeForm(`Profile "${saved.label}" saved. Complaints you have already made keep the details they were made with.`);
+    }
+
+    async deleteProfile(profileId) {
+        const profile = contactProfiles.get(profileId);
+        if (!profile) return;
+
+        const confirmed = await accessibleDialog.confirm({
+            title: `Delete ${profile.label}?`,
+            message: 'The profile is removed from this device. Complaints already made with it keep their contact details.',
+            confirmLabel: 'Delete',
+            cancelLabel: 'Keep profile',
+            danger: true
+        });
+        if (!confirmed) return;
+
+        this.manager.removeContactProfile(profileId);
+        this.render();
+        this.container.querySelector('.add-profile').focus();
+        this.announce(`Profile "${profile.label}" deleted`);
+    }
+
+    showError(field, message) {
+        if (!field) return;
+
+        const errorId = `${field.id}-error`;
+        let errorElement = document.getElementById(errorId);
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.id = errorId;
+            errorElement.className = 'invalid-feedback';
+            field.insertAdjacentElement('afterend', errorElement);
+        }
+
+        errorElement.textContent = message;
+        field.classList.add('is-invalid');
+        field.setAttribute('aria-invalid', 'true');
+        field.setAttribute('aria-describedby', [field.getAttribute('aria-describedby'), errorId].filter(Boolean).join(' '));
+    }
+
+    clearError(field) {
+        if (!field.id || !field.classList.contains('is-invalid')) return;
+
+        const errorId = `${field.id}-error`;
+        document.getElementById(errorId)?.remove();
+        field.classList.remove('is-invalid');
+        field.removeAttribute('aria-invalid');
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
+        if (describedBy.length > 0) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    announce(message, priority = 'polite') {
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(message, priority);
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
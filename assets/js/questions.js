@@ -0,0 +1,110 @@
+/**
+ * AccessAssist - Organization Questions
+ * Extra questions asked in step 3 of the wizard, chosen by the organization's
+ * type: an order number for a retailer, an account number for a bank and so
+ * on. Answers are kept on the complaint with their labels so letters, the
+ * tracker and exports can show them even if the question sets change.
+ */
+
+/**
+ * Question sets by organization type. Each question has an id, a label,
+ * optional help text, a type ('text' or 'date'), whether it is required,
+ * and for text an optional pattern with the message shown when it fails.
+ * Dates cannot be in the future.
+ */
+const ORGANIZATION_QUESTION_SETS = {
+    'Retailer': [
+        { id: 'order-number', label: 'Order Number', type: 'text', required: true, help: 'From your receipt, order confirmation or delivery note.', pattern: /^[A-Za-z0-9\-\/ ]{3,30}$/, patternMessage: 'Order numbers are 3 to 30 letters, numbers, dashes or slashes' },
+        { id: 'purchase-date', label: 'Purchase Date', type: 'date', required: false, help: 'Optional: When you bought the goods or ordered the service.' }
+    ],
+    'Service Provider': [
+        { id: 'account-number', label: 'Account Number', type: 'text', required: false, help: 'Optional: Your customer or account number, usually shown on your bill.' }
+    ],
+    'Subscription Service': [
+        { id: 'membership-number', label: 'Membership or Account Number', type: 'text', required: false, help: 'Optional: Shown in your account settings or welcome email.' },
+        { id: 'subscription-start', label: 'Subscription Start Date', type: 'date', required: false, help: 'Optional: When your subscription began.' }
+    ],
+    'Government Agency': [
+        { id: 'case-reference', label: 'Case or Claim Reference', type: 'text', required: false, help: 'Optional: For example a National Insurance number, claim number or case reference.' }
+    ],
+    'Healthcare Provider': [
+        { id: 'nhs-trust', label: 'NHS Trust or Practice', type: 'text', required: true, help: 'The trust, hospital, GP practice or clinic that provided your care.' },
+        { id: 'treatment-date', label: 'Date of Treatment or Appointment', type: 'date', required: false, help: 'Optional: When you were seen or treated.' }
+    ],
+    'Financial Institution': [
+        { id: 'account-number', label: 'Account Number', type: 'text', required: true, help: 'Used only in your letter so the bank can find your account. You can give just the last 4 digits.', pattern: /^[0-9 \-*]{4,20}$/, patternMessage: 'Account numbers are made up of at least 4 digits' }
+    ]
+};
+
+// Form fields for these questions are prefixed so they cannot clash with the wizard's own fields
+const QUESTION_FIELD_PREFIX = 'question-';
+
+class QuestionSets {
+    getQuestions(organization) {
+        return organization ? ORGANIZATION_QUESTION_SETS[organization.type] || [] : [];
+    }
+
+    getFieldId(question) {
+        return QUESTION_FIELD_PREFIX + question.id;
+    }
+
+    // "Order Number" reads as "order number" mid-sentence; acronyms such as NHS stay as they are
+    toPhrase(label) {
+        return label.replace(/\b([A-Z])([a-z])/g, (match, first, rest) => first.toLowerCase() + rest);
+    }
+
+    /**
+     * Check one answer. Returns an error message, or null if it is fine.
+     */
+    validate(question, value, today = new Date()) {
+        const answer = (value || '').trim();
+
+        if (!answer) {
+            return question.required ? `Please enter the ${this.toPhrase(question.label)}` : null;
+        }
+        if (question.type === 'date') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(answer)) {
+                return `Please enter the ${this.toPhrase(question.label)} as a date`;
+            }
+            if (answer > deadlineCalculator.toDateKey(today)) {
+                return `The ${this.toPhrase(question.label)} cannot be in the future`;
+            }
+        }
+        if (question.pattern && !question.pattern.test(answer)) {
+            return question.patternMessage || `Please check the ${this.toPhrase(question.label)}`;
+        }
+        return null;
+    }
+
+    /**
+     * The answers to keep on the complaint, taken from the wizard's form data.
+     * Only questions for the chosen organization count, and blank answers are
+     * left out.
+     */
+    collectAnswers(organization, formData) {
+        return this.getQuestions(organization)
+            .map(question => ({
+                id: question.id,
+                label: question.label,
+                type: question.type,
+                value: (formData[this.getFieldId(question)] || '').trim()
+            }))
+            .filter(answer => answer.value);
+    }
+
+    formatAnswer(answer) {
+        if (answer.type !== 'date') return answer.value;
+        return deadlineCalculator.parseDate(answer.value).toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    // Label/value rows for details views, exports and the case pack
+    toRows(answers = []) {
+        return answers.map(answer => [answer.label, this.formatAnswer(answer)]);
+    }
+}
+
+const questionSets = new QuestionSets();
@@ -0,0 +1,123 @@
+/**
+ * AccessAssist - Deadline Scheduler
+ * Moves open complaints along as their deadlines pass: to "response due" as the
+ * response deadline approaches, and to "escalation" once the organization's
+ * escalation time has passed. Runs on page load and then at a fixed interval.
+ */
+
+const SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+const RESPONSE_DUE_WARNING_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DeadlineScheduler {
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.interval = options.interval || SCHEDULER_INTERVAL_MS;
+        this.warningDays = options.warningDays ?? RESPONSE_DUE_WARNING_DAYS;
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Run now and then on every interval; resolves once the first run is done
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.run(), this.interval);
+        return this.run();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Work out which automatic transition, if any, a complaint is due.
+     * Escalation wins over response-due so a complaint that was missed for a
+     * while goes straight to the right state.
+     * @returns {{to: string, reason: string} | null}
+     */
+    getDueTransition(complaint, organization, now = new Date()) {
+        if (!OPEN_STATUSES.includes(complaint.status) || complaint.status === 'escalation') {
+            return null;
+        }
+
+        const escalationDate = deadlineCalculator.escalationDate(complaint, organization);
+        if (escalationDate && now >= escalationDate && complaintLifecycle.canTransition(complaint, 'escalation', { now })) {
+            return {
+                to: 'escalation',
+                reason: `No resolution ${deadlineCalculator.describePeriod(organization.escalationTimedays, organization)} after the complaint was ${complaint.reopenedDate ? 'reopened' : 'sent'}`
+            };
+        }
+
+        if (complaint.deadline && complaint.status !== 'response-due') {
+            const deadline = new Date(complaint.deadline);
+            const warningStart = new Date(deadline.getTime() - this.warningDays * DAY_MS);
+
+            if (now >= warningStart && complaintLifecycle.canTransition(complaint, 'response-due', { now })) {
+                const formatted = window.dateUtils.formatDateOnly(deadline);
+                return {
+                    to: 'response-due',
+                    reason: now > deadline
+                        ? `Response deadline of ${formatted} has passed`
+                        : `Response deadline of ${formatted} is within ${this.warningDays} days`
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Apply every due transition. Returns the complaints that changed.
+     * @param {Date} now
+     */
+    async run(now = new Date()) {
+        if (this.running) return [];
+        this.running = true;
+
+        try {
+            const changes = [];
+
+            for (const complaint of [...this.manager.complaints]) {
+                const organization = this.manager.organizations.find(org => org.id === complaint.organizationId);
+                const due = this.getDueTransition(complaint, organization, now);
+                if (!due) continue;
+
+                try {
+                    // Another tab may get there first; that is not worth warning the user about
+                    const saved = await this.manager.transitionComplaint(complaint.id, due.to, {
+                        reason: due.reason,
+                        automatic: true,
+                        quiet: true,
+                        now
+                    });
+                    if (saved) {
+                        changes.push({ id: complaint.id, status: due.to });
+                    }
+                } catch (error) {
+                    if (!(error instanceof LifecycleError)) throw error;
+                    console.warn(`Skipped automatic transition for ${complaint.id}:`, error.message);
+                }
+            }
+
+            if (changes.length > 0) {
+                this.manager.loadRecentComplaints();
+                this.manager.notifyChange({
+                    scope: 'complaints',
+                    ids: changes.map(change => change.id),
+                    reason: 'scheduled',
+                    changes
+                });
+            }
+
+            return changes;
+        } catch (error) {
+            console.error('Error running deadline scheduler:', error);
+            return [];
+        } finally {
+            this.running = false;
+        }
+    }
+}
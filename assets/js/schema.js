@@ -0,0 +1,206 @@
+/**
+ * AccessAssist - Data Schema Registry
+ * Every stored complaint and organization carries a schemaVersion. Migrations
+ * are registered in version order and run on load and on import, so records
+ * written by older versions are upgraded before any page reads them.
+ */
+
+// Thrown when data was written by a newer version than this page understands
+class SchemaVersionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SchemaVersionError';
+    }
+}
+
+class SchemaRegistry {
+    constructor() {
+        this.migrations = [];
+    }
+
+    /**
+     * Register a migration. Versions are global across record types; a
+     * migration only touches the record type it names.
+     */
+    register(type, version, description, migrate) {
+        this.migrations.push({ type, version, description, migrate });
+        this.migrations.sort((a, b) => a.version - b.version);
+    }
+
+    // Records saved before versioning existed are treated as version 1
+    get version() {
+        return this.migrations.reduce((max, m) => Math.max(max, m.version), 1);
+    }
+
+    getRecordVersion(record) {
+        return typeof record.schemaVersion === 'number' ? record.schemaVersion : 1;
+    }
+
+    /**
+     * Upgrade a single record. Returns the upgraded record and whether anything
+     * changed so callers only persist records that needed work.
+     */
+    upgrade(type, record) {
+        const fromVersion = this.getRecordVersion(record);
+
+        if (fromVersion > this.version) {
+            throw new SchemaVersionError(`Record ${record.id || ''} was saved by a newer version of AccessAssist (schema ${fromVersion})`);
+        }
+
+        if (fromVersion === this.version) {
+            return { record, changed: false };
+        }
+
+        let upgraded = { ...record };
+        this.migrations
+            .filter(m => m.type === type && m.version > fromVersion)
+            .forEach(m => {
+                upgraded = m.migrate(upgraded) || upgraded;
+            });
+
+        upgraded.schemaVersion = this.version;
+        return { record: upgraded, changed: true };
+    }
+
+    /**
+     * Upgrade a list of records. With skipNewer, records saved by a newer
+     * version are set aside in `newer` instead of throwing, so one of them
+     * does not stop the rest from loading.
+     */
+    upgradeAll(type, records, { skipNewer = false } = {}) {
+        const changed = [];
+        const newer = [];
+        const upgraded = [];
+        records.forEach(record => {
+            if (skipNewer && this.getRecordVersion(record) > this.version) {
+                newer.push(record);
+                return;
+            }
+            const result = this.upgrade(type, record);
+            if (result.changed) changed.push(result.record);
+            upgraded.push(result.record);
+        });
+        return { records: upgraded, changed, newer };
+    }
+
+    // Exports before versioning carried an app version string ('1.0' or '1.0.0')
+    getExportVersion(data) {
+        return typeof data.schemaVersion === 'number' ? data.schemaVersion : 1;
+    }
+
+    /**
+     * Upgrade the complaints and organizations in an export file. Records
+     * without their own schemaVersion inherit the file's version.
+     */
+    upgradeImport(data) {
+        const fileVersion = this.getExportVersion(data);
+        if (fileVersion > this.version) {
+            throw new SchemaVersionError(`This file was created by a newer version of AccessAssist (schema ${fileVersion})`);
+        }
+
+        const stamp = record => ({ schemaVersion: fileVersion, ...record });
+        const upgraded = { ...data, schemaVersion: this.version };
+
+        if (Array.isArray(data.complaints)) {
+            upgraded.complaints = this.upgradeAll('complaint', data.complaints.map(stamp)).records;
+        }
+
+        if (Array.isArray(data.organizations)) {
+            upgraded.organizations = this.upgradeAll('organization', data.organizations.map(stamp)).records;
+        }
+
+        return upgraded;
+    }
+}
+
+const dataSchema = new SchemaRegistry();
+
+const KNOWN_STATUSES = ['submitted', 'acknowledged', 'in-progress', 'response-due', 'escalation', 'resolved'];
+
+// Version 2: fill in fields the UI assumes are always present
+dataSchema.register('complaint', 2, 'Normalise required complaint fields', complaint => {
+    const contact = complaint.contactDetails || {};
+
+    return {
+        ...complaint,
+        title: complaint.title || 'Untitled complaint',
+        description: complaint.description || '',
+        desiredOutcome: complaint.desiredOutcome || '',
+        status: KNOWN_STATUSES.includes(complaint.status) ? complaint.status : 'submitted',
+        contactDetails: {
+            fullName: contact.fullName || '',
+            email: contact.email || '',
+            phone: contact.phone || '',
+            address: contact.address || '',
+            preferredContact: contact.preferredContact || 'email'
+        },
+        incidentDate: complaint.incidentDate || null,
+        referenceNumber: complaint.referenceNumber || '',
+        previousContact: complaint.previousContact || '',
+        updates: (Array.isArray(complaint.updates) ? complaint.updates : []).map(update => ({
+            ...update,
+            type: update.type || 'status_change',
+            details: update.details || {}
+        }))
+    };
+});
+
+dataSchema.register('organization', 2, 'Normalise organization timings', org => ({
+    ...org,
+    type: org.type || 'Other',
+    contactEmail: org.contactEmail || '',
+    responseTimedays: parseInt(org.responseTimedays, 10) || 30,
+    escalationTimedays: parseInt(org.escalationTimedays, 10) || 60
+}));
+
+// Version 3: deadlines can count working days and run from the date a complaint was sent
+dataSchema.register('organization', 3, 'Add deadline counting mode and holiday region', org => ({
+    ...org,
+    deadlineMode: org.deadlineMode === 'working' ? 'working' : 'calendar',
+    holidayRegion: org.holidayRegion || 'england-and-wales'
+}));
+
+dataSchema.register('complaint', 3, 'Add date sent', complaint => ({
+    ...complaint,
+    sentDate: complaint.sentDate || null
+}));
+
+// Version 4: correspondence log
+dataSchema.register('complaint', 4, 'Add correspondence log', complaint => ({
+    ...complaint,
+    correspondence: Array.isArray(complaint.correspondence) ? complaint.correspondence : []
+}));
+
+// Version 5: organizations can name their own ombudsman or regulator
+dataSchema.register('organization', 5, 'Add ombudsman details', org => ({
+    ...org,
+    ombudsmanName: org.ombudsmanName || '',
+    ombudsmanUrl: org.ombudsmanUrl || ''
+}));
+
+// Version 6: evidence attachments (file details only; the files live in IndexedDB)
+dataSchema.register('complaint', 6, 'Add attachments', complaint => ({
+    ...complaint,
+    attachments: Array.isArray(complaint.attachments) ? complaint.attachments : []
+}));
+
+// Version 7: answers to the questions asked for the organization's type
+dataSchema.register('complaint', 7, 'Add organization-specific answers', complaint => ({
+    ...complaint,
+    answers: Array.isArray(complaint.answers) ? complaint.answers : []
+}));
+
+// Version 8: category and the user's own tags
+dataSchema.register('complaint', 8, 'Add category and tags', complaint => ({
+    ...complaint,
+    category: typeof complaint.category === 'string' ? complaint.category : '',
+    tags: Array.isArray(complaint.tags) ? complaint.tags.filter(tag => typeof tag === 'string' && tag.trim()) : []
+}));
+
+// Version 9: structured outcome with amounts claimed, offered and received
+dataSchema.register('complaint', 9, 'Add outcome and amounts', complaint => ({
+    ...complaint,
+    outcome: complaint.outcome && typeof complaint.outcome === 'object'
+        ? complaint.outcome
+        : complaintOutcomes.createEmpty()
+}));
@@ -0,0 +1,400 @@
+/**
+ * AccessAssist - Complaint Search Index
+ * A local index of every complaint's details, questions and correspondence,
+ * so the tracker's search box finds a complaint by anything it holds. Words
+ * match from their start and allow a small typo; qualifiers such as
+ * org:techmart or ref:123 look in one field, and created:2024-01..2024-03
+ * keeps complaints dated in a range. Nothing leaves the browser.
+ */
+
+// Qualifier to the field it searches. The field names are the ones buildFields() fills.
+const SEARCH_FIELD_QUALIFIERS = {
+    org: 'organization',
+    organization: 'organization',
+    status: 'status',
+    ref: 'reference',
+    reference: 'reference',
+    name: 'contact',
+    contact: 'contact',
+    title: 'title',
+    outcome: 'outcome',
+    category: 'category',
+    tag: 'tags',
+    tags: 'tags',
+    letter: 'correspondence'
+};
+
+// Date qualifier to the complaint date it compares
+const SEARCH_DATE_QUALIFIERS = {
+    created: 'createdDate',
+    deadline: 'deadline',
+    sent: 'sentDate',
+    incident: 'incidentDate'
+};
+
+// How a field is named in "Found in" when the card does not show it
+const SEARCH_FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    outcome: 'Outcome',
+    organization: 'Organization',
+    status: 'Status',
+    category: 'Category',
+    tags: 'Tags',
+    reference: 'Reference number',
+    contact: 'Contact details',
+    correspondence: 'Correspondence',
+    previous: 'Previous contact',
+    attachments: 'Evidence'
+};
+
+// Shorter words must match exactly, from their start
+const SEARCH_FUZZY_MIN_LENGTH = 4;
+const SEARCH_FUZZY_LONG_LENGTH = 8;
+
+class ComplaintSearchIndex {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.documents = new Map();
+        // Word to complaint id to the fields it appears in
+        this.words = new Map();
+    }
+
+    /**
+     * Index `complaints` in place of anything indexed before. `context` gives
+     * getOrganizationName(id), since organizations are stored apart.
+     */
+    build(complaints, { getOrganizationName }) {
+        this.clear();
+        complaints.forEach(complaint => {
+            this.documents.set(complaint.id, complaint);
+            Object.entries(this.buildFields(complaint, getOrganizationName)).forEach(([field, values]) => {
+                values.forEach(value => {
+                    this.tokenize(value).forEach(word => this.addWord(word, complaint.id, field));
+                });
+            });
+        });
+    }
+
+    buildFields(complaint, getOrganizationName) {
+        const contact = complaint.contactDetails || {};
+        const outcome = complaint.outcome || {};
+
+        return {
+            title: [complaint.title],
+            description: [complaint.description],
+            outcome: [complaint.desiredOutcome, OUTCOME_TYPES[outcome.type]],
+            organization: [getOrganizationName(complaint.organizationId), complaint.organizationId],
+            status: [complaint.status, STATUS_LABELS[complaint.status]],
+            category: complaint.category ? [complaint.category, complaintTaxonomy.getCategoryLabel(complaint.category)] : [],
+            tags: complaint.tags || [],
+            reference: [
+                complaint.referenceNumber,
+                ...(complaint.answers || []).filter(answer => answer.type !== 'date').map(answer => answer.value)
+            ],
+            contact: [contact.fullName, contact.email, contact.phone, contact.address],
+            correspondence: (complaint.correspondence || []).map(entry => entry.summary),
+            previous: [complaint.previousContact],
+            attachments: (complaint.attachments || []).flatMap(attachment => [attachment.name, attachment.description])
+        };
+    }
+
+    addWord(word, complaintId, field) {
+        if (!this.words.has(word)) this.words.set(word, new Map());
+        const complaints = this.words.get(word);
+        if (!complaints.has(complaintId)) complaints.set(complaintId, new Set());
+        complaints.get(complaintId).add(field);
+    }
+
+    // Lower case words without accents, so "Café" and "cafe" are the same
+    tokenize(text) {
+        return this.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    normalize(text) {
+        return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Read a search. Plain words must all match somewhere; `field:value`
+     * looks in one field and `date:range` keeps complaints dated in a range.
+     * Quotes keep spaces in a value, as in org:"big bank". A qualifier we do
+     * not know is searched as plain words.
+     * @returns {{terms: string[], fields: {field: string, term: string}[], dates: {field: string, from: ?string, to: ?string}[], errors: string[]}}
+     */
+    parse(search) {
+        const query = { terms: [], fields: [], dates: [], errors: [] };
+        const pattern = /([\p{L}]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/gu;
+
+        for (const match of String(search || '').matchAll(pattern)) {
+            const [raw, qualifier, quoted, plain, phrase, word] = match;
+
+            if (qualifier === undefined) {
+                query.terms.push(...this.tokenize(phrase ?? word));
+                continue;
+            }
+
+            const key = qualifier.toLowerCase();
+            const value = (quoted ?? plain).trim();
+            if (SEARCH_FIELD_QUALIFIERS[key]) {
+                this.tokenize(value).forEach(term => query.fields.push({ field: SEARCH_FIELD_QUALIFIERS[key], term }));
+            } else if (SEARCH_DATE_QUALIFIERS[key]) {
+                const range = value ? this.parseDateRange(value) : null;
+                if (range) {
+                    query.dates.push({ field: SEARCH_DATE_QUALIFIERS[key], ...range });
+                } else {
+                    query.errors.push(`"${raw}" is not a date we understand. Try ${key}:2024-03, ${key}:>2024-01-15 or ${key}:2024-01..2024-03.`);
+                }
+            } else {
+                query.terms.push(...this.tokenize(raw));
+            }
+        }
+
+        return query;
+    }
+
+    /**
+     * A date range from "2024", "2024-03" or "2024-03-15", with > >= < <=
+     * in front, or two of them joined by ".." with either end left open.
+     * Returns inclusive YYYY-MM-DD bounds, or null if it is not a date.
+     */
+    parseDateRange(value) {
+        const [, operator, rest] = value.match(/^(>=|<=|>|<)?(.*)$/);
+
+        if (operator) {
+            const period = this.parsePeriod(rest);
+            if (!period) return null;
+            if (operator === '>') return { from: this.shiftDay(period.end, 1), to: null };
+            if (operator === '>=') return { from: period.start, to: null };
+            if (operator === '<') return { from: null, to: this.shiftDay(period.start, -1) };
+            return { from: null, to: period.end };
+        }
+
+        if (rest.includes('..')) {
+            const [start, end] = rest.split('..');
+            const from = start ? this.parsePeriod(start) : null;
+            const to = end ? this.parsePeriod(end) : null;
+            if ((start && !from) || (end && !to) || (!start && !end)) return null;
+            return { from: from ? from.start : null, to: to ? to.end : null };
+        }
+
+        const period = this.parsePeriod(rest);
+        return period ? { from: period.start, to: period.end } : null;
+    }
+
+    // The first and last day of a year, month or single day
+    parsePeriod(text) {
+        const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!match) return null;
+
+        const year = Number(match[1]);
+        const month = match[2] ? Number(match[2]) : null;
+        const day = match[3] ? Number(match[3]) : null;
+
+        if (month === null) return { start: `${year}-01-01`, end: `${year}-12-31` };
+        if (month < 1 || month > 12) return null;
+
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const key = d => `${year}-${String(month).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+
+        if (day === null) return { start: key(1), end: key(lastDay) };
+        if (day < 1 || day > lastDay) return null;
+        return { start: key(day), end: key(day) };
+    }
+
+    shiftDay(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    isEmpty(query) {
+        return query.terms.length === 0 && query.fields.length === 0 && query.dates.length === 0;
+    }
+
+    /**
+     * Find complaints matching a search. Every word, field and date in it
+     * must match. Each match lists the indexed words that matched, for
+     * highlighting, and the fields they were found in. `matches` is null when
+     * the search has nothing to look for, so every complaint is shown.
+     * @returns {{matches: ?Map<string, {words: Set<string>, fields: Set<string>}>, errors: string[]}}
+     */
+    search(search) {
+        const query = this.parse(search);
+        if (this.isEmpty(query)) {
+            return { matches: null, errors: query.errors };
+        }
+
+        let matches = null;
+        const keep = found => {
+            if (matches === null) {
+                matches = found;
+                return;
+            }
+            matches.forEach((match, id) => {
+                const other = found.get(id);
+                if (!other) {
+                    matches.delete(id);
+                    return;
+                }
+                other.words.forEach(word => match.words.add(word));
+                other.fields.forEach(field => match.fields.add(field));
+            });
+        };
+
+        query.terms.forEach(term => keep(this.findTerm(term)));
+        query.fields.forEach(({ field, term }) => keep(this.findTerm(term, field)));
+
+        if (query.dates.length > 0) {
+            const found = new Map();
+            this.documents.forEach((complaint, id) => {
+                if (query.dates.every(range => this.isInRange(complaint[range.field], range))) {
+                    found.set(id, { words: new Set(), fields: new Set() });
+                }
+            });
+            keep(found);
+        }
+
+        return { matches, errors: query.errors };
+    }
+
+    // Complaints with a word like `term`, in `field` if one is given
+    findTerm(term, field = null) {
+        const found = new Map();
+
+        this.words.forEach((complaints, word) => {
+            if (!this.isMatch(term, word)) return;
+
+            complaints.forEach((fields, id) => {
+                if (field && !fields.has(field)) return;
+                if (!found.has(id)) found.set(id, { words: new Set(), fields: new Set() });
+                const match = found.get(id);
+                match.words.add(word);
+                if (field) {
+                    match.fields.add(field);
+                } else {
+                    fields.forEach(f => match.fields.add(f));
+                }
+            });
+        });
+
+        return found;
+    }
+
+    /**
+     * Whether a search term matches an indexed word: the word starts with
+     * it, or is one typo away (two for long words). A typo can also be in
+     * the part of a word typed so far, so "recie" finds "receipt". Numbers
+     * must be exact: 1234 and 1243 are different orders.
+     */
+    isMatch(term, word) {
+        if (word.startsWith(term)) return true;
+        if (term.length < SEARCH_FUZZY_MIN_LENGTH || /\d/.test(term)) return false;
+
+        const allowed = term.length >= SEARCH_FUZZY_LONG_LENGTH ? 2 : 1;
+        if (this.getDistance(term, word, allowed) <= allowed) return true;
+        return word.length > term.length && this.getDistance(term, word.slice(0, term.length), allowed) <= allowed;
+    }
+
+    /**
+     * Edits (added, removed or changed letters, or two letters swapped) to
+     * turn `a` into `b`. Stops counting past `limit`, returning limit + 1.
+     */
+    getDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let smallest = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
+                }
+                nextRow.push(distance);
+                smallest = Math.min(smallest, distance);
+            }
+
+            if (smallest > limit) return limit + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    // Dates are compared by calendar day; complaints without the date never match
+    isInRange(value, { from, to }) {
+        if (!value) return false;
+        const dateKey = deadlineCalculator.toDateKey(deadlineCalculator.parseDate(value));
+        return (!from || dateKey >= from) && (!to || dateKey <= to);
+    }
+
+    /**
+     * `text` as HTML with the matched words marked. Words are compared
+     * without case or accents, so the text keeps its own spelling.
+     */
+    highlight(text, words) {
+        const value = String(text ?? '');
+        if (!words || words.size === 0) return this.escapeHtml(value);
+
+        return value.split(/([\p{L}\p{N}\u0300-\u036f]+)/u).map((part, index) => {
+            // Odd parts are words, even parts what lies between them
+            if (index % 2 === 1 && this.tokenize(part).some(word => words.has(word))) {
+                return `<mark>${this.escapeHtml(part)}</mark>`;
+            }
+            return this.escapeHtml(part);
+        }).join('');
+    }
+
+    /**
+     * Up to `maxLength` characters of `text`, starting a little before the
+     * first matched word so a match deep in a long description still shows.
+     */
+    getSnippet(text, words, maxLength) {
+        const value = String(text ?? '');
+        if (value.length <= maxLength) return value;
+
+        let start = 0;
+        if (words && words.size > 0) {
+            for (const match of value.matchAll(/[\p{L}\p{N}\u0300-\u036f]+/gu)) {
+                if (this.tokenize(match[0]).some(word => words.has(word))) {
+                    start = match.index + match[0].length > maxLength ? Math.max(0, match.index - 30) : 0;
+                    break;
+                }
+            }
+        }
+
+        // Start and end on a space, not part way through a word
+        if (start > 0) {
+            const space = value.lastIndexOf(' ', start);
+            start = space === -1 ? 0 : space + 1;
+        }
+
+        const end = Math.min(value.length, start + maxLength);
+        const snippet = value.substring(start, end).trim();
+        return `${start > 0 ? '...' : ''}${snippet}${end < value.length ? '...' : ''}`;
+    }
+
+    // Fields a complaint matched in that its card does not show
+    describeHiddenFields(fields, shownFields) {
+        return [...fields]
+            .filter(field => !shownFields.includes(field))
+            .map(field => SEARCH_FIELD_LABELS[field]);
+    }
+
+    escapeHtml(text) {
+        return text.replace(/[&<>"']/g, character => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[character]);
+    }
+}
+
+const complaintSearchIndex = new ComplaintSearchIndex();
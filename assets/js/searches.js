@@ -0,0 +1,186 @@
+/**
+ * AccessAssist - Tracker Filters and Saved Searches
+ * The tracker keeps its filters, sort and grouping in the query string, so a
+ * refresh, the back button or a bookmark opens the same view. A saved search
+ * is a named query string shown as a chip above the list; choosing it puts
+ * those filters back. Saved searches live in this browser only.
+ */
+
+const SAVED_SEARCHES_STORAGE_KEY = 'saved-searches';
+const SAVED_SEARCH_MAX_COUNT = 12;
+const SAVED_SEARCH_NAME_MAX_LENGTH = 40;
+
+// Filter name to query string parameter. A new filter also needs a control and a test in the tracker.
+const TRACKER_FILTER_PARAMS = {
+    search: 'q',
+    status: 'status',
+    organization: 'organization',
+    category: 'category',
+    tag: 'tag',
+    overdue: 'overdue'
+};
+
+// How the list is shown (see ordering.js)
+const TRACKER_VIEW_PARAMS = {
+    sort: 'sort',
+    group: 'group',
+    pageSize: 'per-page',
+    page: 'page'
+};
+
+class TrackerQuery {
+    createFilters() {
+        return { search: '', status: '', organization: '', category: '', tag: '', overdue: false };
+    }
+
+    createView() {
+        return { sort: 'priority', group: 'none', page: 1, pageSize: DEFAULT_COMPLAINT_PAGE_SIZE };
+    }
+
+    /**
+     * Read filters and the list view from a query string. A sort, grouping or
+     * page that cannot be right falls back to the default. Filter values are
+     * kept as they are; the tracker drops any it has no option for.
+     * @returns {{filters: Object, view: Object}}
+     */
+    parse(search) {
+        const params = new URLSearchParams(search);
+
+        const filters = this.createFilters();
+        Object.entries(TRACKER_FILTER_PARAMS).forEach(([key, param]) => {
+            const value = params.get(param);
+            if (value === null) return;
+            filters[key] = typeof filters[key] === 'boolean' ? value === 'true' : value;
+        });
+
+        const view = this.createView();
+        if (COMPLAINT_SORTS[params.get('sort')]) view.sort = params.get('sort');
+        if (COMPLAINT_GROUPS[params.get('group')]) view.group = params.get('group');
+
+        const pageSize = Number(params.get('per-page'));
+        if (COMPLAINT_PAGE_SIZES.includes(pageSize)) view.pageSize = pageSize;
+
+        const page = Number(params.get('page'));
+        if (Number.isInteger(page) && page > 1) view.page = page;
+
+        return { filters, view };
+    }
+
+    /**
+     * The query string for filters and a list view. Defaults are left out,
+     * so an unfiltered tracker has a plain address. Only the view values
+     * given are included: saved searches keep the sort but not the page.
+     */
+    toQueryString(filters, view = {}) {
+        const params = new URLSearchParams();
+        const defaultView = this.createView();
+
+        Object.entries(TRACKER_FILTER_PARAMS).forEach(([key, param]) => {
+            if (filters[key]) params.set(param, String(filters[key]));
+        });
+
+        Object.entries(TRACKER_VIEW_PARAMS).forEach(([key, param]) => {
+            if (view[key] !== undefined && view[key] !== defaultView[key]) params.set(param, String(view[key]));
+        });
+
+        return params.toString();
+    }
+
+    // The part of a view a saved search keeps
+    getSavedView(view) {
+        return { sort: view.sort, group: view.group };
+    }
+}
+
+class SavedSearchStore {
+    constructor(storageKey = SAVED_SEARCHES_STORAGE_KEY) {
+        this.storageKey = storageKey;
+    }
+
+    readAll() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('Could not read saved searches:', error);
+            return [];
+        }
+    }
+
+    writeAll(searches) {
+        localStorage.setItem(this.storageKey, JSON.stringify(searches));
+    }
+
+    // In the order they were saved, so chips do not move around
+    getAll() {
+        return this.readAll();
+    }
+
+    get(searchId) {
+        return this.readAll().find(search => search.id === searchId) || null;
+    }
+
+    findByQuery(query) {
+        return this.readAll().find(search => search.query === query) || null;
+    }
+
+    /**
+     * Check a search before it is saved. Returns a map of field name (name,
+     * query) to error message; an empty object means it can be saved.
+     */
+    validate(search, searches = this.readAll()) {
+        const errors = {};
+        const name = (search.name || '').trim();
+
+        if (!search.query) {
+            errors.query = 'Choose some filters or a sort order before saving a search';
+        } else if (searches.length >= SAVED_SEARCH_MAX_COUNT) {
+            errors.query = `You can save up to ${SAVED_SEARCH_MAX_COUNT} searches. Delete one to save another.`;
+        }
+
+        if (!name) {
+            errors.name = 'Please give this search a name, such as "Overdue banks"';
+        } else if (name.length > SAVED_SEARCH_NAME_MAX_LENGTH) {
+            errors.name = `Names can be up to ${SAVED_SEARCH_NAME_MAX_LENGTH} characters`;
+        } else if (searches.some(s => s.name.toLowerCase() === name.toLowerCase())) {
+            errors.name = 'You already have a saved search with this name';
+        }
+
+        return errors;
+    }
+
+    // Returns the saved search; throws if it is not valid
+    save(search) {
+        const searches = this.readAll();
+        const errors = this.validate(search, searches);
+        const messages = Object.values(errors);
+        if (messages.length > 0) {
+            throw new Error(messages[0]);
+        }
+
+        const saved = {
+            id: this.generateId(),
+            name: search.name.trim(),
+            query: search.query,
+            createdDate: new Date().toISOString()
+        };
+
+        this.writeAll([...searches, saved]);
+        return saved;
+    }
+
+    remove(searchId) {
+        this.writeAll(this.readAll().filter(search => search.id !== searchId));
+    }
+
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    generateId() {
+        return 'search_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+const trackerQuery = new TrackerQuery();
+const savedSearches = new SavedSearchStore();
@@ -0,0 +1,296 @@
+/**
+ * AccessAssist - Storage Adapters
+ * Persistence layer for complaint records. Every adapter exposes the same
+ * promise-based interface (get, getAll, getByIndex, put, putIfUnchanged,
+ * replaceAll, delete, clear) so ComplaintManager does not need to know where
+ * the data lives.
+ */
+
+const STORAGE_DB_NAME = 'accessassist';
+const STORAGE_DB_VERSION = 2;
+const STORAGE_BACKEND_KEY = 'complaints-storage-backend';
+
+// Thrown when a record changed in storage since it was loaded (usually by another tab)
+class WriteConflictError extends Error {
+    constructor(recordId, storedRevision, expectedRevision) {
+        super(`Record ${recordId} was changed elsewhere (revision ${storedRevision}, expected ${expectedRevision})`);
+        this.name = 'WriteConflictError';
+        this.recordId = recordId;
+        this.storedRevision = storedRevision;
+        this.expectedRevision = expectedRevision;
+    }
+}
+
+function getRevision(record) {
+    return record && typeof record.revision === 'number' ? record.revision : 0;
+}
+
+class LocalStorageAdapter {
+    constructor(key = 'complaints') {
+        this.key = key;
+        this.name = 'localStorage';
+    }
+
+    async open() {
+        return this;
+    }
+
+    readAll() {
+        const saved = localStorage.getItem(this.key);
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    writeAll(records) {
+        localStorage.setItem(this.key, JSON.stringify(records));
+    }
+
+    async get(id) {
+        return this.readAll().find(record => record.id === id);
+    }
+
+    async getAll() {
+        return this.readAll();
+    }
+
+    async getByIndex(indexName, value) {
+        return this.readAll().filter(record => record[indexName] === value);
+    }
+
+    async put(record) {
+        const records = this.readAll();
+        const index = records.findIndex(r => r.id === record.id);
+        if (index >= 0) {
+            records[index] = record;
+        } else {
+            records.push(record);
+        }
+        this.writeAll(records);
+        return record;
+    }
+
+    async putIfUnchanged(record, expectedRevision) {
+        const current = this.readAll().find(r => r.id === record.id);
+        if (getRevision(current) !== expectedRevision) {
+            throw new WriteConflictError(record.id, getRevision(current), expectedRevision);
+        }
+        return this.put(record);
+    }
+
+    async replaceAll(records) {
+        this.writeAll(records);
+    }
+
+    async delete(id) {
+        this.writeAll(this.readAll().filter(record => record.id !== id));
+    }
+
+    async clear() {
+        localStorage.removeItem(this.key);
+    }
+}
+
+class IndexedDBAdapter {
+    constructor(storeName = 'complaints') {
+        this.storeName = storeName;
+        this.name = 'indexedDB';
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && 'indexedDB' in window && window.indexedDB !== null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                if (event.oldVersion < 1) {
+                    const complaints = db.createObjectStore('complaints', { keyPath: 'id' });
+                    complaints.createIndex('status', 'status', { unique: false });
+                    complaints.createIndex('organizationId', 'organizationId', { unique: false });
+                    complaints.createIndex('createdDate', 'createdDate', { unique: false });
+                }
+
+                // Version 2 keeps attachment files apart from the complaint records
+                if (event.oldVersion < 2) {
+                    const attachments = db.createObjectStore('attachments', { keyPath: 'id' });
+                    attachments.createIndex('complaintId', 'complaintId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Let other tabs upgrade the database without being blocked by us
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+
+                resolve(this);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+    }
+
+    transaction(mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const store = tx.objectStore(this.storeName);
+            let result;
+
+            const request = work(store);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async get(id) {
+        await this.open();
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    async getAll() {
+        await this.open();
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    async getByIndex(indexName, value) {
+        await this.open();
+        return this.transaction('readonly', store => store.index(indexName).getAll(value));
+    }
+
+    async put(record) {
+        await this.open();
+        await this.transaction('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Write a record only if the stored copy still has the revision the caller
+     * loaded. The read and write share one transaction so they cannot interleave
+     * with a write from another tab.
+     */
+    async putIfUnchanged(record, expectedRevision) {
+        await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, 'readwrite');
+            const store = tx.objectStore(this.storeName);
+            let conflict = null;
+
+            const request = store.get(record.id);
+            request.onsuccess = () => {
+                const storedRevision = getRevision(request.result);
+                if (storedRevision !== expectedRevision) {
+                    conflict = new WriteConflictError(record.id, storedRevision, expectedRevision);
+                    tx.abort();
+                    return;
+                }
+                store.put(record);
+            };
+
+            tx.oncomplete = () => resolve(record);
+            tx.onabort = () => reject(conflict || tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async replaceAll(records) {
+        await this.open();
+        await this.transaction('readwrite', store => {
+            store.clear();
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    async delete(id) {
+        await this.open();
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    async clear() {
+        await this.open();
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * Move complaints saved by earlier versions (a single localStorage key) into
+ * the IndexedDB store. The localStorage copy is only removed once the
+ * IndexedDB write has committed.
+ */
+async function migrateLocalComplaints(target) {
+    const legacy = new LocalStorageAdapter('complaints');
+    let records = [];
+
+    try {
+        records = legacy.readAll();
+    } catch (error) {
+        console.warn('Could not read legacy complaints for migration:', error);
+        return;
+    }
+
+    if (records.length === 0) return;
+
+    const existing = await target.getAll();
+    const existingIds = new Set(existing.map(record => record.id));
+    const toMigrate = records.filter(record => !existingIds.has(record.id));
+
+    if (toMigrate.length > 0) {
+        await Promise.all(toMigrate.map(record => target.put(record)));
+    }
+
+    await legacy.clear();
+    console.info(`Migrated ${toMigrate.length} complaints from localStorage to IndexedDB`);
+}
+
+/**
+ * Create the best available complaint store. IndexedDB is preferred; if it is
+ * unavailable (private browsing in some browsers, file:// origins) we fall back
+ * to the original localStorage behaviour.
+ */
+async function createComplaintStorage() {
+    if (IndexedDBAdapter.isSupported()) {
+        try {
+            const adapter = await new IndexedDBAdapter('complaints').open();
+            await migrateLocalComplaints(adapter);
+            localStorage.setItem(STORAGE_BACKEND_KEY, adapter.name);
+            return adapter;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+
+    const fallback = await new LocalStorageAdapter('complaints').open();
+    try {
+        localStorage.setItem(STORAGE_BACKEND_KEY, fallback.name);
+    } catch (error) {
+        console.warn('Could not record storage backend:', error);
+    }
+    return fallback;
+}
+
+/**
+ * Open the store for attachment files. Files are kept as Blobs, which only
+ * IndexedDB can hold, so there is no localStorage fallback.
+ */
+async function createAttachmentStorage() {
+    if (!IndexedDBAdapter.isSupported()) {
+        throw new Error('Attachments need IndexedDB, which this browser does not provide');
+    }
+    return new IndexedDBAdapter('attachments').open();
+}
@@ -0,0 +1,74 @@
+/**
+ * AccessAssist - Cross-Tab Synchronisation
+ * Lets every open AccessAssist page know when complaints or organizations
+ * change in another tab. Uses BroadcastChannel where available and falls back
+ * to the localStorage `storage` event.
+ */
+
+const SYNC_CHANNEL_NAME = 'accessassist-data';
+const SYNC_STORAGE_KEY = 'accessassist-sync';
+
+class DataSyncChannel {
+    constructor(name = SYNC_CHANNEL_NAME) {
+        this.name = name;
+        this.tabId = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.listeners = [];
+        this.channel = null;
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(name);
+            this.channel.addEventListener('message', (event) => this.receive(event.data));
+        } else {
+            window.addEventListener('storage', (event) => {
+                if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return;
+                try {
+                    this.receive(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.warn('Ignoring malformed sync message:', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Tell other tabs that data changed.
+     * @param {{scope: string, ids?: string[]}} change - scope is 'complaints' or 'organizations'
+     */
+    publish(change) {
+        const message = {
+            ...change,
+            source: this.tabId,
+            timestamp: Date.now()
+        };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                // Writing a fresh value each time makes the storage event fire in other tabs
+                localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message));
+            }
+        } catch (error) {
+            console.warn('Could not notify other tabs of change:', error);
+        }
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    receive(message) {
+        if (!message || message.source === this.tabId) return;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('Error handling sync message:', error);
+            }
+        });
+    }
+}
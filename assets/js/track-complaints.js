@@ -3,26 +3,51 @@
  * Handles complaint tracking, filtering, and status management
  */
 
+// Cards added per animation frame when a page of complaints is rendered
+const COMPLAINT_RENDER_BATCH_SIZE = 20;
+
+// Filter name (see TRACKER_FILTER_PARAMS in searches.js) to its form control
+const FILTER_CONTROL_IDS = {
+    search: 'search-complaints',
+    status: 'filter-status',
+    organization: 'filter-organization',
+    category: 'filter-category',
+    tag: 'filter-tag',
+    overdue: 'filter-overdue'
+};
+
 class ComplaintTracker {
     constructor() {
         this.complaints = [];
         this.organizations = [];
         this.filteredComplaints = [];
-        this.currentFilters = {
-            search: '',
-            status: '',
-            organization: ''
-        };
+        this.activeComplaintId = null;
+
+        // Filters and how the list is shown are read from the address (see searches.js)
+        const { filters, view } = trackerQuery.parse(window.location.search);
+        this.currentFilters = filters;
+        this.listView = view;
+        this.currentPage = null;
+        this.renderToken = 0;
+        // Search matches by complaint id, or null when nothing is searched (see search-index.js)
+        this.searchMatches = null;
         
         this.init();
     }
 
-    init() {
+    async init() {
+        // Wait for the complaint store to finish loading before reading from it
+        if (window.complaintManager) {
+            await window.complaintManager.ready;
+        }
+
         this.loadData();
         this.setupEventListeners();
+        this.setupDataSync();
+        this.updateFilterControls();
+        this.renderSavedSearches();
         this.checkForSuccessMessage();
-        this.updateStatistics();
-        this.renderComplaints();
+        this.applyFilters({ announce: false, keepPage: true });
         
         // Announce page ready
         if (window.accessibilityManager) {
@@ -47,26 +72,67 @@ class ComplaintTracker {
         }
 
         this.filteredComplaints = [...this.complaints];
+        complaintSearchIndex.build(this.complaints, this.getOrderingContext());
         this.populateOrganizationFilter();
+        this.populateCategoryFilter();
+        this.populateTagFilter();
     }
 
     populateOrganizationFilter() {
         const select = document.getElementById('filter-organization');
         if (!select) return;
 
-        // Clear existing options except first
-        select.innerHTML = '<option value="">All Organizations</option>';
-
         // Get unique organizations from complaints
         const usedOrgIds = [...new Set(this.complaints.map(c => c.organizationId))];
-        const usedOrgs = this.organizations.filter(org => usedOrgIds.includes(org.id));
+        const options = this.organizations
+            .filter(org => usedOrgIds.includes(org.id))
+            .map(org => [org.id, org.name]);
+
+        this.currentFilters.organization = this.fillFilterSelect(select, 'All Organizations', options, this.currentFilters.organization);
+    }
+
+    // Only categories and tags in use are offered; the current choice is kept
+    populateCategoryFilter() {
+        const select = document.getElementById('filter-category');
+        if (!select) return;
+
+        const used = new Set(this.complaints.map(c => c.category || ''));
+        const options = complaintTaxonomy.getCategories()
+            .filter(category => used.has(category.id))
+            .map(category => [category.id, category.label]);
+
+        // Categories this version does not know about still need an option
+        [...used].filter(id => id && !complaintTaxonomy.getCategories().some(c => c.id === id))
+            .forEach(id => options.push([id, complaintTaxonomy.getCategoryLabel(id)]));
+
+        if (used.has('')) {
+            options.push(['none', 'Uncategorised']);
+        }
+
+        this.currentFilters.category = this.fillFilterSelect(select, 'All Categories', options, this.currentFilters.category);
+    }
+
+    populateTagFilter() {
+        const select = document.getElementById('filter-tag');
+        if (!select) return;
+
+        const options = complaintTaxonomy.getAllTags(this.complaints).map(({ tag, count }) => [tag, `${tag} (${count})`]);
+        this.currentFilters.tag = this.fillFilterSelect(select, 'All Tags', options, this.currentFilters.tag);
+    }
+
+    // Returns the value still selected, which is blank if the current choice has gone
+    fillFilterSelect(select, allLabel, options, current) {
+        select.innerHTML = `<option value="">${allLabel}</option>`;
 
-        usedOrgs.forEach(org => {
+        options.forEach(([value, label]) => {
             const option = document.createElement('option');
-            option.value = org.id;
-            option.textContent = org.name;
+            option.value = value;
+            option.textContent = label;
             select.appendChild(option);
         });
+
+        select.value = options.some(([value]) => value === current) ? current : '';
+        return select.value;
     }
 
     setupEventListeners() {
@@ -74,6 +140,9 @@ class ComplaintTracker {
         const searchInput = document.getElementById('search-complaints');
         const statusFilter = document.getElementById('filter-status');
         const orgFilter = document.getElementById('filter-organization');
+        const categoryFilter = document.getElementById('filter-category');
+        const tagFilter = document.getElementById('filter-tag');
+        const overdueFilter = document.getElementById('filter-overdue');
         const clearButton = document.getElementById('clear-filters');
 
         if (searchInput) {
@@ -97,25 +166,152 @@ class ComplaintTracker {
             });
         }
 
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', () => {
+                this.currentFilters.category = categoryFilter.value;
+                this.applyFilters();
+            });
+        }
+
+        if (tagFilter) {
+            tagFilter.addEventListener('change', () => {
+                this.currentFilters.tag = tagFilter.value;
+                this.applyFilters();
+            });
+        }
+
+        if (overdueFilter) {
+            overdueFilter.addEventListener('change', () => {
+                this.currentFilters.overdue = overdueFilter.checked;
+                this.applyFilters();
+            });
+        }
+
         if (clearButton) {
             clearButton.addEventListener('click', () => {
                 this.clearFilters();
             });
         }
 
-        // Modal actions
-        const escalateButton = document.getElementById('escalate-complaint');
-        const resolveButton = document.getElementById('mark-resolved');
+        document.getElementById('save-search')?.addEventListener('click', () => this.saveSearch());
 
-        if (escalateButton) {
-            escalateButton.addEventListener('click', () => {
-                this.escalateComplaint();
+        const savedSearchList = document.getElementById('saved-search-list');
+        if (savedSearchList) {
+            savedSearchList.addEventListener('click', (e) => {
+                const applyButton = e.target.closest('.apply-saved-search');
+                const deleteButton = e.target.closest('.delete-saved-search');
+                if (applyButton) this.applySavedSearch(applyButton.dataset.searchId);
+                if (deleteButton) this.deleteSavedSearch(deleteButton.dataset.searchId);
+            });
+        }
+
+        this.setupListControls();
+        this.setupComplaintListListeners();
+
+        // Modal actions are re-rendered for each complaint, so listen on the modal
+        const complaintModal = document.getElementById('complaintModal');
+
+        if (complaintModal) {
+            complaintModal.addEventListener('click', (e) => {
+                const btn = e.target.closest('.transition-btn');
+                if (!btn) return;
+
+                this.requestTransition(btn.dataset.complaintId, btn.dataset.status).then(updated => {
+                    if (!updated) return;
+
+                    // Once escalated, the next job is writing to senior staff, so stay here
+                    if (btn.dataset.status === 'escalation') {
+                        this.toggleEscalationPack(true);
+                        return;
+                    }
+
+                    const modal = bootstrap.Modal.getInstance(document.getElementById('complaintModal'));
+                    if (modal) modal.hide();
+                });
             });
         }
 
-        if (resolveButton) {
-            resolveButton.addEventListener('click', () => {
-                this.markComplaintResolved();
+        const letterToggle = document.getElementById('toggle-letter');
+        if (letterToggle) {
+            letterToggle.addEventListener('click', () => {
+                this.toggleLetter(letterToggle.getAttribute('aria-expanded') !== 'true');
+            });
+        }
+
+        const escalationToggle = document.getElementById('toggle-escalation');
+        if (escalationToggle) {
+            escalationToggle.addEventListener('click', () => {
+                this.toggleEscalationPack(escalationToggle.getAttribute('aria-expanded') !== 'true');
+            });
+        }
+
+        const referralCopy = document.getElementById('referral-copy');
+        if (referralCopy) {
+            referralCopy.addEventListener('click', () => this.copyReferral());
+        }
+
+        const referralDownload = document.getElementById('referral-download');
+        if (referralDownload) {
+            referralDownload.addEventListener('click', () => this.downloadReferral());
+        }
+
+        const attachmentForm = document.getElementById('attachment-form');
+        if (attachmentForm) {
+            const fileInput = document.getElementById('attachment-file');
+            fileInput.accept = attachmentStore.getAccept();
+
+            if (!attachmentStore.isSupported()) {
+                attachmentForm.querySelectorAll('input, button').forEach(control => {
+                    control.disabled = true;
+                });
+                document.getElementById('attachment-file-help').textContent = 'This browser cannot store files, so attachments are not available.';
+            }
+
+            attachmentForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addAttachment(attachmentForm);
+            });
+
+            attachmentForm.addEventListener('input', (e) => {
+                this.clearFieldError(e.target);
+            });
+        }
+
+        const attachmentList = document.getElementById('complaint-attachments');
+        if (attachmentList) {
+            attachmentList.addEventListener('click', (e) => {
+                const openButton = e.target.closest('.open-attachment');
+                const removeButton = e.target.closest('.remove-attachment');
+
+                if (openButton) this.openAttachment(openButton.dataset.attachmentId);
+                if (removeButton) this.removeAttachment(removeButton.dataset.attachmentId);
+            });
+        }
+
+        const outcomeForm = document.getElementById('outcome-form');
+        if (outcomeForm) {
+            Object.entries(OUTCOME_TYPES).forEach(([value, label]) => outcomeForm.elements.type.add(new Option(label, value)));
+            Object.entries(OUTCOME_CURRENCIES).forEach(([value, label]) => outcomeForm.elements.currency.add(new Option(label, value)));
+
+            outcomeForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveOutcome(outcomeForm);
+            });
+
+            outcomeForm.addEventListener('input', (e) => {
+                this.clearFieldError(e.target);
+            });
+        }
+
+        const correspondenceForm = document.getElementById('correspondence-form');
+        if (correspondenceForm) {
+            correspondenceForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.logCorrespondence(correspondenceForm);
+            });
+
+            correspondenceForm.addEventListener('input', (e) => {
+                this.clearFieldError(e.target);
             });
         }
 
@@ -128,6 +324,42 @@ class ComplaintTracker {
         this.handleHashChange();
     }
 
+    setupDataSync() {
+        if (!window.complaintManager) return;
+
+        // Refresh when another tab changes complaints or organizations
+        window.complaintManager.onChange((change) => {
+            // Contact profiles are not shown here
+            if (change.scope === 'profiles') return;
+
+            this.refreshFromStore();
+
+            if (!window.accessibilityManager) return;
+
+            if (change.reason === 'remote') {
+                window.accessibilityManager.announce('Complaints were updated in another tab. The list has been refreshed.');
+            } else if (change.reason === 'scheduled') {
+                const count = change.ids.length;
+                window.accessibilityManager.announce(`${count} complaint${count === 1 ? '' : 's'} changed status because a deadline was reached.`);
+            }
+        });
+    }
+
+    refreshFromStore() {
+        // Rebuilding the filter lists keeps the user's choices where they still exist
+        this.loadData();
+        this.applyFilters({ announce: false, keepPage: true });
+
+        // Keep an open detail view in step with the stored record
+        const modal = document.getElementById('complaintModal');
+        if (modal && modal.classList.contains('show') && this.activeComplaintId) {
+            const complaint = this.complaints.find(c => c.id === this.activeComplaintId);
+            if (complaint) {
+                this.renderComplaintDetails(complaint);
+            }
+        }
+    }
+
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -157,6 +389,7 @@ class ComplaintTracker {
 
                 // Scroll to specific complaint if ID provided
                 if (complaintId) {
+                    this.showComplaintPage(complaintId);
                     setTimeout(() => {
                         const complaintElement = document.getElementById(`complaint-${complaintId}`);
                         if (complaintElement) {
@@ -166,7 +399,7 @@ class ComplaintTracker {
                     }, 1000);
                 }
 
-                // Clear URL parameters
+                // Clear the success parameters; filters are written back once the list is shown
                 const newUrl = window.location.pathname + window.location.hash;
                 window.history.replaceState({}, document.title, newUrl);
             }
@@ -184,20 +417,21 @@ class ComplaintTracker {
         }
     }
 
-    applyFilters() {
-        const { search, status, organization } = this.currentFilters;
+    applyFilters({ announce = true, keepPage = false } = {}) {
+        const { search, status, organization, category, tag, overdue } = this.currentFilters;
+
+        if (!keepPage) {
+            this.listView.page = 1;
+        }
+
+        const { matches, errors } = complaintSearchIndex.search(search);
+        this.searchMatches = matches;
+        this.showSearchErrors(errors);
         
         this.filteredComplaints = this.complaints.filter(complaint => {
             // Search filter
-            if (search) {
-                const searchTerm = search.toLowerCase();
-                const orgName = this.getOrganizationName(complaint.organizationId).toLowerCase();
-                const matchesSearch = 
-                    complaint.title.toLowerCase().includes(searchTerm) ||
-                    complaint.description.toLowerCase().includes(searchTerm) ||
-                    orgName.includes(searchTerm);
-                
-                if (!matchesSearch) return false;
+            if (matches && !matches.has(complaint.id)) {
+                return false;
             }
 
             // Status filter
@@ -210,31 +444,45 @@ class ComplaintTracker {
                 return false;
             }
 
+            // Category filter ('none' finds complaints saved before categories existed)
+            if (category && (complaint.category || 'none') !== category) {
+                return false;
+            }
+
+            // Tag filter
+            if (tag && !complaintTaxonomy.hasTag(complaint, tag)) {
+                return false;
+            }
+
+            if (overdue && !this.isComplaintOverdue(complaint)) {
+                return false;
+            }
+
             return true;
         });
 
         this.updateStatistics();
+        this.renderMoneySummary();
         this.renderComplaints();
 
         // Announce filter results
-        if (window.accessibilityManager) {
+        if (announce && window.accessibilityManager) {
             const count = this.filteredComplaints.length;
             window.accessibilityManager.announce(`Showing ${count} complaint${count !== 1 ? 's' : ''}`);
         }
     }
 
-    clearFilters() {
-        this.currentFilters = { search: '', status: '', organization: '' };
-        
-        // Reset form controls
-        const searchInput = document.getElementById('search-complaints');
-        const statusFilter = document.getElementById('filter-status');
-        const orgFilter = document.getElementById('filter-organization');
+    // Date qualifiers that could not be read; the rest of the search still applies
+    showSearchErrors(errors) {
+        const message = document.getElementById('search-errors');
+        if (!message) return;
 
-        if (searchInput) searchInput.value = '';
-        if (statusFilter) statusFilter.value = '';
-        if (orgFilter) orgFilter.value = '';
+        message.textContent = errors.join(' ');
+    }
 
+    clearFilters() {
+        this.currentFilters = trackerQuery.createFilters();
+        this.updateFilterControls();
         this.applyFilters();
 
         if (window.accessibilityManager) {
@@ -242,6 +490,144 @@ class ComplaintTracker {
         }
     }
 
+    // Show the current filters and list view in the form; choices it has no option for are dropped
+    updateFilterControls() {
+        Object.entries(FILTER_CONTROL_IDS).forEach(([key, id]) => {
+            const control = document.getElementById(id);
+            if (!control) return;
+
+            if (control.type === 'checkbox') {
+                control.checked = !!this.currentFilters[key];
+            } else {
+                control.value = this.currentFilters[key];
+                this.currentFilters[key] = control.value;
+            }
+        });
+
+        const sortSelect = document.getElementById('sort-complaints');
+        const groupSelect = document.getElementById('group-complaints');
+        const pageSizeSelect = document.getElementById('page-size');
+        if (sortSelect) sortSelect.value = this.listView.sort;
+        if (groupSelect) groupSelect.value = this.listView.group;
+        if (pageSizeSelect) pageSizeSelect.value = String(this.listView.pageSize);
+    }
+
+    // Keep the address in step with the list, so a refresh, the back button or a bookmark shows the same view
+    updateUrl() {
+        const query = trackerQuery.toQueryString(this.currentFilters, this.listView);
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+        if (url !== window.location.pathname + window.location.search + window.location.hash) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    // The current filters, sort and grouping, as saved in a saved search
+    getSavedSearchQuery() {
+        return trackerQuery.toQueryString(this.currentFilters, trackerQuery.getSavedView(this.listView));
+    }
+
+    renderSavedSearches() {
+        const section = document.getElementById('saved-searches');
+        const list = document.getElementById('saved-search-list');
+        if (!section || !list) return;
+
+        const searches = savedSearches.getAll();
+        section.classList.toggle('d-none', searches.length === 0);
+
+        list.innerHTML = searches.map(search => `
+            <li class="list-inline-item saved-search mb-2">
+                <button type="button" class="btn btn-sm btn-outline-primary rounded-pill apply-saved-search" data-search-id="${this.escapeHtml(search.id)}" aria-pressed="false">
+                    ${this.escapeHtml(search.name)}
+                </button>
+                <button type="button" class="btn btn-sm btn-link delete-saved-search" data-search-id="${this.escapeHtml(search.id)}" aria-label="Delete saved search ${this.escapeHtml(search.name)}">
+                    <span aria-hidden="true">×</span>
+                </button>
+            </li>
+        `).join('');
+
+        this.updateSavedSearchState();
+    }
+
+    // Mark the saved search that matches what is shown, without re-rendering the chips
+    updateSavedSearchState() {
+        const active = savedSearches.findByQuery(this.getSavedSearchQuery());
+
+        document.querySelectorAll('#saved-search-list .apply-saved-search').forEach(button => {
+            const pressed = !!active && button.dataset.searchId === active.id;
+            button.setAttribute('aria-pressed', String(pressed));
+            button.classList.toggle('btn-primary', pressed);
+            button.classList.toggle('btn-outline-primary', !pressed);
+        });
+    }
+
+    showSavedSearchMessage(message) {
+        const element = document.getElementById('saved-search-message');
+        if (element) {
+            element.textContent = message;
+        }
+    }
+
+    async saveSearch() {
+        const query = this.getSavedSearchQuery();
+        const existing = savedSearches.findByQuery(query);
+        const problem = existing ? `This search is already saved as "${existing.name}".` : savedSearches.validate({ query }).query;
+
+        if (problem) {
+            this.showSavedSearchMessage(problem);
+            return;
+        }
+
+        const name = await accessibleDialog.prompt({
+            title: 'Save this search',
+            message: 'It will appear as a button above your complaints, so you can show them again in one step.',
+            label: 'Search name',
+            confirmLabel: 'Save Search',
+            validate: value => savedSearches.validate({ name: value, query }).name || null
+        });
+        if (name === null) return;
+
+        const saved = savedSearches.save({ name, query });
+        this.renderSavedSearches();
+        this.showSavedSearchMessage('');
+        this.announce(`Saved search "${saved.name}". It is shown above your complaints.`);
+    }
+
+    applySavedSearch(searchId) {
+        const search = savedSearches.get(searchId);
+        if (!search) return;
+
+        const { filters, view } = trackerQuery.parse(search.query);
+        this.currentFilters = filters;
+        this.listView = { ...this.listView, ...trackerQuery.getSavedView(view), page: 1 };
+        this.updateFilterControls();
+        this.showSavedSearchMessage('');
+        this.applyFilters({ announce: false });
+
+        this.announce(`Showing saved search "${search.name}". ${this.describeListPosition()}`);
+    }
+
+    async deleteSavedSearch(searchId) {
+        const search = savedSearches.get(searchId);
+        if (!search) return;
+
+        const confirmed = await accessibleDialog.confirm({
+            title: `Delete "${search.name}"?`,
+            message: 'Only the saved search is deleted. Your complaints are not changed.',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
+
+        savedSearches.remove(searchId);
+        this.renderSavedSearches();
+
+        // The chip has gone, so move to the next one or back to the save button
+        const next = document.querySelector('#saved-search-list .apply-saved-search') || document.getElementById('save-search');
+        next?.focus();
+        this.announce(`Deleted saved search "${search.name}".`);
+    }
+
     updateStatistics() {
         const total = this.complaints.length;
         const active = this.complaints.filter(c => c.status !== 'resolved').length;
@@ -254,13 +640,187 @@ class ComplaintTracker {
         document.getElementById('resolved-count').textContent = resolved;
     }
 
+    // Totals follow the filters, so choosing an organization shows its own sums
+    renderMoneySummary() {
+        const section = document.getElementById('money-summary');
+        if (!section) return;
+
+        const totals = complaintOutcomes.getTotals(this.filteredComplaints);
+        const resolvedCount = Object.values(totals.met).reduce((sum, count) => sum + count, 0);
+        section.classList.toggle('d-none', totals.currencies.length === 0 && resolvedCount === 0);
+
+        const shown = this.filteredComplaints.length;
+        document.getElementById('money-summary-scope').textContent = shown === this.complaints.length
+            ? 'Totals for all your complaints.'
+            : `Totals for the ${shown} complaint${shown === 1 ? '' : 's'} shown.`;
+
+        const createRow = (name, total, header = 'th') => `
+            <tr>
+                <${header} scope="row">${this.escapeHtml(name)}${totals.currencies.length > 1 ? ` (${this.escapeHtml(total.currency)})` : ''}</${header}>
+                <td>${total.count}</td>
+                <td>${complaintOutcomes.formatAmount(total.claimed, total.currency)}</td>
+                <td>${complaintOutcomes.formatAmount(total.offered, total.currency)}</td>
+                <td>${complaintOutcomes.formatAmount(total.received, total.currency)}</td>
+            </tr>
+        `;
+
+        document.getElementById('money-totals').innerHTML = totals.currencies.length === 0 ? '' : `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                    <caption class="sr-only">Amounts claimed, offered and received by organization</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">Organization</th>
+                            <th scope="col">Complaints</th>
+                            <th scope="col">Claimed</th>
+                            <th scope="col">Offered</th>
+                            <th scope="col">Received</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${totals.organizations
+                            .map(({ organizationId, currencies }) => ({ name: this.getOrganizationName(organizationId), currencies }))
+                            .sort((a, b) => a.name.localeCompare(b.name, 'en-GB', { sensitivity: 'base' }))
+                            .map(({ name, currencies }) => currencies.map(total => createRow(name, total)).join(''))
+                            .join('')}
+                    </tbody>
+                    <tfoot>
+                        ${totals.currencies.map(total => createRow('Total', total)).join('')}
+                    </tfoot>
+                </table>
+            </div>
+        `;
+
+        document.getElementById('outcome-met-summary').textContent = resolvedCount === 0 ? '' :
+            `Resolved complaints: ${totals.met.full} met in full, ${totals.met.partial} met in part, ${totals.met.none} not met.`;
+    }
+
+    setupListControls() {
+        const sortSelect = document.getElementById('sort-complaints');
+        const groupSelect = document.getElementById('group-complaints');
+        const pageSizeSelect = document.getElementById('page-size');
+
+        if (sortSelect) {
+            Object.entries(COMPLAINT_SORTS).forEach(([value, label]) => sortSelect.add(new Option(label, value)));
+            sortSelect.addEventListener('change', () => {
+                this.listView.sort = sortSelect.value;
+                this.listView.page = 1;
+                this.renderComplaints();
+                this.announce(`Sorted by ${COMPLAINT_SORTS[this.listView.sort].toLowerCase()}. ${this.describeListPosition()}`);
+            });
+        }
+
+        if (groupSelect) {
+            Object.entries(COMPLAINT_GROUPS).forEach(([value, label]) => groupSelect.add(new Option(label, value)));
+            groupSelect.addEventListener('change', () => {
+                this.listView.group = groupSelect.value;
+                this.listView.page = 1;
+                this.renderComplaints();
+
+                const groupCount = this.getComplaintGroups().length;
+                this.announce(this.listView.group === 'none'
+                    ? `Complaints are no longer grouped. ${this.describeListPosition()}`
+                    : `Grouped by ${COMPLAINT_GROUPS[this.listView.group].toLowerCase()}, ${groupCount} group${groupCount === 1 ? '' : 's'}. ${this.describeListPosition()}`);
+            });
+        }
+
+        if (pageSizeSelect) {
+            COMPLAINT_PAGE_SIZES.forEach(size => pageSizeSelect.add(new Option(String(size), String(size))));
+            pageSizeSelect.addEventListener('change', () => {
+                this.listView.pageSize = Number(pageSizeSelect.value);
+                this.listView.page = 1;
+                this.renderComplaints();
+                this.announce(this.describeListPosition());
+            });
+        }
+
+        document.getElementById('previous-page')?.addEventListener('click', () => this.goToPage(this.listView.page - 1));
+        document.getElementById('next-page')?.addEventListener('click', () => this.goToPage(this.listView.page + 1));
+    }
+
+    // Cards are re-rendered often, so their clicks are handled on the list
+    setupComplaintListListeners() {
+        const container = document.getElementById('complaints-container');
+        if (!container) return;
+
+        container.addEventListener('click', (e) => {
+            const transitionButton = e.target.closest('.transition-btn');
+            if (transitionButton) {
+                this.requestTransition(transitionButton.dataset.complaintId, transitionButton.dataset.status);
+                return;
+            }
+
+            // View Details and the card itself both open the detail view
+            const card = e.target.closest('.complaint-card');
+            const complaint = card && this.complaints.find(c => c.id === card.dataset.complaintId);
+            if (complaint) {
+                this.showComplaintDetails(complaint);
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.classList.contains('complaint-card')) {
+                e.preventDefault();
+                e.target.click();
+            }
+        });
+    }
+
+    getOrderingContext() {
+        return {
+            getOrganizationName: (organizationId) => this.getOrganizationName(organizationId),
+            isOverdue: (complaint) => this.isComplaintOverdue(complaint),
+            formatStatus: (status) => this.formatStatus(status)
+        };
+    }
+
+    // The filtered complaints in the chosen order, split into the chosen groups
+    getComplaintGroups() {
+        const context = this.getOrderingContext();
+        const sorted = complaintOrdering.sort(this.filteredComplaints, this.listView.sort, context);
+        return complaintOrdering.group(sorted, this.listView.group, context);
+    }
+
+    // Open the page a complaint is on, such as one just submitted
+    showComplaintPage(complaintId) {
+        const page = complaintOrdering.findPage(this.getComplaintGroups(), complaintId, this.listView.pageSize);
+        if (page) {
+            this.listView.page = page;
+        }
+    }
+
+    goToPage(page) {
+        this.listView.page = page;
+        this.renderComplaints();
+
+        // The button pressed may now be disabled, so carry on from the top of the list
+        document.getElementById('complaints-heading')?.focus();
+        this.announce(this.describeListPosition());
+    }
+
+    // "Showing 26 to 50 of 120 complaints, page 2 of 5."
+    describeListPosition() {
+        const page = this.currentPage;
+        if (!page) return '';
+        return `${complaintOrdering.describeRange(page)}${page.pageCount > 1 ? `, page ${page.page} of ${page.pageCount}` : ''}.`;
+    }
+
     renderComplaints() {
         const container = document.getElementById('complaints-container');
         const emptyState = document.getElementById('empty-state');
 
         if (!container || !emptyState) return;
 
-        if (this.filteredComplaints.length === 0) {
+        const page = complaintOrdering.paginate(this.getComplaintGroups(), this.listView.page, this.listView.pageSize);
+        this.listView.page = page.page;
+        this.currentPage = page;
+        this.renderPagination(page);
+        this.updateUrl();
+        this.updateSavedSearchState();
+
+        if (page.total === 0) {
+            // Stop any earlier render that is still adding cards
+            this.renderToken += 1;
             container.innerHTML = '';
             emptyState.classList.remove('d-none');
             return;
@@ -268,48 +828,82 @@ class ComplaintTracker {
 
         emptyState.classList.add('d-none');
 
-        // Sort complaints by date (newest first) and then by status priority
-        const sortedComplaints = this.filteredComplaints.sort((a, b) => {
-            // Priority order: overdue, escalation, response-due, in-progress, submitted, resolved
-            const statusPriority = {
-                'escalation': 6,
-                'response-due': 5,
-                'in-progress': 4,
-                'acknowledged': 3,
-                'submitted': 2,
-                'resolved': 1
-            };
+        // Re-rendering replaces the card that had focus, so put focus back on it afterwards
+        const focusedId = document.activeElement?.closest('.complaint-card')?.dataset.complaintId;
+        const grouped = this.listView.group !== 'none';
+
+        container.innerHTML = page.groups.map((group, index) =>
+            grouped ? this.createComplaintGroup(group, index) : '<div class="complaint-list"></div>'
+        ).join('');
+
+        const lists = container.querySelectorAll('.complaint-list');
+        const cards = page.groups.flatMap((group, index) => group.complaints.map(complaint => ({ list: lists[index], complaint })));
+        this.renderCardBatches(container, cards, { headingLevel: grouped ? 5 : 3, focusedId });
+    }
+
+    // The first batch is added straight away; the rest follow a frame at a time so long pages do not freeze the browser
+    renderCardBatches(container, cards, { headingLevel, focusedId }) {
+        const token = ++this.renderToken;
+        const queue = [...cards];
+        container.setAttribute('aria-busy', 'true');
 
-            const aOverdue = this.isComplaintOverdue(a);
-            const bOverdue = this.isComplaintOverdue(b);
+        const renderBatch = () => {
+            // A newer render has replaced this list
+            if (token !== this.renderToken) return;
 
-            if (aOverdue && !bOverdue) return -1;
-            if (!aOverdue && bOverdue) return 1;
+            queue.splice(0, COMPLAINT_RENDER_BATCH_SIZE).forEach(({ list, complaint }) => {
+                list.insertAdjacentHTML('beforeend', this.createComplaintCard(complaint, headingLevel));
+            });
 
-            const aPriority = statusPriority[a.status] || 0;
-            const bPriority = statusPriority[b.status] || 0;
+            if (queue.length > 0) {
+                requestAnimationFrame(renderBatch);
+                return;
+            }
 
-            if (aPriority !== bPriority) {
-                return bPriority - aPriority;
+            container.removeAttribute('aria-busy');
+            if (focusedId && document.activeElement === document.body) {
+                document.getElementById(`complaint-${focusedId}`)?.focus();
             }
+        };
 
-            return new Date(b.createdDate) - new Date(a.createdDate);
-        });
+        renderBatch();
+    }
 
-        container.innerHTML = sortedComplaints.map(complaint => 
-            this.createComplaintCard(complaint)
-        ).join('');
+    createComplaintGroup(group, index) {
+        return `
+            <section class="complaint-group mb-4" aria-labelledby="complaint-group-${index}">
+                <h4 id="complaint-group-${index}" class="h6 complaint-group-heading">
+                    ${this.escapeHtml(group.label)}${group.continued ? ' (continued)' : ''}
+                    <span class="text-muted fw-normal">(${group.total} complaint${group.total === 1 ? '' : 's'})</span>
+                </h4>
+                <div class="complaint-list"></div>
+            </section>
+        `;
+    }
+
+    renderPagination(page) {
+        const range = document.getElementById('complaints-range');
+        if (range) {
+            range.textContent = page.total === 0 ? '' : complaintOrdering.describeRange(page);
+        }
+
+        const pagination = document.getElementById('complaints-pagination');
+        if (!pagination) return;
 
-        // Add event listeners to cards
-        this.setupComplaintCardListeners();
+        pagination.classList.toggle('d-none', page.pageCount <= 1);
+        document.getElementById('page-status').textContent = `Page ${page.page} of ${page.pageCount}`;
+        document.getElementById('previous-page').disabled = page.page <= 1;
+        document.getElementById('next-page').disabled = page.page >= page.pageCount;
     }
 
-    createComplaintCard(complaint) {
+    createComplaintCard(complaint, headingLevel = 3) {
         const organization = this.organizations.find(org => org.id === complaint.organizationId);
         const isOverdue = this.isComplaintOverdue(complaint);
         const daysElapsed = this.calculateDaysElapsed(complaint.createdDate);
         const statusClass = this.getStatusClass(complaint.status);
         const progressPercentage = this.calculateProgress(complaint);
+        const match = this.searchMatches ? this.searchMatches.get(complaint.id) : null;
+        const words = match ? match.words : null;
 
         return `
             <div class="card complaint-card ${isOverdue ? 'overdue' : ''} mb-3" id="complaint-${complaint.id}" tabindex="0" role="button" aria-labelledby="complaint-${complaint.id}-title" data-complaint-id="${complaint.id}">
@@ -317,9 +911,9 @@ class ComplaintTracker {
                     <div class="row">
                         <div class="col-md-8">
                             <div class="d-flex justify-content-between align-items-start mb-2">
-                                <h3 id="complaint-${complaint.id}-title" class="card-title h5 mb-0">
-                                    ${this.escapeHtml(complaint.title)}
-                                </h3>
+                                <h${headingLevel} id="complaint-${complaint.id}-title" class="card-title h5 mb-0">
+                                    ${complaintSearchIndex.highlight(complaint.title, words)}
+                                </h${headingLevel}>
                                 <span class="status-badge status-${statusClass} ms-2" aria-label="Status: ${this.formatStatus(complaint.status)}">
                                     ${this.formatStatus(complaint.status)}
                                     ${isOverdue ? ' (Overdue)' : ''}
@@ -328,11 +922,14 @@ class ComplaintTracker {
                             
                             <p class="text-muted mb-2">
                                 <strong>Organization:</strong> ${organization?.name || 'Unknown Organization'}
+                                ${complaint.category ? `<span class="ms-2"><strong>Category:</strong> ${this.escapeHtml(complaintTaxonomy.getCategoryLabel(complaint.category))}</span>` : ''}
                             </p>
+                            ${this.createTagList(complaint)}
                             
                             <p class="card-text mb-3">
-                                ${this.escapeHtml(this.truncateText(complaint.description, 120))}
+                                ${complaintSearchIndex.highlight(complaintSearchIndex.getSnippet(complaint.description, words, 120), words)}
                             </p>
+                            ${this.createSearchMatchNote(match)}
 
                             <div class="row g-2 small text-muted">
                                 <div class="col-md-6">
@@ -349,7 +946,7 @@ class ComplaintTracker {
                                 ` : ''}
                                 ${organization ? `
                                 <div class="col-md-6">
-                                    <strong>Expected Response:</strong> ${organization.responseTimedays} days
+                                    <strong>Expected Response:</strong> ${deadlineCalculator.describePeriod(organization.responseTimedays, organization)}
                                 </div>
                                 ` : ''}
                             </div>
@@ -369,16 +966,7 @@ class ComplaintTracker {
                                     <button type="button" class="btn btn-sm btn-outline-primary view-details-btn" data-complaint-id="${complaint.id}">
                                         View Details
                                     </button>
-                                    ${isOverdue && complaint.status !== 'resolved' ? `
-                                    <button type="button" class="btn btn-sm btn-warning escalate-btn" data-complaint-id="${complaint.id}">
-                                        <span aria-hidden="true">⚠️</span> Escalate
-                                    </button>
-                                    ` : ''}
-                                    ${complaint.status !== 'resolved' ? `
-                                    <button type="button" class="btn btn-sm btn-success resolve-btn" data-complaint-id="${complaint.id}">
-                                        <span aria-hidden="true">✓</span> Mark Resolved
-                                    </button>
-                                    ` : ''}
+                                    ${this.createTransitionButtons(complaint, 'btn-sm')}
                                 </div>
                             </div>
                         </div>
@@ -388,93 +976,253 @@ class ComplaintTracker {
         `;
     }
 
-    setupComplaintCardListeners() {
-        // View details buttons
-        document.querySelectorAll('.view-details-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const complaintId = btn.dataset.complaintId;
-                const complaint = this.complaints.find(c => c.id === complaintId);
-                if (complaint) {
-                    this.showComplaintDetails(complaint);
-                }
-            });
-        });
+    // Where a search matched when the card does not show it, such as a reference or a letter
+    createSearchMatchNote(match) {
+        if (!match) return '';
 
-        // Escalate buttons
-        document.querySelectorAll('.escalate-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const complaintId = btn.dataset.complaintId;
-                this.escalateComplaintDirect(complaintId);
-            });
-        });
+        const hidden = complaintSearchIndex.describeHiddenFields(match.fields, ['title', 'description', 'organization', 'category', 'tags', 'status']);
+        if (hidden.length === 0) return '';
 
-        // Resolve buttons
-        document.querySelectorAll('.resolve-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const complaintId = btn.dataset.complaintId;
-                this.markComplaintResolvedDirect(complaintId);
-            });
-        });
+        return `<p class="small text-muted mb-2"><strong>Found in:</strong> ${this.escapeHtml(hidden.join(', '))}</p>`;
+    }
 
-        // Card click to view details
-        document.querySelectorAll('.complaint-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const complaintId = card.dataset.complaintId;
-                const complaint = this.complaints.find(c => c.id === complaintId);
-                if (complaint) {
-                    this.showComplaintDetails(complaint);
-                }
-            });
+    createTagList(complaint) {
+        const tags = complaint.tags || [];
+        if (tags.length === 0) return '';
 
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    card.click();
-                }
-            });
-        });
+        return `
+            <ul class="list-inline mb-2" aria-label="Tags">
+                ${tags.map(tag => `<li class="list-inline-item"><span class="badge complaint-tag">${this.escapeHtml(tag)}</span></li>`).join('')}
+            </ul>
+        `;
     }
 
     showComplaintDetails(complaint) {
         const modal = document.getElementById('complaintModal');
+        if (!modal) return;
+
+        this.renderComplaintDetails(complaint);
+        this.resetOutcomeForm(complaint);
+        this.resetCorrespondenceForm();
+        this.resetAttachmentForm();
+        this.toggleLetter(false);
+        this.toggleEscalationPack(false);
+
+        const modalInstance = new bootstrap.Modal(modal);
+        modalInstance.show();
+
+        // Update URL hash
+        window.history.pushState(null, null, `#complaint-${complaint.id}`);
+
+        // Announce modal opening
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(`Opened details for complaint: ${complaint.title}`, 'polite');
+        }
+    }
+
+    renderComplaintDetails(complaint) {
         const content = document.getElementById('complaint-detail-content');
-        const escalateBtn = document.getElementById('escalate-complaint');
-        const resolveBtn = document.getElementById('mark-resolved');
+        const actions = document.getElementById('complaint-actions');
 
-        if (!modal || !content) return;
+        if (!content) return;
 
+        this.activeComplaintId = complaint.id;
         const organization = this.organizations.find(org => org.id === complaint.organizationId);
         const isOverdue = this.isComplaintOverdue(complaint);
-        
+
         content.innerHTML = this.createDetailedView(complaint, organization, isOverdue);
+        this.renderAttachments(complaint);
 
-        // Configure action buttons
-        if (escalateBtn) {
-            escalateBtn.style.display = (isOverdue && complaint.status !== 'resolved') ? 'inline-block' : 'none';
-            escalateBtn.dataset.complaintId = complaint.id;
+        // Only offer the status changes the lifecycle allows from here
+        if (actions) {
+            actions.innerHTML = this.createTransitionButtons(complaint);
         }
 
-        if (resolveBtn) {
-            resolveBtn.style.display = complaint.status !== 'resolved' ? 'inline-block' : 'none';
-            resolveBtn.dataset.complaintId = complaint.id;
+        if (this.letterPanel && this.isLetterVisible()) {
+            this.letterPanel.render();
         }
 
-        const modalInstance = new bootstrap.Modal(modal);
-        modalInstance.show();
+        const casePackLink = document.getElementById('open-case-pack');
+        if (casePackLink) {
+            casePackLink.href = `case-pack.html?id=${encodeURIComponent(complaint.id)}`;
+        }
 
-        // Update URL hash
-        window.history.pushState(null, null, `#complaint-${complaint.id}`);
+        // Start a new complaint to the same organization that refers back to this one
+        const followUpLink = document.getElementById('start-follow-up');
+        if (followUpLink) {
+            followUpLink.href = wizardPrefill.buildUrl({
+                organization: complaint.organizationId,
+                category: complaint.category,
+                title: `Follow-up: ${complaint.title}`.slice(0, 100),
+                reference: complaint.referenceNumber,
+                followUp: complaint.id,
+                step: 3
+            });
+        }
 
-        // Announce modal opening
+        // The escalation pack only makes sense once the complaint has been escalated
+        const escalationToggle = document.getElementById('toggle-escalation');
+        if (escalationToggle) {
+            escalationToggle.classList.toggle('d-none', complaint.status !== 'escalation');
+        }
+
+        if (complaint.status !== 'escalation') {
+            this.toggleEscalationPack(false);
+        } else if (this.isEscalationPackVisible()) {
+            this.renderEscalationPack(complaint);
+        }
+    }
+
+    isLetterVisible() {
+        const section = document.getElementById('complaint-letter-section');
+        return !!section && !section.classList.contains('d-none');
+    }
+
+    toggleLetter(show) {
+        const section = document.getElementById('complaint-letter-section');
+        const toggle = document.getElementById('toggle-letter');
+        if (!section || !toggle) return;
+
+        section.classList.toggle('d-none', !show);
+        toggle.setAttribute('aria-expanded', String(show));
+        toggle.innerHTML = `<span aria-hidden="true">✉️</span> ${show ? 'Hide Letter' : 'View Letter'}`;
+
+        if (!show) return;
+
+        const complaint = this.complaints.find(c => c.id === this.activeComplaintId);
+        if (!complaint) return;
+
+        if (!this.letterPanel) {
+            this.letterPanel = new LetterPanel(document.getElementById('complaint-letter'), 'complaint-letter', () => {
+                const active = this.complaints.find(c => c.id === this.activeComplaintId);
+                return {
+                    complaint: active,
+                    organization: this.organizations.find(org => org.id === active.organizationId)
+                };
+            });
+        }
+
+        this.letterPanel.setTemplate(complaint.letterTemplate);
+        this.letterPanel.render();
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        document.getElementById('complaint-letter-heading').focus();
+    }
+
+    isEscalationPackVisible() {
+        const section = document.getElementById('escalation-pack-section');
+        return !!section && !section.classList.contains('d-none');
+    }
+
+    toggleEscalationPack(show) {
+        const section = document.getElementById('escalation-pack-section');
+        const toggle = document.getElementById('toggle-escalation');
+        if (!section || !toggle) return;
+
+        section.classList.toggle('d-none', !show);
+        toggle.setAttribute('aria-expanded', String(show));
+        toggle.innerHTML = `<span aria-hidden="true">📤</span> ${show ? 'Hide Escalation Pack' : 'Escalation Pack'}`;
+
+        if (!show) return;
+
+        const complaint = this.complaints.find(c => c.id === this.activeComplaintId);
+        if (!complaint) return;
+
+        if (!this.escalationLetterPanel) {
+            this.escalationLetterPanel = new LetterPanel(document.getElementById('escalation-letter'), 'escalation-letter', () => {
+                const active = this.complaints.find(c => c.id === this.activeComplaintId);
+                return {
+                    complaint: active,
+                    organization: this.organizations.find(org => org.id === active.organizationId)
+                };
+            }, 'escalation');
+        }
+
+        this.renderEscalationPack(complaint);
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        document.getElementById('escalation-pack-heading').focus();
+    }
+
+    renderEscalationPack(complaint) {
+        const organization = this.organizations.find(org => org.id === complaint.organizationId);
+        const ombudsman = escalationPack.getOmbudsman(organization);
+        const intro = document.getElementById('escalation-pack-intro');
+
+        const name = ombudsman.url
+            ? `<a href="${this.escapeHtml(ombudsman.url)}" target="_blank" rel="noopener">${this.escapeHtml(ombudsman.referTo)}<span class="visually-hidden"> (opens in a new tab)</span></a>`
+            : this.escapeHtml(ombudsman.referTo);
+        intro.innerHTML = `Send the escalation letter to ${this.escapeHtml(organization?.name || 'the organization')} first. If you are still not satisfied, you can refer your complaint to ${name} using the referral pack below.`;
+
+        this.escalationLetterPanel.render();
+
+        this.referral = escalationPack.buildReferral(complaint, organization);
+        document.getElementById('referral-preview').innerHTML = this.createReferralView(this.referral);
+    }
+
+    createReferralView(doc) {
+        return `
+            <h5 class="h6 mb-1">${this.escapeHtml(doc.title)}</h5>
+            <p class="text-muted mb-3">${this.escapeHtml(doc.subtitle)}</p>
+            ${doc.sections.map(section => `
+                <h6 class="mt-3">${this.escapeHtml(section.heading)}</h6>
+                ${(section.paragraphs || []).map(paragraph => `<p>${this.escapeHtml(paragraph)}</p>`).join('')}
+                ${section.rows && section.rows.length > 0 ? `
+                    <dl class="row mb-0">
+                        ${section.rows.map(([label, value]) => `
+                            <dt class="col-sm-4">${this.escapeHtml(label)}</dt>
+                            <dd class="col-sm-8">${this.escapeHtml(value)}</dd>
+                        `).join('')}
+                    </dl>
+                ` : ''}
+                ${section.items && section.items.length > 0 ? `
+                    <ul>
+                        ${section.items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            `).join('')}
+        `;
+    }
+
+    async copyReferral() {
+        if (!this.referral) return;
+
+        try {
+            await navigator.clipboard.writeText(escalationPack.toText(this.referral));
+            this.announce('Referral pack copied to the clipboard');
+        } catch (error) {
+            console.warn('Could not copy referral pack:', error);
+            this.announce('Could not copy the referral pack. Select the text and copy it instead.', 'assertive');
+        }
+    }
+
+    downloadReferral() {
+        if (!this.referral) return;
+
+        const blob = new Blob([escalationPack.toText(this.referral)], { type: 'text/plain' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `ombudsman-referral-${new Date().toISOString().split('T')[0]}.txt`;
+        link.click();
+
+        this.announce('Referral pack downloaded as a text file');
+    }
+
+    announce(message, priority = 'polite') {
         if (window.accessibilityManager) {
-            window.accessibilityManager.announce(`Opened details for complaint: ${complaint.title}`, 'polite');
+            window.accessibilityManager.announce(message, priority);
         }
     }
 
+    createTransitionButtons(complaint, sizeClass = '', transitions = complaintLifecycle.getAvailableTransitions(complaint)) {
+        return transitions.map(transition => `
+            <button type="button" class="btn ${sizeClass} ${transition.buttonClass} transition-btn" data-complaint-id="${complaint.id}" data-status="${transition.to}" aria-label="${transition.label}: ${this.escapeHtml(complaint.title)}">
+                <span aria-hidden="true">${transition.icon}</span> ${transition.label}
+            </button>
+        `).join('');
+    }
+
     createDetailedView(complaint, organization, isOverdue) {
+        const timeline = correspondenceLog.getTimeline(complaint);
+
         return `
             <div class="row g-4">
                 <div class="col-md-8">
@@ -485,6 +1233,14 @@ class ComplaintTracker {
                         
                         <dt class="col-sm-3">Organization:</dt>
                         <dd class="col-sm-9">${organization?.name || 'Unknown Organization'}</dd>
+
+                        <dt class="col-sm-3">Category:</dt>
+                        <dd class="col-sm-9">${this.escapeHtml(complaintTaxonomy.getCategoryLabel(complaint.category))}</dd>
+
+                        ${(complaint.tags || []).length > 0 ? `
+                        <dt class="col-sm-3">Tags:</dt>
+                        <dd class="col-sm-9">${this.escapeHtml(complaint.tags.join(', '))}</dd>
+                        ` : ''}
                         
                         <dt class="col-sm-3">Status:</dt>
                         <dd class="col-sm-9">
@@ -496,6 +1252,11 @@ class ComplaintTracker {
                         
                         <dt class="col-sm-3">Created:</dt>
                         <dd class="col-sm-9">${this.formatDateTime(complaint.createdDate)}</dd>
+
+                        ${complaint.sentDate ? `
+                        <dt class="col-sm-3">Date Sent:</dt>
+                        <dd class="col-sm-9">${this.formatDate(complaint.sentDate)}</dd>
+                        ` : ''}
                         
                         ${complaint.deadline ? `
                         <dt class="col-sm-3">Deadline:</dt>
@@ -511,6 +1272,11 @@ class ComplaintTracker {
                         <dt class="col-sm-3">Reference:</dt>
                         <dd class="col-sm-9">${this.escapeHtml(complaint.referenceNumber)}</dd>
                         ` : ''}
+
+                        ${questionSets.toRows(complaint.answers).map(([label, value]) => `
+                        <dt class="col-sm-3">${this.escapeHtml(label)}:</dt>
+                        <dd class="col-sm-9">${this.escapeHtml(value)}</dd>
+                        `).join('')}
                     </dl>
 
                     <h5 class="h6 mt-4 mb-2">Description</h5>
@@ -519,6 +1285,15 @@ class ComplaintTracker {
                     <h5 class="h6 mt-4 mb-2">Desired Outcome</h5>
                     <p class="border-start border-3 ps-3">${this.escapeHtml(complaint.desiredOutcome)}</p>
 
+                    ${complaintOutcomes.toRows(complaint.outcome).length > 0 ? `
+                    <dl class="row">
+                        ${complaintOutcomes.toRows(complaint.outcome).map(([label, value]) => `
+                        <dt class="col-sm-3">${this.escapeHtml(label)}:</dt>
+                        <dd class="col-sm-9">${this.escapeHtml(value)}</dd>
+                        `).join('')}
+                    </dl>
+                    ` : ''}
+
                     ${complaint.previousContact ? `
                     <h5 class="h6 mt-4 mb-2">Previous Contact</h5>
                     <p class="border-start border-3 ps-3">${this.escapeHtml(complaint.previousContact)}</p>
@@ -558,22 +1333,17 @@ class ComplaintTracker {
                         <dd><a href="mailto:${organization.contactEmail}">${this.escapeHtml(organization.contactEmail)}</a></dd>
                         
                         <dt>Response Time:</dt>
-                        <dd>${organization.responseTimedays} days</dd>
+                        <dd>${deadlineCalculator.describePeriod(organization.responseTimedays, organization)}</dd>
                         
                         <dt>Escalation Time:</dt>
-                        <dd>${organization.escalationTimedays} days</dd>
+                        <dd>${deadlineCalculator.describePeriod(organization.escalationTimedays, organization)}</dd>
                     </dl>
                     ` : ''}
 
-                    ${complaint.updates && complaint.updates.length > 0 ? `
-                    <h5 class="h6 mt-4 mb-2">Update History</h5>
+                    ${timeline.length > 0 ? `
+                    <h5 class="h6 mt-4 mb-2">Timeline</h5>
                     <div class="timeline">
-                        ${complaint.updates.map(update => `
-                            <div class="timeline-item">
-                                <small class="text-muted">${this.formatDateTime(update.date)}</small>
-                                <div>${this.escapeHtml(update.details.status || update.type)}</div>
-                            </div>
-                        `).join('')}
+                        ${timeline.map(event => this.createTimelineItem(event)).join('')}
                     </div>
                     ` : ''}
                 </div>
@@ -581,79 +1351,438 @@ class ComplaintTracker {
         `;
     }
 
-    escalateComplaintDirect(complaintId) {
-        const complaint = this.complaints.find(c => c.id === complaintId);
-        if (!complaint) return;
+    createTimelineItem(event) {
+        if (event.type === 'correspondence') {
+            const entry = event.item;
+            return `
+                <div class="timeline-item timeline-correspondence">
+                    <small class="text-muted">${this.formatDate(entry.date)}</small>
+                    <div><strong>${this.escapeHtml(correspondenceLog.describe(entry))}</strong></div>
+                    <div>${this.escapeHtml(entry.summary)}</div>
+                </div>
+            `;
+        }
 
-        if (confirm('Are you sure you want to escalate this complaint? This will mark it as needing escalation and update its priority.')) {
-            this.updateComplaintStatus(complaintId, 'escalation');
-            
-            if (window.accessibilityManager) {
-                window.accessibilityManager.announce('Complaint escalated successfully', 'assertive');
+        return `
+            <div class="timeline-item">
+                <small class="text-muted">${this.formatDateTime(event.date)}</small>
+                <div>${this.escapeHtml(this.describeUpdate(event.item))}</div>
+            </div>
+        `;
+    }
+
+    renderAttachments(complaint) {
+        const container = document.getElementById('complaint-attachments');
+        if (!container) return;
+
+        // Previews from the last render are no longer shown
+        (this.attachmentUrls || []).forEach(url => URL.revokeObjectURL(url));
+        this.attachmentUrls = [];
+
+        const attachments = complaint.attachments || [];
+        if (attachments.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">No files attached yet.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <ul class="list-unstyled mb-0">
+                ${attachments.map(attachment => `
+                    <li class="d-flex flex-wrap align-items-start gap-3 border rounded p-2 mb-2">
+                        ${attachmentStore.isImage(attachment.type) ? `<img class="attachment-preview" data-attachment-id="${attachment.id}" alt="" hidden>` : ''}
+                        <div class="flex-grow-1">
+                            <strong>${this.escapeHtml(attachment.name)}</strong>
+                            <span class="text-muted">(${attachmentStore.getTypeLabel(attachment.type)}, ${attachmentStore.formatSize(attachment.size)})</span>
+                            ${attachment.description ? `<div>${this.escapeHtml(attachment.description)}</div>` : ''}
+                            <div class="attachment-missing text-danger small" id="attachment-missing-${attachment.id}" hidden>
+                                ${ATTACHMENT_MISSING_MESSAGE} It may have come from another device, or the files were cleared. You can remove it and attach the file again.
+                            </div>
+                        </div>
+                        <div class="d-flex gap-2">
+                            <button type="button" class="btn btn-outline-primary btn-sm open-attachment" data-attachment-id="${attachment.id}" aria-label="Download ${this.escapeHtml(attachment.name)}">Download</button>
+                            <button type="button" class="btn btn-outline-danger btn-sm remove-attachment" data-attachment-id="${attachment.id}" aria-label="Remove ${this.escapeHtml(attachment.name)}">Remove</button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        this.markMissingAttachments(attachments);
+        this.loadAttachmentPreviews(attachments);
+    }
+
+    // Exports carry attachment details but not the files, so say which files this browser does not have
+    async markMissingAttachments(attachments) {
+        let missing;
+        try {
+            missing = await attachmentStore.findMissing(attachments);
+        } catch (error) {
+            console.warn('Could not check attachment files:', error);
+            return;
+        }
+
+        missing.forEach(attachmentId => {
+            const note = document.getElementById(`attachment-missing-${attachmentId}`);
+            const download = document.querySelector(`.open-attachment[data-attachment-id="${attachmentId}"]`);
+            if (note) note.hidden = false;
+            if (download) download.disabled = true;
+        });
+    }
+
+    // Image previews load after the list so a slow read does not hold up the details
+    async loadAttachmentPreviews(attachments) {
+        for (const attachment of attachments.filter(a => attachmentStore.isImage(a.type))) {
+            try {
+                const blob = await attachmentStore.getBlob(attachment.id);
+                const image = document.querySelector(`.attachment-preview[data-attachment-id="${attachment.id}"]`);
+                if (!blob || !image) continue;
+
+                const url = URL.createObjectURL(blob);
+                this.attachmentUrls.push(url);
+                image.src = url;
+                image.alt = attachment.description;
+                image.hidden = false;
+            } catch (error) {
+                console.warn('Could not load attachment preview:', error);
             }
         }
     }
 
-    markComplaintResolvedDirect(complaintId) {
-        const complaint = this.complaints.find(c => c.id === complaintId);
+    resetAttachmentForm() {
+        const form = document.getElementById('attachment-form');
+        if (!form) return;
+
+        form.reset();
+        form.querySelectorAll('.is-invalid').forEach(field => this.clearFieldError(field));
+    }
+
+    async addAttachment(form) {
+        const complaint = this.complaints.find(c => c.id === this.activeComplaintId);
+        const fileInput = document.getElementById('attachment-file');
+        const descriptionInput = document.getElementById('attachment-description');
+        const file = fileInput.files[0];
+
+        form.querySelectorAll('.is-invalid').forEach(field => this.clearFieldError(field));
+
         if (!complaint) return;
 
-        if (confirm('Are you sure you want to mark this complaint as resolved? This action cannot be undone.')) {
-            this.updateComplaintStatus(complaintId, 'resolved');
-            
-            if (window.accessibilityManager) {
-                window.accessibilityManager.announce('Complaint marked as resolved', 'assertive');
-            }
+        if (!file) {
+            this.showFieldError(fileInput, 'Please choose a file to attach');
+            fileInput.focus();
+            return;
+        }
+
+        const fileError = attachmentStore.validateFile(file, (complaint.attachments || []).length);
+        if (fileError) {
+            this.showFieldError(fileInput, fileError);
+            fileInput.focus();
+            return;
         }
+
+        const attachment = attachmentStore.createAttachment(file, descriptionInput.value);
+        const descriptionError = attachmentStore.validateDescription(attachment);
+        if (descriptionError) {
+            this.showFieldError(descriptionInput, descriptionError);
+            descriptionInput.focus();
+            return;
+        }
+
+        if (!window.complaintManager) return;
+
+        try {
+            const saved = await window.complaintManager.addAttachments(complaint.id, [attachment]);
+            if (!saved) return;
+        } catch (error) {
+            console.error('Error saving attachment:', error);
+            this.announce('The file could not be saved. Please try again.', 'assertive');
+            return;
+        }
+
+        this.refreshActiveComplaint();
+        this.resetAttachmentForm();
+        this.announce(`${attachment.name} attached`);
     }
 
-    escalateComplaint() {
-        const btn = document.getElementById('escalate-complaint');
-        if (!btn) return;
+    async openAttachment(attachmentId) {
+        const complaint = this.complaints.find(c => c.id === this.activeComplaintId);
+        const attachment = (complaint?.attachments || []).find(a => a.id === attachmentId);
+        if (!attachment) return;
 
-        const complaintId = btn.dataset.complaintId;
-        this.escalateComplaintDirect(complaintId);
-        
-        // Close modal
-        const modal = bootstrap.Modal.getInstance(document.getElementById('complaintModal'));
-        if (modal) modal.hide();
+        const blob = await attachmentStore.getBlob(attachmentId).catch(() => null);
+        if (!blob) {
+            this.announce(`${attachment.name} is not stored in this browser. It may have been imported from another device.`, 'assertive');
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = attachment.name;
+        link.click();
     }
 
-    markComplaintResolved() {
-        const btn = document.getElementById('mark-resolved');
-        if (!btn) return;
+    async removeAttachment(attachmentId) {
+        const complaint = this.complaints.find(c => c.id === this.activeComplaintId);
+        const attachment = (complaint?.attachments || []).find(a => a.id === attachmentId);
+        if (!attachment || !window.complaintManager) return;
 
-        const complaintId = btn.dataset.complaintId;
-        this.markComplaintResolvedDirect(complaintId);
-        
-        // Close modal
-        const modal = bootstrap.Modal.getInstance(document.getElementById('complaintModal'));
-        if (modal) modal.hide();
+        const confirmed = await accessibleDialog.confirm({
+            title: `Remove ${attachment.name}?`,
+            message: 'The file will be deleted from this complaint and will no longer be listed as an enclosure.',
+            confirmLabel: 'Remove',
+            danger: true
+        });
+        if (!confirmed) return;
+
+        if (!await window.complaintManager.removeAttachment(complaint.id, attachmentId)) return;
+
+        this.refreshActiveComplaint();
+        document.getElementById('attachment-file')?.focus();
+        this.announce(`${attachment.name} removed`);
+    }
+
+    refreshActiveComplaint() {
+        this.loadData();
+        this.applyFilters({ announce: false, keepPage: true });
+
+        const complaint = this.complaints.find(c => c.id === this.activeComplaintId);
+        if (complaint) {
+            this.renderComplaintDetails(complaint);
+        }
+    }
+
+    resetOutcomeForm(complaint) {
+        const form = document.getElementById('outcome-form');
+        if (!form) return;
+
+        const outcome = complaint.outcome || complaintOutcomes.createEmpty();
+        form.querySelectorAll('.is-invalid').forEach(field => this.clearFieldError(field));
+        form.elements.type.value = outcome.type;
+        form.elements.currency.value = outcome.currency;
+        Object.keys(OUTCOME_AMOUNTS).forEach(field => {
+            form.elements[field].value = complaintOutcomes.toInputValue(outcome[field]);
+        });
+    }
+
+    async saveOutcome(form) {
+        const complaintId = this.activeComplaintId;
+        const data = Object.fromEntries(new FormData(form).entries());
+        const errors = complaintOutcomes.validate(data);
+
+        form.querySelectorAll('.is-invalid').forEach(field => this.clearFieldError(field));
+        if (Object.keys(errors).length > 0) {
+            Object.entries(errors).forEach(([name, message]) => {
+                this.showFieldError(form.elements[name], message);
+            });
+            form.querySelector('.is-invalid').focus();
+            this.announce(`Error: ${Object.values(errors)[0]}`, 'assertive');
+            return;
+        }
+
+        if (!window.complaintManager) return;
+
+        const outcome = await window.complaintManager.updateOutcome(complaintId, data);
+        if (!outcome) return;
+
+        this.loadData();
+        this.applyFilters({ announce: false, keepPage: true });
+
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (complaint) {
+            this.renderComplaintDetails(complaint);
+            this.resetOutcomeForm(complaint);
+        }
+
+        this.announce('Outcome saved.');
+    }
+
+    resetCorrespondenceForm() {
+        const form = document.getElementById('correspondence-form');
+        const suggestions = document.getElementById('correspondence-suggestions');
+        if (!form) return;
+
+        form.reset();
+        form.querySelectorAll('.is-invalid').forEach(field => this.clearFieldError(field));
+        document.getElementById('correspondence-date').value = deadlineCalculator.toDateKey(new Date());
+        if (suggestions) suggestions.innerHTML = '';
+    }
+
+    async logCorrespondence(form) {
+        const complaintId = this.activeComplaintId;
+        const data = Object.fromEntries(new FormData(form).entries());
+        const errors = correspondenceLog.validate(data);
+
+        form.querySelectorAll('.is-invalid').forEach(field => this.clearFieldError(field));
+        if (Object.keys(errors).length > 0) {
+            Object.entries(errors).forEach(([name, message]) => {
+                this.showFieldError(form.elements[name], message);
+            });
+            form.querySelector('.is-invalid').focus();
+            return;
+        }
+
+        if (!window.complaintManager) return;
+
+        const entry = await window.complaintManager.addCorrespondence(complaintId, data);
+        if (!entry) return;
+
+        this.loadData();
+        this.applyFilters({ announce: false, keepPage: true });
+
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (complaint) {
+            this.renderComplaintDetails(complaint);
+        }
+
+        this.resetCorrespondenceForm();
+        this.showCorrespondenceSuggestions(complaint, entry);
+    }
+
+    // After a reply that moves the complaint on, offer the matching status changes
+    showCorrespondenceSuggestions(complaint, entry) {
+        const container = document.getElementById('correspondence-suggestions');
+        const suggestions = complaint ? correspondenceLog.getSuggestedTransitions(complaint, entry) : [];
+        let message = 'Correspondence added to the timeline.';
+
+        if (container) {
+            container.innerHTML = suggestions.length > 0 ? `
+                <div class="alert alert-info mb-0">
+                    <p class="mb-2">Correspondence added. ${this.escapeHtml(CORRESPONDENCE_KINDS[entry.kind])} logged &mdash; what would you like to do next?</p>
+                    <div class="d-flex flex-wrap gap-2">
+                        ${this.createTransitionButtons(complaint, 'btn-sm', suggestions)}
+                    </div>
+                </div>
+            ` : `<p class="text-success mb-0">${message}</p>`;
+        }
+
+        if (suggestions.length > 0) {
+            message += ` You can now ${suggestions.map(t => t.label.toLowerCase()).join(' or ')}.`;
+        }
+
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announce(message, 'polite');
+        }
+    }
+
+    showFieldError(field, message) {
+        field.classList.add('is-invalid');
+        field.setAttribute('aria-invalid', 'true');
+
+        let errorElement = field.parentNode.querySelector('.invalid-feedback');
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'invalid-feedback';
+            errorElement.id = `${field.id}-error`;
+            field.parentNode.appendChild(errorElement);
+        }
+
+        errorElement.textContent = message;
+        field.setAttribute('aria-describedby', [field.getAttribute('aria-describedby'), errorElement.id].filter(Boolean).join(' '));
+    }
+
+    clearFieldError(field) {
+        if (!field || !field.classList) return;
+
+        field.classList.remove('is-invalid');
+        field.removeAttribute('aria-invalid');
+
+        const errorElement = field.parentNode.querySelector('.invalid-feedback');
+        if (errorElement) {
+            const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorElement.id);
+            if (describedBy.length > 0) {
+                field.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                field.removeAttribute('aria-describedby');
+            }
+            errorElement.remove();
+        }
     }
 
-    updateComplaintStatus(complaintId, newStatus) {
+    async requestTransition(complaintId, toStatus) {
+        const complaint = this.complaints.find(c => c.id === complaintId);
+        if (!complaint) return false;
+
+        const transition = complaintLifecycle.findTransition(complaint, toStatus);
+        const options = {};
+        if (toStatus === 'resolved') {
+            // Resolving records how far the complaint got what it asked for
+            const outcomeMet = await accessibleDialog.choose({
+                title: 'Mark this complaint resolved?',
+                message: complaint.desiredOutcome ? `You asked them to: ${complaint.desiredOutcome}` : '',
+                label: 'Did you get what you asked for?',
+                choices: Object.entries(OUTCOME_MET).map(([value, label]) => ({ value, label })),
+                value: complaintOutcomes.suggestMet(complaint.outcome),
+                confirmLabel: transition ? transition.label : 'Mark Resolved'
+            });
+            if (outcomeMet === null) return false;
+            options.outcomeMet = outcomeMet;
+        } else if (transition && transition.confirmMessage) {
+            const confirmed = await accessibleDialog.confirm({
+                title: `Change status to ${this.formatStatus(toStatus)}?`,
+                message: transition.confirmMessage,
+                confirmLabel: transition.label || 'Change Status'
+            });
+            if (!confirmed) return false;
+        }
+
+        try {
+            const updated = await this.updateComplaintStatus(complaintId, toStatus, options);
+            if (updated && window.accessibilityManager) {
+                window.accessibilityManager.announce(`Complaint status changed to ${this.formatStatus(toStatus)}`, 'assertive');
+            }
+            return updated;
+        } catch (error) {
+            // Lifecycle errors explain themselves; anything else, such as a storage failure, gets a general message
+            if (!(error instanceof LifecycleError)) {
+                console.error('Error updating status:', error);
+            }
+
+            if (window.accessibilityManager) {
+                const message = error instanceof LifecycleError ? error.message : 'Error updating status. Please try again.';
+                window.accessibilityManager.announce(message, 'assertive');
+            }
+            return false;
+        }
+    }
+
+    async updateComplaintStatus(complaintId, newStatus, options = {}) {
+        let updated = true;
+
         if (window.complaintManager) {
-            window.complaintManager.updateComplaint(complaintId, { status: newStatus });
+            updated = await window.complaintManager.transitionComplaint(complaintId, newStatus, options);
         } else {
             // Direct update fallback
             const complaint = this.complaints.find(c => c.id === complaintId);
             if (complaint) {
-                complaint.status = newStatus;
-                complaint.updates.push({
-                    date: new Date().toISOString(),
-                    type: 'status_change',
-                    details: { status: newStatus }
-                });
+                const organization = this.organizations.find(org => org.id === complaint.organizationId);
+                complaint.updates.push(complaintLifecycle.apply(complaint, newStatus, { ...options, organization }));
                 localStorage.setItem('complaints', JSON.stringify(this.complaints));
             }
         }
 
         // Refresh display
         this.loadData();
-        this.applyFilters();
+        this.applyFilters({ keepPage: true });
+
+        return updated;
     }
 
     // Utility methods
+    describeUpdate(update) {
+        const details = update.details || {};
+        if (details.status) {
+            const prefix = details.automatic ? 'Automatically changed' : 'Status changed';
+            const reason = details.reason ? ` (${details.reason})` : '';
+            return `${prefix} to ${this.formatStatus(details.status)}${reason}`;
+        }
+        if (update.type === 'further_details') {
+            return `Further details added: ${duplicateDetector.describeFurtherDetails(update)}`;
+        }
+        if (update.type === 'outcome_updated') {
+            return complaintOutcomes.describeUpdate(update);
+        }
+        return update.type ? update.type.replace(/_/g, ' ') : 'Update';
+    }
+
     getOrganizationName(organizationId) {
         const org = this.organizations.find(o => o.id === organizationId);
         return org ? org.name : 'Unknown Organization';
@@ -729,7 +1858,7 @@ class ComplaintTracker {
     }
 
     formatDate(dateString) {
-        return new Date(dateString).toLocaleDateString('en-GB', {
+        return deadlineCalculator.parseDate(dateString).toLocaleDateString('en-GB', {
             day: '2-digit',
             month: '2-digit',
             year: 'numeric'
@@ -746,11 +1875,6 @@ class ComplaintTracker {
         });
     }
 
-    truncateText(text, maxLength) {
-        if (text.length <= maxLength) return text;
-        return text.substring(0, maxLength).trim() + '...';
-    }
-
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
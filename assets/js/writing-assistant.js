@@ -0,0 +1,210 @@
+/**
+ * AccessAssist - Writing Assistant
+ * Checks a complaint description as it is written, entirely in the browser:
+ * how easy it is to read compared with the user's language level, sentences
+ * that run on, wording that could get a complaint set aside, and facts an
+ * organization will need that are not there yet.
+ */
+
+/**
+ * Reading targets for each language level. Reading ease is the Flesch score
+ * (higher is easier); the CEFR levels are a rough guide to what that score
+ * asks of a reader, not a formal assessment.
+ */
+const WRITING_TARGETS = {
+    simple: { cefr: 'B1', minReadingEase: 70, maxSentenceWords: 15 },
+    standard: { cefr: 'B2', minReadingEase: 60, maxSentenceWords: 20 },
+    advanced: { cefr: 'C1', minReadingEase: 50, maxSentenceWords: 25 }
+};
+
+// Lowest reading ease for each CEFR level, easiest first
+const CEFR_READING_EASE = [
+    { cefr: 'A2', min: 80 },
+    { cefr: 'B1', min: 70 },
+    { cefr: 'B2', min: 60 },
+    { cefr: 'C1', min: 50 },
+    { cefr: 'C2', min: -Infinity }
+];
+
+const TONE_PATTERNS = [
+    {
+        kind: 'threat',
+        label: 'Sounds like a threat',
+        pattern: /\b(?:i(?:'ll| will| am going to) (?:kill|hurt|smash|destroy|come (?:round|down) there)|(?:you(?:'ll| will)|make you) (?:pay|regret)|watch your back)\b/gi,
+        suggestion: 'Threats can end a complaint straight away. Say what you will do next instead, such as going to the ombudsman.'
+    },
+    {
+        kind: 'swearing',
+        label: 'Swearing',
+        pattern: /\b(?:f+u+c+k\w*|sh[i1]t\w*|crap|bloody|bastards?|wankers?|bollocks|piss(?:ed)?)\b/gi,
+        suggestion: 'Swearing can get a complaint set aside. Say how the problem affected you instead.'
+    },
+    {
+        kind: 'insult',
+        label: 'Insult',
+        pattern: /\b(?:idiots?|stupid|morons?|clowns|incompetent|imbeciles?|cowboys)\b/gi,
+        suggestion: 'Describe what went wrong rather than the people involved.'
+    },
+    {
+        kind: 'hostile',
+        label: 'Strong wording',
+        pattern: /\b(?:useless|pathetic|disgrace(?:ful)?|a joke|scam(?:mers)?|liars?|crooks?|thieves|criminals)\b/gi,
+        suggestion: 'Strong words can make a complaint easier to dismiss. State the facts, for example "the repair did not fix the fault".'
+    }
+];
+
+// Facts an organization needs to investigate. Each check gets the text and the rest of the form.
+const MISSING_FACT_CHECKS = [
+    {
+        id: 'when',
+        label: 'When it happened',
+        prompt: 'Add when it happened, such as a date, a day or roughly how long ago.',
+        isPresent: (text, context) => !!context.incidentDate ||
+            /\b(?:\d{1,2}(?:st|nd|rd|th)?\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{1,2}|\d{1,2}[\/.-]\d{1,2}(?:[\/.-]\d{2,4})?|(?:mon|tues|wednes|thurs|fri|satur|sun)day|yesterday|today|tonight|last (?:week|month|year|night)|this (?:morning|afternoon|week|month)|\d+ (?:days?|weeks?|months?|years?) ago|(?:19|20)\d{2}|\d{1,2}(?::\d{2})?\s*(?:am|pm))\b/i.test(text)
+    },
+    {
+        id: 'where',
+        label: 'Where it happened',
+        prompt: 'Add where it happened, such as the shop or branch, the website or app, or on the phone.',
+        isPresent: text => /\b(?:store|shop|branch|office|surgery|hospital|ward|clinic|practice|station|centre|center|website|web site|app|online|phone|telephone|email|e-mail|letter|post|delivery|delivered|home|counter|desk|call|chat)\b/i.test(text)
+    },
+    {
+        id: 'what',
+        label: 'What happened',
+        prompt: 'Say what happened in a few sentences: what you expected, and what went wrong.',
+        isPresent: (text, context, stats) => stats.wordCount >= 20
+    },
+    {
+        id: 'outcome',
+        label: 'What you want',
+        prompt: 'Say what you want them to do, such as a refund, a repair, a replacement or an apology.',
+        isPresent: (text, context) => !!(context.desiredOutcome || '').trim() ||
+            /\b(?:i (?:would like|want|expect|am asking for|ask for)|please (?:refund|replace|repair|fix|apologi[sz]e|cancel)|refund|replacement|compensation|apology)\b/i.test(text)
+    }
+];
+
+class WritingAssistant {
+    getTarget(languageLevel) {
+        return WRITING_TARGETS[languageLevel] || WRITING_TARGETS.standard;
+    }
+
+    splitSentences(text) {
+        // Lines without a full stop (such as a list) still count as sentences
+        return text
+            .split(/\n+/)
+            .flatMap(line => line.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/))
+            .map(sentence => sentence.trim())
+            .filter(sentence => /[A-Za-z0-9]/.test(sentence));
+    }
+
+    getWords(text) {
+        return text.match(/[A-Za-z0-9]+(?:['’-][A-Za-z0-9]+)*/g) || [];
+    }
+
+    // A close-enough count for English: groups of vowels, less a silent final e
+    countSyllables(word) {
+        const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (!letters) return 1;
+        if (letters.length <= 3) return 1;
+
+        const trimmed = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, match => match.charAt(0)).replace(/^y/, '');
+        const groups = trimmed.match(/[aeiouy]+/g);
+        return Math.max(1, groups ? groups.length : 1);
+    }
+
+    // Flesch reading ease, from 0 (very hard) to 100 (very easy)
+    readingEase(wordCount, sentenceCount, syllableCount) {
+        if (wordCount === 0 || sentenceCount === 0) return null;
+        const score = 206.835 - 1.015 * (wordCount / sentenceCount) - 84.6 * (syllableCount / wordCount);
+        return Math.round(Math.min(100, Math.max(0, score)));
+    }
+
+    toCefr(readingEase) {
+        return CEFR_READING_EASE.find(level => readingEase >= level.min).cefr;
+    }
+
+    findToneIssues(text) {
+        const issues = [];
+        const seen = new Set();
+
+        TONE_PATTERNS.forEach(({ kind, label, pattern, suggestion }) => {
+            (text.match(pattern) || []).forEach(phrase => {
+                const key = phrase.toLowerCase();
+                if (seen.has(key)) return;
+                seen.add(key);
+                issues.push({ kind, label, phrase, suggestion });
+            });
+        });
+
+        // Several words in capitals read as shouting; short acronyms such as NHS are fine
+        const shouting = (text.match(/\b[A-Z]{4,}\b/g) || []);
+        if (shouting.length >= 2) {
+            issues.push({
+                kind: 'shouting',
+                label: 'Capital letters',
+                phrase: shouting.slice(0, 3).join(', '),
+                suggestion: 'Words in capitals can read as shouting. Use normal capitals and let the facts make the point.'
+            });
+        }
+
+        if (/[!?]{2,}/.test(text)) {
+            issues.push({
+                kind: 'punctuation',
+                label: 'Repeated punctuation',
+                phrase: text.match(/[!?]{2,}/)[0],
+                suggestion: 'Use a single full stop or question mark.'
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Check a description.
+     * @param {string} text
+     * @param {{languageLevel?: string, incidentDate?: string, desiredOutcome?: string}} context
+     */
+    analyze(text, context = {}) {
+        const target = this.getTarget(context.languageLevel);
+        const sentences = this.splitSentences(text || '');
+        const words = this.getWords(text || '');
+        const syllables = words.reduce((total, word) => total + this.countSyllables(word), 0);
+        const readingEase = this.readingEase(words.length, sentences.length, syllables);
+        const stats = { wordCount: words.length, sentenceCount: sentences.length };
+
+        return {
+            ...stats,
+            readingEase,
+            cefr: readingEase === null ? null : this.toCefr(readingEase),
+            target,
+            meetsTarget: readingEase === null || readingEase >= target.minReadingEase,
+            longSentences: sentences
+                .map(sentence => ({ text: sentence, words: this.getWords(sentence).length }))
+                .filter(sentence => sentence.words > target.maxSentenceWords),
+            toneIssues: this.findToneIssues(text || ''),
+            missingFacts: MISSING_FACT_CHECKS
+                .filter(check => !check.isPresent(text || '', context, stats))
+                .map(({ id, label, prompt }) => ({ id, label, prompt }))
+        };
+    }
+
+    // One line for the top of the panel and for screen readers
+    summarize(result) {
+        if (result.wordCount === 0) {
+            return 'Start writing and your description will be checked as you go.';
+        }
+
+        const parts = [
+            `Reading level about ${result.cefr}, ${result.meetsTarget ? 'within' : 'harder than'} your ${result.target.cefr} setting`
+        ];
+        const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+        if (result.longSentences.length > 0) parts.push(count(result.longSentences.length, 'long sentence', 'long sentences'));
+        if (result.toneIssues.length > 0) parts.push(count(result.toneIssues.length, 'wording issue', 'wording issues'));
+        if (result.missingFacts.length > 0) parts.push(count(result.missingFacts.length, 'detail to add', 'details to add'));
+
+        return `${parts.join('. ')}.`;
+    }
+}
+
+const writingAssistant = new WritingAssistant();
@@ -80,7 +80,7 @@ test.describe('AccessAssist Accessibility Tests', () => {
     await page.getByRole('button', { name: 'Next: Your Details' }).click();
     
     // Check that error is announced
-    const orgSelect = page.getByLabel('Organization *');
+    const orgSelect = page.getByRole('combobox', { name: 'Organization' });
     await expect(orgSelect).toHaveAttribute('aria-invalid', 'true');
     
     // Check for error message
@@ -92,7 +92,8 @@ test.describe('AccessAssist Accessibility Tests', () => {
     await page.goto('http://localhost:8000/create-complaint.html');
     
     // Select an organization
-    await page.getByLabel('Organization *').selectOption('techmart');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
     
     // Proceed to next step
     await page.getByRole('button', { name: 'Next: Your Details' }).click();
@@ -150,7 +151,8 @@ test.describe('AccessAssist Accessibility Tests', () => {
     await expect(announcements).toHaveAttribute('aria-atomic', 'true');
     
     // Select organization and check for status update
-    await page.getByLabel('Organization *').selectOption('techmart');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
     
     // Wait for potential announcement (content may be dynamically added)
     await page.waitForTimeout(500);
@@ -192,6 +194,28 @@ test.describe('AccessAssist Accessibility Tests', () => {
     expect(animationDuration).toBe('0.01ms');
   });
 
+  test('Organization combobox filters as you type and works from the keyboard', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+
+    const combobox = page.getByRole('combobox', { name: 'Organization' });
+    await combobox.focus();
+    await page.keyboard.press('ArrowDown');
+    await expect(combobox).toHaveAttribute('aria-expanded', 'true');
+
+    // Organizations are grouped by type
+    const listbox = page.getByRole('listbox', { name: 'Organization' });
+    await expect(listbox.getByRole('group', { name: 'Retailer' })).toContainText('TechMart Electronics');
+    await expect(combobox).toHaveAttribute('aria-activedescendant', /organization-listbox-option-/);
+
+    await combobox.fill('stream');
+    await expect(listbox.getByRole('option')).toHaveText(['StreamFlex Entertainment', 'Add "stream" as a new organization']);
+    await page.keyboard.press('Enter');
+
+    await expect(combobox).toHaveValue('StreamFlex Entertainment');
+    await expect(combobox).toHaveAttribute('aria-expanded', 'false');
+    await expect(page.locator('#organization-details')).toContainText('Subscription Service');
+  });
+
   test('Organization details display when selected', async ({ page }) => {
     await page.goto('http://localhost:8000/create-complaint.html');
     
@@ -200,7 +224,8 @@ test.describe('AccessAssist Accessibility Tests', () => {
     await expect(orgDetails).toHaveClass(/d-none/);
     
     // Select organization
-    await page.getByLabel('Organization *').selectOption('techmart');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
     
     // Details should now be visible
     await expect(orgDetails).not.toHaveClass(/d-none/);
@@ -212,7 +237,8 @@ test.describe('AccessAssist Accessibility Tests', () => {
     await page.goto('http://localhost:8000/create-complaint.html');
     
     // Fill some form data
-    await page.getByLabel('Organization *').selectOption('techmart');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
     await page.getByRole('button', { name: 'Next: Your Details' }).click();
     
     await page.getByLabel('Full Name *').fill('Test User');
@@ -223,13 +249,36 @@ test.describe('AccessAssist Accessibility Tests', () => {
     
     // Check that data is saved to localStorage
     const savedData = await page.evaluate(() => {
-      return localStorage.getItem('complaint-form-draft');
+      return localStorage.getItem('complaint-drafts');
     });
     
     expect(savedData).toBeTruthy();
-    const parsedData = JSON.parse(savedData);
-    expect(parsedData['full-name']).toBe('Test User');
-    expect(parsedData.email).toBe('test@example.com');
+    const drafts = JSON.parse(savedData);
+    expect(drafts).toHaveLength(1);
+    expect(drafts[0].formData['full-name']).toBe('Test User');
+    expect(drafts[0].formData.email).toBe('test@example.com');
+    expect(drafts[0].step).toBe(2);
+  });
+
+  test('Leaving the form asks in an accessible dialog and returns focus', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+
+    // Escape inside a field belongs to the field
+    await page.getByLabel('Draft name').press('Escape');
+    await expect(page.getByRole('alertdialog')).toHaveCount(0);
+
+    const saveButton = page.getByRole('button', { name: 'Save Draft' });
+    await saveButton.focus();
+    await page.keyboard.press('Escape');
+
+    const dialog = page.getByRole('alertdialog', { name: 'Leave this complaint?' });
+    await expect(dialog).toBeVisible();
+    await expect(dialog.getByRole('button', { name: 'Leave' })).toBeFocused();
+
+    await page.keyboard.press('Escape');
+    await expect(dialog).toBeHidden();
+    await expect(saveButton).toBeFocused();
+    await expect(page).toHaveURL(/create-complaint\.html/);
   });
 
   test('Color contrast meets WCAG standards', async ({ page }) => {
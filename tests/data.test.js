@@ -0,0 +1,1346 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+
+/**
+ * AccessAssist Data Layer Tests
+ * Storage, persistence and data integrity behaviour
+ */
+
+const legacyComplaint = {
+  id: 'complaint_legacy_1',
+  organizationId: 'techmart',
+  title: 'Faulty laptop',
+  description: 'The laptop stopped working after two days.',
+  desiredOutcome: 'A refund',
+  contactDetails: {
+    fullName: 'Test User',
+    email: 'test@example.com',
+    phone: '',
+    address: '',
+    preferredContact: 'email'
+  },
+  createdDate: '2024-01-10T10:00:00.000Z',
+  deadline: '2024-02-09T10:00:00.000Z',
+  status: 'submitted',
+  updates: []
+};
+
+test.describe('Complaint storage', () => {
+
+  test('Legacy localStorage complaints migrate to IndexedDB on first load', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([complaint]));
+    }, legacyComplaint);
+
+    await page.reload();
+    await page.evaluate(() => window.complaintManager.ready);
+
+    const result = await page.evaluate(async () => ({
+      backend: window.complaintManager.storage.name,
+      legacy: localStorage.getItem('complaints'),
+      stored: await window.complaintManager.storage.getAll()
+    }));
+
+    expect(result.backend).toBe('indexedDB');
+    expect(result.legacy).toBeNull();
+    expect(result.stored.map(c => c.id)).toContain('complaint_legacy_1');
+  });
+
+  test('Complaints can be queried by organization index', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate(() => window.complaintManager.ready);
+
+    const matches = await page.evaluate(async (complaint) => {
+      await window.complaintManager.storage.put(complaint);
+      return window.complaintManager.storage.getByIndex('organizationId', 'techmart');
+    }, legacyComplaint);
+
+    expect(matches.some(c => c.id === 'complaint_legacy_1')).toBeTruthy();
+  });
+});
+
+test.describe('Schema migrations', () => {
+
+  test('Unversioned complaints are upgraded on load', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      const { updates, ...withoutUpdates } = complaint;
+      localStorage.setItem('complaints', JSON.stringify([withoutUpdates]));
+    }, legacyComplaint);
+
+    await page.reload();
+    const upgraded = await page.evaluate(async () => {
+      await window.complaintManager.ready;
+      return window.complaintManager.complaints.find(c => c.id === 'complaint_legacy_1');
+    });
+
+    expect(upgraded.schemaVersion).toBeGreaterThan(1);
+    expect(upgraded.updates).toEqual([]);
+  });
+
+  test('Imports from a newer schema are rejected', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const error = await page.evaluate(() => {
+      try {
+        dataSchema.upgradeImport({ schemaVersion: dataSchema.version + 1, complaints: [], organizations: [] });
+        return null;
+      } catch (e) {
+        return e.name;
+      }
+    });
+
+    expect(error).toBe('SchemaVersionError');
+  });
+
+  test('A complaint from a newer schema is kept aside without hiding the others', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([
+        complaint,
+        { ...complaint, id: 'complaint_newer', title: 'From the future', schemaVersion: 999 }
+      ]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    await expect(page.locator('.notification')).toContainText('1 complaint was saved by a newer version of AccessAssist');
+    await expect(page.locator('#complaints-container')).toContainText('Faulty laptop');
+    await expect(page.locator('#complaints-container')).not.toContainText('From the future');
+
+    const stored = await page.evaluate(async () => {
+      await window.complaintManager.ready;
+      return (await window.complaintManager.storage.getAll()).find(c => c.id === 'complaint_newer');
+    });
+    expect(stored.schemaVersion).toBe(999);
+  });
+});
+
+test.describe('Cross-tab synchronisation', () => {
+
+  test('Organization changes in one tab refresh another tab', async ({ context }) => {
+    const admin = await context.newPage();
+    const tracker = await context.newPage();
+    await admin.goto('http://localhost:8000/admin.html');
+    await tracker.goto('http://localhost:8000/track-complaints.html');
+    await tracker.evaluate(() => window.complaintManager.ready);
+
+    await admin.evaluate(async () => {
+      await window.complaintManager.ready;
+      const orgs = window.complaintManager.organizations.map(org =>
+        org.id === 'techmart' ? { ...org, name: 'TechMart Renamed' } : org
+      );
+      window.complaintManager.saveOrganizations(orgs);
+    });
+
+    await expect.poll(() => tracker.evaluate(() =>
+      window.complaintTracker.organizations.find(org => org.id === 'techmart').name
+    )).toBe('TechMart Renamed');
+  });
+
+  test('Stale complaint writes are refused instead of overwriting', async ({ context }) => {
+    const first = await context.newPage();
+    const second = await context.newPage();
+    await first.goto('http://localhost:8000/');
+
+    await first.evaluate(async (complaint) => {
+      await window.complaintManager.ready;
+      window.complaintManager.complaints.push(complaint);
+      await window.complaintManager.saveComplaint(complaint);
+    }, legacyComplaint);
+
+    await second.goto('http://localhost:8000/');
+    await second.evaluate(() => window.complaintManager.ready);
+
+    const secondSaved = await second.evaluate(() =>
+      window.complaintManager.updateComplaint('complaint_legacy_1', { title: 'Second tab' })
+    );
+
+    // Give the first tab a stale copy, as if it had not heard about the second tab's save
+    const firstSaved = await first.evaluate(() => {
+      const stale = window.complaintManager.complaints.find(c => c.id === 'complaint_legacy_1');
+      stale.revision = 1;
+      return window.complaintManager.updateComplaint('complaint_legacy_1', { title: 'First tab' });
+    });
+
+    expect(secondSaved).toBe(true);
+    expect(firstSaved).toBe(false);
+  });
+});
+
+test.describe('Complaint lifecycle', () => {
+
+  test('Status changes outside the lifecycle are rejected', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const result = await page.evaluate(async (complaint) => {
+      await window.complaintManager.ready;
+      // Deadline in the future, so escalation is not yet allowed
+      const fresh = { ...complaint, deadline: new Date(Date.now() + 86400000).toISOString() };
+      window.complaintManager.complaints.push(fresh);
+      await window.complaintManager.saveComplaint(fresh);
+
+      const errors = [];
+      for (const attempt of [
+        () => window.complaintManager.updateComplaint(fresh.id, { status: 'resolved' }),
+        () => window.complaintManager.transitionComplaint(fresh.id, 'escalation')
+      ]) {
+        try {
+          await attempt();
+        } catch (e) {
+          errors.push(e.name);
+        }
+      }
+
+      const acknowledged = await window.complaintManager.transitionComplaint(fresh.id, 'acknowledged');
+      const stored = window.complaintManager.complaints.find(c => c.id === fresh.id);
+      return { errors, acknowledged, status: stored.status, lastUpdate: stored.updates[stored.updates.length - 1] };
+    }, legacyComplaint);
+
+    expect(result.errors).toEqual(['LifecycleError', 'LifecycleError']);
+    expect(result.acknowledged).toBe(true);
+    expect(result.status).toBe('acknowledged');
+    expect(result.lastUpdate.details.from).toBe('submitted');
+  });
+
+  test('Tracker only offers valid next actions', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([{ ...complaint, status: 'resolved' }]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    const card = page.locator('#complaint-complaint_legacy_1');
+
+    await expect(card.getByRole('button', { name: /^Reopen/ })).toBeVisible();
+    await expect(card.getByRole('button', { name: /^Mark Resolved/ })).toHaveCount(0);
+    await expect(card.getByRole('button', { name: /^Escalate/ })).toHaveCount(0);
+  });
+});
+
+test.describe('Deadline scheduler', () => {
+
+  test('Overdue complaints are escalated automatically on load', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([complaint]));
+    }, legacyComplaint);
+
+    await page.reload();
+    const complaint = await page.evaluate(async () => {
+      await window.complaintManager.ready;
+      return window.complaintManager.complaints.find(c => c.id === 'complaint_legacy_1');
+    });
+
+    const lastUpdate = complaint.updates[complaint.updates.length - 1];
+    expect(complaint.status).toBe('escalation');
+    expect(lastUpdate.details.automatic).toBe(true);
+    expect(lastUpdate.details.reason).toContain('60 days');
+  });
+
+  test('Complaints move to response due as the deadline approaches', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const due = await page.evaluate(() => {
+      const now = new Date();
+      const complaint = {
+        status: 'in-progress',
+        createdDate: new Date(now.getTime() - 28 * 86400000).toISOString(),
+        deadline: new Date(now.getTime() + 2 * 86400000).toISOString()
+      };
+      const organization = { responseTimedays: 30, escalationTimedays: 60 };
+      return new DeadlineScheduler(window.complaintManager).getDueTransition(complaint, organization, now);
+    });
+
+    expect(due.to).toBe('response-due');
+  });
+
+  test('A reopened complaint is not escalated again straight away', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([{
+        ...complaint,
+        status: 'resolved',
+        correspondence: [
+          { id: 'entry_1', date: '2024-03-01', direction: 'incoming', channel: 'email', kind: 'final-response', summary: 'Final response', loggedDate: '2024-03-01T10:00:00.000Z' }
+        ]
+      }]));
+    }, legacyComplaint);
+
+    await page.reload();
+    const complaint = await page.evaluate(async () => {
+      await window.complaintManager.ready;
+      await window.complaintManager.transitionComplaint('complaint_legacy_1', 'in-progress');
+      await window.complaintManager.scheduler.run();
+      return window.complaintManager.complaints.find(c => c.id === 'complaint_legacy_1');
+    });
+
+    expect(complaint.status).toBe('in-progress');
+    expect(complaint.updates.map(update => update.details.reason)).not.toContain(expect.stringContaining('No resolution'));
+  });
+});
+
+test.describe('Deadline calculation', () => {
+
+  test('Working-day deadlines skip weekends and regional bank holidays', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const deadlines = await page.evaluate(() => {
+      const key = date => deadlineCalculator.toDateKey(date);
+      return {
+        calendar: key(deadlineCalculator.addDays('2025-12-19', 5)),
+        englandAndWales: key(deadlineCalculator.addDays('2025-12-19', 5, { mode: 'working' })),
+        // 2 January is a bank holiday in Scotland only
+        scotland: key(deadlineCalculator.addDays('2025-12-31', 2, { mode: 'working', region: 'scotland' })),
+        england: key(deadlineCalculator.addDays('2025-12-31', 2, { mode: 'working' }))
+      };
+    });
+
+    expect(deadlines.calendar).toBe('2025-12-24');
+    expect(deadlines.englandAndWales).toBe('2025-12-30');
+    expect(deadlines.scotland).toBe('2026-01-06');
+    expect(deadlines.england).toBe('2026-01-05');
+  });
+
+  test('Deadlines run from the date sent rather than the date recorded', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const complaint = await page.evaluate(async () => {
+      await window.complaintManager.ready;
+      return window.complaintManager.createComplaint({
+        organizationId: 'quickfix',
+        title: 'Leaking boiler',
+        description: 'Boiler still leaks after repair.',
+        desiredOutcome: 'Repair',
+        contactDetails: { fullName: 'Test User', email: 'test@example.com' },
+        sentDate: '2025-12-19'
+      });
+    });
+
+    // QuickFix counts 14 working days; Christmas, Boxing Day and New Year are skipped
+    const deadline = await page.evaluate(value => deadlineCalculator.toDateKey(new Date(value)), complaint.deadline);
+    expect(deadline).toBe('2026-01-13');
+  });
+});
+
+test.describe('Correspondence log', () => {
+
+  test('A final response allows escalation before the deadline', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const result = await page.evaluate(async (complaint) => {
+      await window.complaintManager.ready;
+      const fresh = { ...complaint, deadline: new Date(Date.now() + 10 * 86400000).toISOString() };
+      window.complaintManager.complaints.push(fresh);
+      await window.complaintManager.saveComplaint(fresh);
+
+      const before = complaintLifecycle.canTransition(fresh, 'escalation');
+      const entry = await window.complaintManager.addCorrespondence(fresh.id, {
+        date: '2024-01-20',
+        direction: 'incoming',
+        channel: 'letter',
+        kind: 'final-response',
+        summary: 'They refused a refund.'
+      });
+      const stored = window.complaintManager.complaints.find(c => c.id === fresh.id);
+
+      return {
+        before,
+        after: complaintLifecycle.canTransition(stored, 'escalation'),
+        suggested: correspondenceLog.getSuggestedTransitions(stored, entry).map(t => t.to),
+        timeline: correspondenceLog.getTimeline(stored).map(event => event.type)
+      };
+    }, legacyComplaint);
+
+    expect(result.before).toBe(false);
+    expect(result.after).toBe(true);
+    expect(result.suggested).toEqual(['escalation', 'resolved']);
+    expect(result.timeline).toContain('correspondence');
+  });
+
+  test('Correspondence can be logged from the complaint details', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      const fresh = { ...complaint, deadline: new Date(Date.now() + 10 * 86400000).toISOString() };
+      localStorage.setItem('complaints', JSON.stringify([fresh]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    await page.locator('#complaint-complaint_legacy_1').getByRole('button', { name: 'View Details' }).click();
+
+    const dialog = page.getByRole('dialog');
+    await dialog.getByLabel('Type').selectOption('acknowledgement');
+    await dialog.getByLabel('Summary').fill('Reference ABC123 given.');
+    await dialog.getByRole('button', { name: 'Add to Timeline' }).click();
+
+    await expect(dialog.locator('.timeline')).toContainText('Reference ABC123 given.');
+    await expect(dialog.locator('#correspondence-suggestions').getByRole('button', { name: /^Mark Acknowledged/ })).toBeVisible();
+  });
+});
+
+test.describe('Letter composer', () => {
+
+  test('Letters include the complaint details and follow the language level', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const letters = await page.evaluate((complaint) => {
+      const organization = { name: 'TechMart Electronics', contactEmail: 'complaints@techmart.co.uk', responseTimedays: 30 };
+      const withReference = { ...complaint, referenceNumber: 'ORD-42', incidentDate: '2024-01-08' };
+      return {
+        simple: letterComposer.toText(letterComposer.compose(withReference, organization, { languageLevel: 'simple' })),
+        advanced: letterComposer.toText(letterComposer.compose(withReference, organization, { languageLevel: 'advanced', template: 'brief' }))
+      };
+    }, legacyComplaint);
+
+    expect(letters.simple).toContain('TechMart Electronics');
+    expect(letters.simple).toContain('ORD-42');
+    expect(letters.simple).toContain('8 January 2024');
+    expect(letters.simple).toContain('9 February 2024');
+    expect(letters.simple).toContain('Yours sincerely');
+    expect(letters.advanced).toContain('Yours faithfully');
+    // The short template leaves out the incident date
+    expect(letters.advanced).not.toContain('8 January 2024');
+  });
+
+  test('Letter is available from the tracker details', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([{ ...complaint, status: 'resolved' }]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    await page.locator('#complaint-complaint_legacy_1').getByRole('button', { name: 'View Details' }).click();
+    await page.getByRole('button', { name: 'View Letter' }).click();
+
+    const preview = page.getByRole('region', { name: 'Letter preview' });
+    await expect(preview).toContainText('Faulty laptop');
+    await expect(preview).toContainText('A refund');
+  });
+});
+
+test.describe('Escalation pack', () => {
+
+  test('Escalation letter cites the original complaint, missed deadline and ombudsman', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const letter = await page.evaluate((complaint) => {
+      const organization = { name: 'FirstBank', type: 'Financial Institution', responseTimedays: 30, escalationTimedays: 56 };
+      return letterComposer.toText(letterComposer.compose({ ...complaint, status: 'escalation' }, organization, {
+        template: 'escalation',
+        languageLevel: 'standard',
+        date: new Date('2024-03-12T12:00:00')
+      }));
+    }, legacyComplaint);
+
+    expect(letter).toContain('Senior Complaints Manager');
+    expect(letter).toContain('10 January 2024');
+    expect(letter).toContain('9 February 2024');
+    expect(letter).toContain('26 March 2024');
+    expect(letter).toContain('the Financial Ombudsman Service');
+  });
+
+  test('Referral pack lists key dates and the correspondence history', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const referral = await page.evaluate((complaint) => {
+      const organization = { name: 'TechMart Electronics', type: 'Retailer', responseTimedays: 30, escalationTimedays: 60, ombudsmanName: 'Retail Ombudsman Scheme' };
+      const escalated = {
+        ...complaint,
+        status: 'escalation',
+        correspondence: [
+          { id: 'corr_1', date: '2024-01-12', direction: 'incoming', channel: 'email', kind: 'acknowledgement', summary: 'Complaint received' }
+        ]
+      };
+      return escalationPack.toText(escalationPack.buildReferral(escalated, organization, new Date('2024-03-12T12:00:00')));
+    }, legacyComplaint);
+
+    expect(referral).toContain('REFERRAL TO RETAIL OMBUDSMAN SCHEME');
+    expect(referral).toContain('Response deadline: 9 February 2024 (missed)');
+    expect(referral).toContain('Final response: Not received');
+    expect(referral).toContain('12 January 2024: Received by email (Acknowledgement). Complaint received');
+  });
+});
+
+test.describe('Case pack', () => {
+
+  test('Case pack shows the letter, details, deadlines and timeline', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([{
+        ...complaint,
+        correspondence: [
+          { id: 'corr_1', date: '2024-01-12', direction: 'incoming', channel: 'email', kind: 'acknowledgement', summary: 'Complaint received' }
+        ]
+      }]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    await page.locator('#complaint-complaint_legacy_1').getByRole('button', { name: 'View Details' }).click();
+    await page.getByRole('link', { name: 'Case Pack' }).click();
+
+    await expect(page.getByRole('heading', { level: 1, name: 'Case pack: Faulty laptop' })).toBeVisible();
+    await expect(page.getByRole('heading', { name: 'Complaint letter' })).toBeVisible();
+    await expect(page.getByRole('row', { name: /Response deadline 9 February 2024/ })).toBeVisible();
+    await expect(page.getByRole('row', { name: /12 January 2024 Received by email \(Acknowledgement\) Complaint received/ })).toBeVisible();
+    await expect(page.getByText('No attachments have been added to this complaint.')).toBeVisible();
+  });
+
+  test('PDF export is tagged with a structure tree', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([complaint]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/case-pack.html?id=complaint_legacy_1');
+    await expect(page.getByRole('button', { name: 'Download PDF' })).toBeEnabled();
+
+    const pdf = await page.evaluate(() => {
+      const casePack = window.casePackPage;
+      const bytes = casePack.toPdf(casePack.pack).output();
+      return new TextDecoder('latin1').decode(bytes);
+    });
+
+    expect(pdf.startsWith('%PDF-1.7')).toBe(true);
+    expect(pdf).toContain('/MarkInfo << /Marked true >>');
+    expect(pdf).toContain('/StructTreeRoot');
+    expect(pdf).toContain('/S /H1');
+    expect(pdf).toContain('/S /Table');
+    expect(pdf).toContain('/Scope /Row');
+  });
+});
+
+test.describe('Evidence attachments', () => {
+
+  test('Files are checked for type and size, and images need a description', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+
+    const results = await page.evaluate(() => {
+      const receipt = new File(['receipt'], 'receipt.png', { type: 'image/png' });
+      const email = new File(['From: shop'], 'reply.eml', { type: '' });
+      const program = new File(['MZ'], 'setup.exe', { type: 'application/x-msdownload' });
+      const huge = new File([new Uint8Array(ATTACHMENT_MAX_SIZE + 1)], 'video.pdf', { type: 'application/pdf' });
+
+      return {
+        receipt: attachmentStore.validateFile(receipt),
+        emailType: attachmentStore.getType(email),
+        program: attachmentStore.validateFile(program),
+        huge: attachmentStore.validateFile(huge),
+        tooMany: attachmentStore.validateFile(receipt, ATTACHMENT_MAX_COUNT),
+        undescribed: attachmentStore.validateDescription(attachmentStore.createAttachment(receipt)),
+        described: attachmentStore.validateDescription(attachmentStore.createAttachment(receipt, 'Till receipt for the laptop'))
+      };
+    });
+
+    expect(results.receipt).toBeNull();
+    expect(results.emailType).toBe('message/rfc822');
+    expect(results.program).toContain('cannot be attached');
+    expect(results.huge).toContain('10.0 MB or smaller');
+    expect(results.tooMany).toContain('up to 10 files');
+    expect(results.undescribed).toBe('Please describe what receipt.png shows');
+    expect(results.described).toBeNull();
+  });
+
+  test('Attachments added in the tracker are stored and listed as enclosures', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([complaint]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    await page.locator('#complaint-complaint_legacy_1').getByRole('button', { name: 'View Details' }).click();
+
+    await page.getByLabel('File', { exact: true }).setInputFiles({ name: 'receipt.png', mimeType: 'image/png', buffer: Buffer.from('receipt') });
+    await page.getByRole('button', { name: 'Add Attachment' }).click();
+    await expect(page.locator('#attachment-description')).toHaveAttribute('aria-invalid', 'true');
+
+    await page.getByLabel('Description', { exact: true }).fill('Till receipt for the laptop');
+    await page.getByRole('button', { name: 'Add Attachment' }).click();
+    await expect(page.locator('#complaint-attachments')).toContainText('receipt.png');
+
+    const stored = await page.evaluate(async () => {
+      const complaint = window.complaintManager.complaints[0];
+      const blob = await attachmentStore.getBlob(complaint.attachments[0].id);
+      return { metadata: complaint.attachments[0], size: blob.size };
+    });
+    expect(stored.metadata).toMatchObject({ name: 'receipt.png', type: 'image/png', description: 'Till receipt for the laptop' });
+    expect(stored.metadata.blob).toBeUndefined();
+    expect(stored.size).toBe(7);
+
+    await page.getByRole('button', { name: 'View Letter' }).click();
+    await expect(page.getByRole('region', { name: 'Letter preview' })).toContainText('receipt.png: Till receipt for the laptop');
+  });
+
+  test('Imported attachments without a stored file are marked as missing', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([{
+        ...complaint,
+        attachments: [{ id: 'att_imported', name: 'receipt.pdf', type: 'application/pdf', size: 2048, description: '', addedDate: '2024-01-10T10:00:00.000Z' }]
+      }]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html#complaint-complaint_legacy_1');
+    const attachments = page.locator('#complaint-attachments');
+    await expect(attachments).toContainText('The file is not stored in this browser.');
+    await expect(attachments.getByRole('button', { name: 'Download receipt.pdf' })).toBeDisabled();
+
+    await page.goto('http://localhost:8000/case-pack.html?id=complaint_legacy_1');
+    await expect(page.locator('#case-pack')).toContainText('receipt.pdf (PDF document, 2 KB). The file is not stored in this browser.');
+  });
+});
+
+test.describe('Named drafts', () => {
+
+  test('The old single draft becomes a named draft', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate(() => {
+      localStorage.removeItem('complaint-drafts');
+      localStorage.setItem('complaint-form-draft', JSON.stringify({ organization: 'techmart', 'complaint-title': 'Broken phone' }));
+    });
+
+    await page.reload();
+    const stored = await page.evaluate(() => ({
+      legacy: localStorage.getItem('complaint-form-draft'),
+      drafts: JSON.parse(localStorage.getItem('complaint-drafts'))
+    }));
+
+    expect(stored.legacy).toBeNull();
+    expect(stored.drafts).toHaveLength(1);
+    expect(stored.drafts[0]).toMatchObject({ step: 1, formData: { organization: 'techmart', 'complaint-title': 'Broken phone' } });
+    await expect(page.locator('#draft-list')).toContainText('Broken phone');
+  });
+
+  test('Drafts can be resumed, duplicated and discarded from the dashboard', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByLabel('Draft name').fill('Laptop refund');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next: Your Details' }).click();
+    await page.getByLabel('Full Name *').fill('Test User');
+    await page.getByRole('button', { name: 'Save Draft' }).click();
+
+    await page.goto('http://localhost:8000/');
+    const drafts = page.locator('#draft-list');
+    await expect(drafts).toContainText('Laptop refund');
+    await expect(drafts).toContainText('Step 2 of 4: Your Details');
+
+    await drafts.getByRole('button', { name: 'Duplicate' }).click();
+    await expect(drafts).toContainText('Copy of Laptop refund');
+    await expect(page.getByRole('link', { name: /Copy of Laptop refund/ })).toBeFocused();
+
+    await drafts.getByRole('button', { name: /Discard.*Copy of Laptop refund/ }).click();
+    await page.getByRole('alertdialog', { name: 'Discard Copy of Laptop refund?' }).getByRole('button', { name: 'Discard' }).click();
+    await expect(drafts).not.toContainText('Copy of Laptop refund');
+
+    await drafts.getByRole('link', { name: /Laptop refund/ }).click();
+    await expect(page.getByLabel('Full Name *')).toHaveValue('Test User');
+    await expect(page.getByLabel('Draft name')).toHaveValue('Laptop refund');
+  });
+});
+
+test.describe('Organization questions', () => {
+
+  test('Retailer questions are asked, validated, reviewed and stored', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next: Your Details' }).click();
+    await page.getByLabel('Full Name *').fill('Test User');
+    await page.getByLabel('Email Address *').fill('test@example.com');
+    await page.getByRole('button', { name: 'Next: Complaint Details' }).click();
+
+    const questions = page.getByRole('group', { name: 'Details for TechMart Electronics' });
+    await expect(questions).toBeVisible();
+
+    await page.getByLabel('Category *').selectOption('faulty-goods');
+    await page.getByLabel('Complaint Title *').fill('Faulty laptop');
+    await page.getByLabel('Detailed Description *').fill('The screen stopped working after a week.');
+    await page.getByLabel('What would you like them to do? *').fill('A full refund');
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+    await expect(questions.getByLabel('Order Number')).toHaveAttribute('aria-invalid', 'true');
+
+    await questions.getByLabel('Order Number').fill('ORD-1234');
+    await questions.getByLabel('Purchase Date').fill('2024-01-03');
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+
+    await expect(page.locator('#review-content')).toContainText('ORD-1234');
+    await expect(page.getByRole('region', { name: 'Letter preview' })).toContainText('order number ORD-1234; purchase date 3 January 2024');
+
+    const answers = await page.evaluate(() => window.complaintFormManager.getComplaintData().answers);
+    expect(answers).toEqual([
+      { id: 'order-number', label: 'Order Number', type: 'text', value: 'ORD-1234' },
+      { id: 'purchase-date', label: 'Purchase Date', type: 'date', value: '2024-01-03' }
+    ]);
+  });
+
+  test('Complaints saved before question sets get an empty answers list', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([{ ...complaint, schemaVersion: 6 }]));
+    }, legacyComplaint);
+
+    await page.reload();
+    const complaint = await page.evaluate(() => JSON.parse(localStorage.getItem('complaints'))[0]);
+    expect(complaint.answers).toEqual([]);
+    expect(complaint.schemaVersion).toBeGreaterThan(6);
+  });
+});
+
+test.describe('Categories and tags', () => {
+
+  const taggedComplaints = [
+    { ...legacyComplaint, category: 'faulty-goods', tags: ['Refund', 'warranty'] },
+    { ...legacyComplaint, id: 'complaint_billing_1', title: 'Double charged', category: 'billing', tags: ['refund'] }
+  ];
+
+  test('The tracker filters by category and tag', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaints) => {
+      localStorage.setItem('complaints', JSON.stringify(complaints));
+    }, taggedComplaints);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    const container = page.locator('#complaints-container');
+
+    await page.getByLabel('Category').selectOption('billing');
+    await expect(container).toContainText('Double charged');
+    await expect(container).not.toContainText('Faulty laptop');
+
+    await page.getByLabel('Category').selectOption('');
+    await page.getByLabel('Tag', { exact: true }).selectOption('warranty');
+    await expect(container).toContainText('Faulty laptop');
+    await expect(container).not.toContainText('Double charged');
+
+    // Tags match whatever case they were typed in
+    await page.getByLabel('Tag', { exact: true }).selectOption('Refund');
+    await expect(container.locator('.complaint-card')).toHaveCount(2);
+  });
+
+  test('Renaming a tag in the admin page merges it everywhere and exports keep the taxonomy', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaints) => {
+      localStorage.setItem('complaints', JSON.stringify(complaints));
+    }, taggedComplaints);
+
+    await page.goto('http://localhost:8000/admin.html');
+    await page.getByRole('tab', { name: 'Tags' }).click();
+    await page.getByRole('button', { name: 'Rename warranty' }).click();
+
+    const dialog = page.getByRole('dialog', { name: 'Rename warranty' });
+    await dialog.getByLabel('New tag name').fill('refund');
+    await dialog.getByRole('button', { name: 'Rename' }).click();
+
+    const tags = await page.evaluate(() => window.complaintManager.complaints.map(c => c.tags));
+    expect(tags).toEqual([['Refund'], ['refund']]);
+    await expect(page.locator('#tags-list tbody tr')).toHaveCount(1);
+
+    const download = page.waitForEvent('download');
+    await page.getByRole('tab', { name: 'Data Management' }).click();
+    await page.getByRole('button', { name: 'Export All Data' }).click();
+    const exported = JSON.parse(fs.readFileSync(await (await download).path(), 'utf8'));
+    expect(exported.taxonomy.categories.map(c => c.id)).toContain('faulty-goods');
+    expect(exported.complaints[0]).toMatchObject({ category: 'faulty-goods', tags: ['Refund'] });
+  });
+});
+
+test.describe('Writing assistant', () => {
+
+  test('Flags wording, long sentences and missing facts as the description is written', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next: Your Details' }).click();
+    await page.getByLabel('Full Name *').fill('Test User');
+    await page.getByLabel('Email Address *').fill('test@example.com');
+    await page.getByRole('button', { name: 'Next: Complaint Details' }).click();
+
+    const assistant = page.getByRole('region', { name: 'Writing check' });
+    await page.getByLabel('Detailed Description *').fill('The staff were USELESS IDIOTS and I will make you pay!!');
+    await expect(assistant).toContainText('5 wording issues. 4 details to add.');
+    await expect(assistant).toContainText('Sounds like a threat: “make you pay”');
+    await expect(assistant).toContainText('Add when it happened');
+
+    await page.getByLabel('Detailed Description *').fill('I bought a laptop from your shop in town and when I got it home I found that the screen flickered constantly and the keyboard was missing two keys which made it impossible to use.');
+    await page.getByLabel('When did this happen?').fill('2024-01-03');
+    await page.getByLabel('What would you like them to do? *').fill('A full refund');
+    await expect(assistant).toContainText('1 long sentence.');
+    await expect(assistant).not.toContainText('Details to add');
+    await expect(assistant).not.toContainText('Wording to reconsider');
+
+    // Advice only: the wizard still moves on
+    await page.getByLabel('Category *').selectOption('faulty-goods');
+    await page.getByLabel('Complaint Title *').fill('Faulty laptop');
+    await page.getByRole('textbox', { name: 'Order Number' }).fill('ORD-1234');
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+    await expect(page.locator('#review-content')).toContainText('Faulty laptop');
+  });
+});
+
+test.describe('Duplicate detection', () => {
+
+  test('A repeat complaint to the same organization can be added as an update instead', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([complaint]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next: Your Details' }).click();
+    await page.getByLabel('Full Name *').fill('Test User');
+    await page.getByLabel('Email Address *').fill('test@example.com');
+    await page.getByRole('button', { name: 'Next: Complaint Details' }).click();
+    await page.getByLabel('Category *').selectOption('faulty-goods');
+    await page.getByLabel('Complaint Title *').fill('Broken laptop');
+    await page.getByLabel('Detailed Description *').fill('My laptop stopped working after a few days. The charger does not fit either.');
+    await page.getByLabel('What would you like them to do? *').fill('A replacement');
+    await page.getByRole('textbox', { name: 'Order Number' }).fill('ORD-1234');
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+    await page.getByLabel(/I confirm that the information provided is accurate/).check();
+    await page.getByRole('button', { name: 'Submit Complaint' }).click();
+
+    const warning = page.getByRole('region', { name: 'You may have already made this complaint' });
+    await expect(warning).toBeFocused();
+    await expect(warning.getByRole('link', { name: 'Faulty laptop' })).toHaveAttribute('href', 'track-complaints.html#complaint-complaint_legacy_1');
+    await expect(warning).toContainText('Similar title, Similar description');
+
+    await warning.getByRole('button', { name: 'Add as an update to “Faulty laptop”' }).click();
+    await page.waitForURL('**/track-complaints.html#complaint-complaint_legacy_1');
+    await expect(page.locator('.timeline')).toContainText('Further details added: My laptop stopped working after a few days.');
+
+    const complaints = await page.evaluate(() => window.complaintManager.complaints.map(c => c.id));
+    expect(complaints).toEqual(['complaint_legacy_1']);
+  });
+});
+
+test.describe('Organization picker', () => {
+
+  test('A missing organization can be added from the wizard using the admin rules', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+    const combobox = page.getByRole('combobox', { name: 'Organization' });
+    await combobox.fill('Northern Rail');
+    await page.getByRole('option', { name: 'Add "Northern Rail" as a new organization' }).click();
+
+    const form = page.getByRole('group', { name: 'Add a new organization' });
+    await expect(form.getByLabel('Organization Name *')).toHaveValue('Northern Rail');
+    await form.getByLabel('Type *').selectOption('Service Provider');
+    await form.getByLabel('Complaints Email *').fill('complaints@northernrail.example');
+    await form.getByLabel('Escalation Time (days) *').fill('20');
+    await form.getByRole('button', { name: 'Save Organization' }).click();
+    await expect(form.getByLabel('Escalation Time (days) *')).toHaveAttribute('aria-invalid', 'true');
+    await expect(form).toContainText('Escalation time must be greater than response time');
+
+    await form.getByLabel('Escalation Time (days) *').fill('56');
+    await form.getByRole('button', { name: 'Save Organization' }).click();
+    await expect(form).toBeHidden();
+    await expect(combobox).toHaveValue('Northern Rail');
+    await expect(page.locator('#organization-details')).toContainText('complaints@northernrail.example');
+
+    const saved = await page.evaluate(() => JSON.parse(localStorage.getItem('organizations')).map(org => org.name));
+    expect(saved).toContain('Northern Rail');
+
+    // Names must be unique, as on the admin page
+    await page.getByRole('button', { name: "Can't find it? Add a new organization" }).click();
+    await form.getByLabel('Organization Name *').fill('techmart electronics');
+    await form.getByLabel('Type *').selectOption('Retailer');
+    await form.getByLabel('Complaints Email *').fill('help@techmart.example');
+    await form.getByRole('button', { name: 'Save Organization' }).click();
+    await expect(form).toContainText('An organization with this name already exists');
+  });
+});
+
+test.describe('Prefill links', () => {
+
+  test('A link fills in the wizard, leaves out invalid values and announces what it did', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html?organization=techmart&title=%3Cb%3EFaulty%20laptop%3C%2Fb%3E&category=not-a-category&reference=ORD-99&incident=2999-01-01&step=3');
+
+    await expect(page.locator('#announcements')).toContainText('Filled in from the link you followed: organization, title and reference number.');
+    await expect(page.locator('#announcements')).toContainText('Some details in the link could not be used: category and incident date.');
+    await expect(page.getByRole('combobox', { name: 'Organization' })).toHaveValue('TechMart Electronics');
+
+    // Contact details are never taken from a link, so the wizard stops at step 2
+    await expect(page.getByLabel('Full Name *')).toBeVisible();
+    await page.getByLabel('Full Name *').fill('Test User');
+    await page.getByLabel('Email Address *').fill('test@example.com');
+    await page.getByRole('button', { name: 'Next: Complaint Details' }).click();
+
+    await expect(page.getByLabel('Complaint Title *')).toHaveValue('<b>Faulty laptop</b>');
+    await expect(page.getByLabel('Reference Number')).toHaveValue('ORD-99');
+    await expect(page.getByLabel('Category *')).toHaveValue('');
+    await expect(page.getByLabel('When did this happen?')).toHaveValue('');
+
+    // Linked values are shown on the review step as text, not markup
+    await page.getByLabel('Category *').selectOption('faulty-goods');
+    await page.getByLabel('Detailed Description *').fill('The screen stopped working after a week.');
+    await page.getByLabel('What would you like them to do? *').fill('A full refund');
+    await page.getByRole('textbox', { name: 'Order Number' }).fill('ORD-1234');
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+    await expect(page.locator('#review-content')).toContainText('<b>Faulty laptop</b>');
+    await expect(page.locator('#review-content b')).toHaveCount(0);
+  });
+
+  test('The tracker starts a follow-up complaint that refers to the earlier one', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([{ ...complaint, category: 'faulty-goods', referenceNumber: 'ORD-1234' }]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html#complaint-complaint_legacy_1');
+    await page.getByRole('link', { name: 'Follow-up Complaint' }).click();
+
+    await expect(page.getByRole('combobox', { name: 'Organization' })).toHaveValue('TechMart Electronics');
+    await expect(page.locator('#previous-contact')).toHaveValue('This follows my earlier complaint "Faulty laptop" made on 10 January 2024 (reference ORD-1234).');
+    const formData = await page.evaluate(() => window.complaintFormManager.formData);
+    expect(formData).toMatchObject({
+      'complaint-category': 'faulty-goods',
+      'complaint-title': 'Follow-up: Faulty laptop',
+      'reference-number': 'ORD-1234'
+    });
+  });
+});
+
+test.describe('Contact profiles', () => {
+
+  test('Profiles saved in settings fill in step 2, and another profile can be chosen', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('button', { name: 'Open accessibility settings' }).click();
+
+    const settings = page.getByRole('group', { name: 'My Details' });
+    await settings.getByRole('button', { name: 'Add My Details' }).click();
+    await settings.getByLabel('Profile Name *').fill('Me');
+    await settings.getByLabel('Full Name *').fill('Test User');
+    await settings.getByLabel('Email Address *').fill('test@example.com');
+    await settings.getByRole('button', { name: 'Save Profile' }).click();
+    await expect(settings).toContainText('Default');
+
+    await settings.getByRole('button', { name: 'Add Profile' }).click();
+    await settings.getByLabel('Profile Name *').fill('Mum');
+    await settings.getByLabel('Full Name *').fill('Jane User');
+    await settings.getByLabel('Email Address *').fill('jane@example.com');
+    await settings.getByLabel('Preferred Contact Method').selectOption('letter');
+    await settings.getByRole('button', { name: 'Save Profile' }).click();
+    await expect(settings.getByLabel('Address', { exact: true })).toHaveAttribute('aria-invalid', 'true');
+    await settings.getByLabel('Address', { exact: true }).fill('1 High Street, Leeds');
+    await settings.getByRole('button', { name: 'Save Profile' }).click();
+    await expect(settings.getByRole('button', { name: 'Edit Mum' })).toBeVisible();
+
+    // A new complaint starts with the default profile
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next: Your Details' }).click();
+    await expect(page.getByLabel('Full Name *')).toHaveValue('Test User');
+    await expect(page.getByLabel('Fill in from saved details')).toHaveValue(/^profile_/);
+
+    await page.getByLabel('Fill in from saved details').selectOption({ label: 'Mum' });
+    await expect(page.getByLabel('Full Name *')).toHaveValue('Jane User');
+    await expect(page.getByLabel('Preferred Contact Method')).toHaveValue('letter');
+    await expect(page.locator('#announcements')).toContainText('Filled in contact details from "Mum".');
+
+    await page.getByLabel('Fill in from saved details').selectOption('');
+    await expect(page.getByLabel('Full Name *')).toHaveValue('');
+    await expect(page.getByLabel('Full Name *')).toBeFocused();
+  });
+
+  test('Editing a profile does not change complaints already made with it', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate(() => {
+      localStorage.setItem('contact-profiles', JSON.stringify([{
+        id: 'profile_me',
+        label: 'Me',
+        fullName: 'Test User',
+        email: 'test@example.com',
+        phone: '',
+        address: '',
+        preferredContact: 'email',
+        isDefault: true
+      }]));
+    });
+
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next: Your Details' }).click();
+    await page.getByRole('button', { name: 'Next: Complaint Details' }).click();
+    await page.getByLabel('Category *').selectOption('faulty-goods');
+    await page.getByLabel('Complaint Title *').fill('Faulty laptop');
+    await page.getByLabel('Detailed Description *').fill('The laptop stopped working after two days.');
+    await page.getByLabel('What would you like them to do? *').fill('A refund');
+    await page.getByRole('textbox', { name: 'Order Number' }).fill('ORD-1234');
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+    await page.getByLabel(/I confirm that the information provided is accurate/).check();
+    await page.getByRole('button', { name: 'Submit Complaint' }).click();
+    await page.waitForURL('**/track-complaints.html?success=true*');
+
+    await page.getByRole('button', { name: 'Open accessibility settings' }).click();
+    const settings = page.getByRole('group', { name: 'My Details' });
+    await settings.getByRole('button', { name: 'Edit Me' }).click();
+    await settings.getByLabel('Email Address *').fill('new-address@example.com');
+    await settings.getByRole('button', { name: 'Save Profile' }).click();
+    await expect(settings).toContainText('new-address@example.com');
+
+    const contactDetails = await page.evaluate(() => window.complaintManager.complaints.map(c => c.contactDetails));
+    expect(contactDetails).toEqual([{
+      fullName: 'Test User',
+      email: 'test@example.com',
+      phone: '',
+      address: '',
+      preferredContact: 'email'
+    }]);
+  });
+});
+
+test.describe('Outcomes and money', () => {
+
+  test('The wizard records the outcome type and amount claimed', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next: Your Details' }).click();
+    await page.getByLabel('Full Name *').fill('Test User');
+    await page.getByLabel('Email Address *').fill('test@example.com');
+    await page.getByRole('button', { name: 'Next: Complaint Details' }).click();
+    await page.getByLabel('Category *').selectOption('faulty-goods');
+    await page.getByLabel('Complaint Title *').fill('Faulty laptop');
+    await page.getByLabel('Detailed Description *').fill('The laptop stopped working after two days.');
+    await page.getByLabel('What would you like them to do? *').fill('Refund the cost of the laptop');
+    await page.getByLabel('Main Outcome').selectOption('refund');
+    await page.getByLabel('Amount Claimed').fill('about 130');
+    await page.getByRole('textbox', { name: 'Order Number' }).fill('ORD-1234');
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+    await expect(page.getByLabel('Amount Claimed')).toHaveAttribute('aria-invalid', 'true');
+
+    await page.getByLabel('Amount Claimed').fill('£1,299.99');
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+    await expect(page.locator('#review-content')).toContainText('£1,299.99');
+    await page.getByLabel(/I confirm that the information provided is accurate/).check();
+    await page.getByRole('button', { name: 'Submit Complaint' }).click();
+    await page.waitForURL('**/track-complaints.html?success=true*');
+
+    const outcome = await page.evaluate(() => window.complaintManager.complaints[0].outcome);
+    expect(outcome).toEqual({ type: 'refund', currency: 'GBP', claimed: 129999, offered: null, received: null, met: '' });
+  });
+
+  test('The tracker totals amounts by organization and records whether the outcome was met', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      const outcome = { type: 'refund', currency: 'GBP', claimed: 10000, offered: null, received: null, met: '' };
+      localStorage.setItem('complaints', JSON.stringify([
+        { ...complaint, status: 'in-progress', outcome },
+        { ...complaint, id: 'complaint_legacy_2', organizationId: 'quickfix', title: 'Leaking pipe', outcome: { ...outcome, claimed: 2550 } }
+      ]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    const summary = page.getByRole('region', { name: 'Money and Outcomes' });
+    await expect(summary.getByRole('row', { name: /TechMart Electronics/ })).toContainText('£100.00');
+    await expect(summary.getByRole('row', { name: /QuickFix Plumbing Services/ })).toContainText('£25.50');
+    await expect(summary.getByRole('row', { name: /Total/ })).toContainText('£125.50');
+
+    await page.goto('http://localhost:8000/track-complaints.html#complaint-complaint_legacy_1');
+    await page.getByLabel('Amount Offered').fill('40');
+    await page.getByLabel('Amount Received').fill('40');
+    await page.getByRole('button', { name: 'Save Outcome' }).click();
+    await expect(page.locator('.timeline')).toContainText('Amount offered £40.00. Amount received £40.00');
+
+    await page.locator('#complaintModal').getByRole('button', { name: /^Mark Resolved/ }).click();
+    const dialog = page.getByRole('dialog', { name: 'Mark this complaint resolved?' });
+    await expect(dialog.getByRole('radio', { name: 'Met in part' })).toBeChecked();
+    await dialog.getByRole('button', { name: 'Mark Resolved' }).click();
+
+    await expect(summary).toContainText('Resolved complaints: 0 met in full, 1 met in part, 0 not met.');
+    await expect(summary.getByRole('row', { name: /Total/ })).toContainText('£40.00');
+    const outcome = await page.evaluate(() => window.complaintManager.complaints.find(c => c.id === 'complaint_legacy_1').outcome);
+    expect(outcome).toMatchObject({ offered: 4000, received: 4000, met: 'partial' });
+  });
+});
+
+test.describe('Guided mode', () => {
+
+  test('Guided mode asks one question at a time with the same checks and answers', async ({ page }) => {
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('button', { name: 'Open accessibility settings' }).click();
+    await page.getByLabel('Ask one question at a time').check();
+    await page.getByRole('button', { name: 'Save Settings' }).click();
+
+    await expect(page.locator('#guided-progress')).toHaveText('Question 1 of 11');
+    await expect(page.getByRole('heading', { name: 'Who do you want to complain to?' })).toBeVisible();
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await expect(page.getByRole('combobox', { name: 'Organization' })).toHaveAttribute('aria-invalid', 'true');
+
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await expect(page.locator('#guided-progress')).toHaveText('Question 2 of 11');
+    await expect(page.getByLabel('Email Address *')).toBeHidden();
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await expect(page.getByLabel('Full Name *')).toHaveAttribute('aria-invalid', 'true');
+
+    await page.getByLabel('Full Name *').fill('Test User');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await expect(page.locator('#announcements')).toContainText('Question 3 of 11: What email address should they reply to?');
+    await page.getByLabel('Email Address *').fill('test@example.com');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByLabel('Category *').selectOption('faulty-goods');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByLabel('Complaint Title *').fill('Faulty laptop');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByLabel('Detailed Description *').fill('The laptop stopped working after two days.');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByRole('textbox', { name: 'Order Number' }).fill('ORD-1234');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByLabel('What would you like them to do? *').fill('Refund the cost of the laptop');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await expect(page.locator('#guided-progress')).toHaveText('Question 11 of 11');
+
+    await page.getByRole('button', { name: 'Next: Review' }).click();
+    await expect(page.locator('#guided-question')).toBeHidden();
+    await expect(page.locator('#review-content')).toContainText('Faulty laptop');
+    await page.getByLabel(/I confirm that the information provided is accurate/).check();
+    await page.getByRole('button', { name: 'Submit Complaint' }).click();
+    await page.waitForURL('**/track-complaints.html?success=true*');
+
+    const complaint = await page.evaluate(() => window.complaintManager.complaints[0]);
+    expect(complaint).toMatchObject({ organizationId: 'techmart', title: 'Faulty laptop', category: 'faulty-goods' });
+  });
+
+  test('Going back into a step opens its last question, and the setting can be turned off', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate(() => localStorage.setItem('accessibility-settings', JSON.stringify({ guidedMode: true })));
+
+    await page.goto('http://localhost:8000/create-complaint.html');
+    await page.getByRole('combobox', { name: 'Organization' }).fill('TechMart');
+    await page.getByRole('option', { name: 'TechMart Electronics' }).click();
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByLabel('Full Name *').fill('Test User');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByLabel('Email Address *').fill('test@example.com');
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await page.getByRole('button', { name: 'Next question' }).click();
+    await expect(page.locator('#guided-progress')).toHaveText('Question 5 of 11');
+
+    await page.getByRole('button', { name: 'Back', exact: true }).click();
+    await expect(page.locator('#guided-progress')).toHaveText('Question 4 of 11');
+    await expect(page.getByLabel('Phone Number')).toBeVisible();
+
+    await page.getByRole('button', { name: 'Open accessibility settings' }).click();
+    await page.getByLabel('Ask one question at a time').uncheck();
+    await page.getByRole('button', { name: 'Save Settings' }).click();
+    await expect(page.locator('#guided-question')).toBeHidden();
+    await expect(page.getByLabel('Full Name *')).toHaveValue('Test User');
+    await expect(page.getByLabel('Email Address *')).toHaveValue('test@example.com');
+  });
+});
+
+test.describe('Tracker sorting, grouping and pages', () => {
+
+  test('Sorting and grouping reorder the list and are announced', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      localStorage.setItem('complaints', JSON.stringify([
+        complaint,
+        { ...complaint, id: 'complaint_legacy_2', organizationId: 'quickfix', title: 'Leaking pipe', deadline: '2024-01-20T10:00:00.000Z' },
+        { ...complaint, id: 'complaint_legacy_3', title: 'Broken charger', status: 'resolved', deadline: '2024-03-01T10:00:00.000Z' }
+      ]));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    const titles = page.locator('#complaints-container .card-title');
+
+    await page.getByLabel('Sort by').selectOption('title');
+    await expect(titles).toHaveText(['Broken charger', 'Faulty laptop', 'Leaking pipe']);
+    await expect(page.locator('#announcements')).toContainText('Sorted by title, a to z. Showing all 3 complaints.');
+
+    await page.getByLabel('Sort by').selectOption('deadline');
+    await expect(titles).toHaveText(['Leaking pipe', 'Faulty laptop', 'Broken charger']);
+
+    await page.getByLabel('Group by').selectOption('organization');
+    await expect(page.getByRole('heading', { level: 4, name: /QuickFix Plumbing Services/ })).toContainText('(1 complaint)');
+    await expect(page.getByRole('heading', { level: 4, name: /TechMart Electronics/ })).toContainText('(2 complaints)');
+    await expect(titles).toHaveText(['Leaking pipe', 'Faulty laptop', 'Broken charger']);
+    await expect(page.locator('#announcements')).toContainText('Grouped by organization, 2 groups.');
+  });
+
+  test('Long lists are split into pages', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaint) => {
+      const complaints = Array.from({ length: 30 }, (_, index) => ({
+        ...complaint,
+        id: `complaint_paged_${index + 1}`,
+        title: `Complaint ${index + 1}`
+      }));
+      localStorage.setItem('complaints', JSON.stringify(complaints));
+    }, legacyComplaint);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    await page.getByLabel('Sort by').selectOption('title');
+    await expect(page.locator('#complaints-range')).toHaveText('Showing 1 to 25 of 30 complaints');
+    await expect(page.locator('.complaint-card')).toHaveCount(25);
+
+    const pages = page.getByRole('navigation', { name: 'Pages of complaints' });
+    await pages.getByRole('button', { name: 'Next page' }).click();
+    await expect(page.locator('.complaint-card')).toHaveCount(5);
+    await expect(page.locator('.complaint-card .card-title').first()).toHaveText('Complaint 26');
+    await expect(pages).toContainText('Page 2 of 2');
+    await expect(pages.getByRole('button', { name: 'Next page' })).toBeDisabled();
+    await expect(page.getByRole('heading', { name: 'Your Complaints' })).toBeFocused();
+
+    // Changing a complaint keeps the user on the page they were reading
+    await page.locator('#complaint-complaint_paged_27').getByRole('button', { name: /^Mark Resolved/ }).click();
+    await page.getByRole('dialog', { name: 'Mark this complaint resolved?' }).getByRole('button', { name: 'Mark Resolved' }).click();
+    await expect(page.locator('#complaint-complaint_paged_27')).toContainText('Resolved');
+    await expect(pages).toContainText('Page 2 of 2');
+    await expect(page.locator('.complaint-card .card-title').first()).toHaveText('Complaint 26');
+
+    await page.getByLabel('Complaints per page').selectOption('50');
+    await expect(page.locator('.complaint-card')).toHaveCount(30);
+    await expect(pages).toBeHidden();
+  });
+});
+
+test.describe('Tracker filters in the address and saved searches', () => {
+  const trackerComplaints = [
+    legacyComplaint,
+    { ...legacyComplaint, id: 'complaint_legacy_2', organizationId: 'quickfix', title: 'Leaking pipe', deadline: '2099-01-01T10:00:00.000Z' }
+  ];
+
+  test('Filters and sort are kept in the query string and restored on load', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaints) => {
+      localStorage.setItem('complaints', JSON.stringify(complaints));
+    }, trackerComplaints);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    const container = page.locator('#complaints-container');
+    await page.getByLabel('Only overdue complaints').check();
+    await page.getByLabel('Sort by').selectOption('title');
+    await expect(container).not.toContainText('Leaking pipe');
+    await expect(page).toHaveURL(/\?overdue=true&sort=title$/);
+
+    await page.reload();
+    await expect(page.getByLabel('Only overdue complaints')).toBeChecked();
+    await expect(page.getByLabel('Sort by')).toHaveValue('title');
+    await expect(container).toContainText('Faulty laptop');
+    await expect(container).not.toContainText('Leaking pipe');
+
+    // Choices the tracker does not offer are dropped from the address
+    await page.goto('http://localhost:8000/track-complaints.html?organization=quickfix&status=unknown');
+    await expect(page.getByLabel('Organization', { exact: true })).toHaveValue('quickfix');
+    await expect(container).toContainText('Leaking pipe');
+    await expect(page).toHaveURL(/\?organization=quickfix$/);
+  });
+
+  test('A saved search appears as a chip that puts its filters back', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaints) => {
+      localStorage.setItem('complaints', JSON.stringify(complaints));
+    }, trackerComplaints);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    await page.getByRole('button', { name: 'Save Search' }).click();
+    await expect(page.locator('#saved-search-message')).toHaveText('Choose some filters or a sort order before saving a search');
+
+    await page.getByLabel('Organization', { exact: true }).selectOption('techmart');
+    await page.getByLabel('Only overdue complaints').check();
+    await page.getByRole('button', { name: 'Save Search' }).click();
+    const dialog = page.getByRole('dialog', { name: 'Save this search' });
+    await dialog.getByLabel('Search name').fill('Overdue TechMart');
+    await dialog.getByRole('button', { name: 'Save Search' }).click();
+
+    const chip = page.getByRole('button', { name: 'Overdue TechMart', exact: true });
+    await expect(chip).toHaveAttribute('aria-pressed', 'true');
+
+    await page.getByRole('button', { name: 'Clear Filters' }).click();
+    await expect(chip).toHaveAttribute('aria-pressed', 'false');
+    await expect(page.locator('#complaints-container')).toContainText('Leaking pipe');
+
+    await page.reload();
+    await page.getByRole('button', { name: 'Overdue TechMart', exact: true }).click();
+    await expect(page.getByLabel('Organization', { exact: true })).toHaveValue('techmart');
+    await expect(page.getByLabel('Only overdue complaints')).toBeChecked();
+    await expect(page.locator('#complaints-container')).not.toContainText('Leaking pipe');
+    await expect(page.getByRole('button', { name: 'Overdue TechMart', exact: true })).toHaveAttribute('aria-pressed', 'true');
+  });
+});
+
+test.describe('Tracker search index', () => {
+  const searchComplaints = [
+    {
+      ...legacyComplaint,
+      referenceNumber: 'ORD-1234',
+      correspondence: [
+        { id: 'entry_1', date: '2024-01-20', direction: 'received', channel: 'email', kind: 'general', summary: 'Manager promised a replacement', loggedDate: '2024-01-20T10:00:00.000Z' }
+      ]
+    },
+    {
+      ...legacyComplaint,
+      id: 'complaint_legacy_2',
+      organizationId: 'quickfix',
+      title: 'Leaking pipe',
+      description: 'The pipe under the sink still leaks.',
+      contactDetails: { ...legacyComplaint.contactDetails, fullName: 'Alex Smith' },
+      createdDate: '2024-03-05T10:00:00.000Z',
+      deadline: '2099-01-01T10:00:00.000Z'
+    }
+  ];
+
+  test('Search finds misspelled words, contact names, references and letters', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaints) => {
+      localStorage.setItem('complaints', JSON.stringify(complaints));
+    }, searchComplaints);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    const search = page.getByLabel('Search Complaints');
+    const container = page.locator('#complaints-container');
+
+    await search.fill('laptpo');
+    await expect(container).not.toContainText('Leaking pipe');
+    await expect(page.locator('#complaint-complaint_legacy_1-title mark')).toHaveText('laptop');
+
+    await search.fill('alex');
+    await expect(container).not.toContainText('Faulty laptop');
+    await expect(container).toContainText('Found in: Contact details');
+
+    await search.fill('ORD-1234');
+    await expect(container).toContainText('Faulty laptop');
+    await expect(container).not.toContainText('Leaking pipe');
+
+    await search.fill('replacment');
+    await expect(container).toContainText('Found in: Correspondence');
+    await expect(container).not.toContainText('Leaking pipe');
+  });
+
+  test('Field qualifiers and date ranges narrow the search', async ({ page }) => {
+    await page.goto('http://localhost:8000/');
+    await page.evaluate((complaints) => {
+      localStorage.setItem('complaints', JSON.stringify(complaints));
+    }, searchComplaints);
+
+    await page.goto('http://localhost:8000/track-complaints.html');
+    const search = page.getByLabel('Search Complaints');
+    const container = page.locator('#complaints-container');
+
+    await search.fill('org:quickfix');
+    await expect(container).toContainText('Leaking pipe');
+    await expect(container).not.toContainText('Faulty laptop');
+
+    await search.fill('created:2024-01');
+    await expect(container).toContainText('Faulty laptop');
+    await expect(container).not.toContainText('Leaking pipe');
+
+    await search.fill('created:>2024-01-31 pipe');
+    await expect(container).toContainText('Leaking pipe');
+    await expect(container).not.toContainText('Faulty laptop');
+
+    // A date that cannot be read is explained, and does not hide everything
+    await search.fill('created:2024-13');
+    await expect(page.locator('#search-errors')).toContainText('"created:2024-13" is not a date we understand');
+    await expect(container).toContainText('Faulty laptop');
+    await expect(container).toContainText('Leaking pipe');
+  });
+});